@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Search Index Builder for Open Hadith Data
+ *
+ * This script loads the collection files, builds the search index and
+ * writes it to data/search-index.bin (or the path given as the first
+ * argument or in SEARCH_INDEX_PATH). The server restores the index from
+ * this file at startup instead of rebuilding it, as long as the data files
+ * have not changed since it was built. Run it after split-data.js.
+ */
+
+const path = require('path');
+const { HadithDataManager } = require('../server/plugins/dataLoader');
+
+async function buildIndex() {
+    const startTime = Date.now();
+    const manager = new HadithDataManager();
+    const outputPath = process.argv[2] ? path.resolve(process.argv[2]) : manager.indexArtifactPath;
+
+    console.log('🔄 Building search index...');
+
+    try {
+        await manager.loadData({ prebuiltIndex: false });
+
+        console.log('💾 Writing search index artifact...');
+        const artifact = await manager.saveSearchIndex(outputPath);
+
+        console.log('\n📋 Index Summary:');
+        console.log(`   Documents: ${manager.documents.length.toLocaleString()}`);
+        console.log(`   Terms: ${manager.invertedIndex.termCount.toLocaleString()}`);
+        console.log(`   Size: ${(artifact.size / (1024 * 1024)).toFixed(2)} MB`);
+        console.log(`   Data Hash: ${artifact.dataHash}`);
+        console.log(`   Build Time: ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+        console.log(`\n✅ Search index built!`);
+        console.log(`📁 Artifact written to: ${artifact.path}`);
+    } catch (error) {
+        console.error('❌ Error building search index:', error.message);
+        process.exit(1);
+    }
+}
+
+buildIndex();
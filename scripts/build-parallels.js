@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Parallel Narrations Builder for Open Hadith Data
+ *
+ * This script loads the collection files, compares the matn of every
+ * hadith with those of the other collections (word shingles, MinHash and
+ * locality-sensitive hashing) and writes the similar pairs, along with the
+ * clusters of near-duplicate hadiths within each collection, to
+ * data/parallels.json (or the path given as the first argument or in
+ * PARALLELS_PATH). The server loads this file at startup for the
+ * /collections/:collectionId/hadiths/:hadithId/parallels endpoint and the
+ * duplicate fields, as long as the data files have not changed since it was
+ * built. Run it after split-data.js.
+ */
+
+const path = require('path');
+const { HadithDataManager } = require('../server/plugins/dataLoader');
+
+async function buildParallels() {
+    const startTime = Date.now();
+    const manager = new HadithDataManager();
+    const outputPath = process.argv[2] ? path.resolve(process.argv[2]) : manager.parallelsPath;
+
+    console.log('🔄 Finding parallel narrations...');
+
+    try {
+        await manager.loadData();
+
+        console.log('💾 Writing parallels file...');
+        const parallels = await manager.saveParallels(outputPath);
+
+        console.log('\n📋 Parallels Summary:');
+        console.log(`   Hadiths: ${parallels.hadithCount.toLocaleString()}`);
+        console.log(`   Parallel Pairs: ${parallels.pairCount.toLocaleString()}`);
+        console.log(`   Duplicate Clusters: ${parallels.clusterCount.toLocaleString()}`);
+        console.log(`   Data Hash: ${parallels.dataHash}`);
+        console.log(`   Build Time: ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+        console.log(`\n✅ Parallels computed!`);
+        console.log(`📁 Parallels written to: ${parallels.path}`);
+    } catch (error) {
+        console.error('❌ Error computing parallels:', error.message);
+        process.exit(1);
+    }
+}
+
+buildParallels();
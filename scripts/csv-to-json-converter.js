@@ -3,6 +3,8 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { normalizeArabic } = require('../server/search/arabic-normalizer');
+const { segmentHadith } = require('../server/search/isnad-segmenter');
 
 /**
  * CSV to JSON Converter for Hadith Data
@@ -105,6 +107,27 @@ class HadithConverter {
         return cleaned;
     }
 
+    /**
+     * Normalize Arabic orthography for searching and comparison
+     * Folds alef/hamza/yaa/taa marbuta variants, removes tatweel and diacritics
+     * @param {string} text - Cleaned Arabic text
+     * @returns {string} - Normalized text
+     */
+    normalizeArabicText(text) {
+        return normalizeArabic(text, 'loose');
+    }
+
+    /**
+     * Split hadith text into its chain of narrators (isnad) and content (matn)
+     * using transmission formulas (حدثنا، أخبرنا، عن، قال رسول الله ...)
+     * @param {string} text - Cleaned Arabic text
+     * @returns {Object} - { isnad, matn, segmentation: { matnOffset, confidence, cue } }
+     */
+    segmentHadithText(text) {
+        const { isnad, matn, matnOffset, confidence, cue } = segmentHadith(text);
+        return { isnad, matn, segmentation: { matnOffset, confidence, cue } };
+    }
+
     /**
      * Determine file type based on filename
      * @param {string} fileName - CSV filename
@@ -144,7 +167,9 @@ class HadithConverter {
                                 id: row.id.toString().trim(),
                                 text: cleanText,
                                 textLength: cleanText.length,
-                                hasFullDiacritics: this.hasArabicDiacritics(cleanText)
+                                hasFullDiacritics: this.hasArabicDiacritics(cleanText),
+                                normalizedText: this.normalizeArabicText(cleanText),
+                                ...this.segmentHadithText(cleanText)
                             };
                             hadiths.push(hadith);
                         }
@@ -2,6 +2,98 @@ const fp = require('fastify-plugin');
 const path = require('path');
 const fs = require('fs').promises;
 const EnhancedDataLoader = require('./enhanced-data-loader');
+const InvertedIndex = require('../search/inverted-index');
+const { tokenize } = require('../search/tokenizer');
+const { termSpans, findPhraseSpans, findProximitySpans } = require('../search/matcher');
+const { lightStem, extractRoot, stripArticle } = require('../search/arabic-stemmer');
+const bm25 = require('../search/bm25');
+const { parseQuery, leafNode, collectLeaves, leafTerms, formatNode } = require('../search/query-parser');
+const { isWildcard, compileWildcard } = require('../search/wildcard');
+const { highlight: highlightText, buildSnippet } = require('../search/highlighter');
+const { computeFacets } = require('../search/facets');
+const { compileFilters } = require('../search/filters');
+const { SEARCH_SORT_FIELDS, LISTING_SORT_FIELDS, parseSort, compileSort } = require('../search/sorting');
+const Suggester = require('../search/suggester');
+const SpellingCorrector = require('../search/spelling-corrector');
+const Transliterator = require('../search/transliterator');
+const { isTransliteration, prepareQuery } = require('../search/transliterator');
+const SynonymDictionary = require('../search/synonyms');
+const { segmentHadith, extractChain } = require('../search/isnad-segmenter');
+const NarratorIndex = require('../search/narrator-index');
+const TransmissionGraph = require('../search/transmission-graph');
+const ParallelIndex = require('../search/parallels');
+const { ParallelsError, computeParallels, DEFAULT_PARALLELS_PATH, PARALLELS_VERSION, MIN_SIMILARITY, PARAMETERS } = require('../search/parallels');
+const { clusterDuplicates } = require('../search/duplicates');
+const { DEFAULT_SYNONYMS_PATH } = require('../search/synonyms');
+const { RegexSearcher, compilePattern, DEFAULT_TIME_BUDGET_MS } = require('../search/regex-search');
+const {
+  FORMAT_VERSION,
+  DEFAULT_ARTIFACT_PATH,
+  computeDataHash,
+  describeSourceFiles,
+  sameSourceFiles,
+  readArtifact,
+  writeArtifact
+} = require('../search/index-artifact');
+const {
+  normalizeArabic,
+  normalizeWithOffsets,
+  stripDiacritics,
+  hasDiacritics,
+  isDiacriticCompatible,
+  NORMALIZATION_MODES,
+  DEFAULT_MODE
+} = require('../search/arabic-normalizer');
+
+// Most dictionary words a single wildcard term may expand to
+const DEFAULT_MAX_EXPANSIONS = 100;
+
+// Searches with fewer hits than this get "did you mean" corrections
+const SPARSE_RESULT_COUNT = 3;
+const MAX_CORRECTIONS = 3;
+
+// Corpus words each transliterated (Latin) query word may stand for
+const MAX_TRANSLITERATIONS = 5;
+
+/**
+ * Edit distance tolerated for a query word with fuzziness=auto: none for
+ * one or two letters, 1 up to five letters, 2 beyond. The definite article
+ * does not count, so الصلاه is allowed one edit like صلاه, not two
+ * @param {string} word - Normalized query word
+ * @returns {number}
+ */
+function autoFuzziness(word) {
+  const length = stripArticle(word).length;
+  if (length <= 2) return 0;
+  return length <= 5 ? 1 : 2;
+}
+
+/**
+ * Ranking weight of an occurrence of a word at an edit distance from the query word
+ */
+function fuzzyWeight(distance) {
+  return 1 / (1 + distance);
+}
+
+/**
+ * Replace whole words of a query string, keeping operators and spacing
+ * @param {string} query - Query string
+ * @param {Map<string, string>} replacements - Lowercased word -> replacement
+ * @returns {string}
+ */
+function replaceWords(query, replacements) {
+  let result = '';
+  let cursor = 0;
+
+  for (const token of tokenize(query)) {
+    const replacement = replacements.get(token.term.toLowerCase());
+    if (replacement === undefined) continue;
+    result += query.slice(cursor, token.start) + replacement;
+    cursor = token.end;
+  }
+
+  return result + query.slice(cursor);
+}
 
 /**
  * Data Loader Plugin for Hadith API
@@ -15,25 +107,67 @@ class HadithDataManager {
     this.loaded = false;
     this.collections = new Map();
     this.searchIndex = new Map();
+    this.documents = [];
+    this.invertedIndex = new InvertedIndex();
+    this.suggester = this.createSuggester();
+    this.spellingCorrector = new SpellingCorrector([]);
+    this.transliterator = new Transliterator([]);
+    this.regexSearcher = new RegexSearcher([]);
+    this.narratorIndex = new NarratorIndex();
+    this.transmissionGraph = new TransmissionGraph();
+    // Duplicate cluster id -> { collectionId, hadithIds }
+    this.duplicateClusters = new Map();
+    // Collection id -> { start, end } of its documents in this.documents
+    this.collectionRanges = new Map();
+    this.regexTimeBudget = parseInt(process.env.REGEX_TIME_BUDGET_MS, 10) || DEFAULT_TIME_BUDGET_MS;
+    this.indexArtifactPath = process.env.SEARCH_INDEX_PATH || DEFAULT_ARTIFACT_PATH;
+    this.indexSource = null;
+    // Hash of the loaded data files, computed once per load and shared by the artifact and parallels checks
+    this.dataHashPromise = null;
+    this.synonyms = new SynonymDictionary();
+    this.synonymsPath = process.env.SYNONYMS_PATH || DEFAULT_SYNONYMS_PATH;
+    this.synonymsLoadedAt = null;
+    this.parallelIndex = null;
+    this.parallelsPath = process.env.PARALLELS_PATH || DEFAULT_PARALLELS_PATH;
+    this.rankingParameters = bm25.resolveParameters({
+      k1: parseFloat(process.env.BM25_K1),
+      b: parseFloat(process.env.BM25_B)
+    });
   }
 
   /**
    * Load data using enhanced loader (supports both split and unified files)
+   * @param {Object} options - { prebuiltIndex: false } to always build the search index
    */
-  async loadData() {
+  async loadData(options = {}) {
+    const { prebuiltIndex = true } = options;
+
     try {
       // Use the enhanced loader which handles both split and unified files
       this.data = await this.dataLoader.loadData();
+      this.dataHashPromise = null;
       
       // Build collection index for faster access
       this.buildCollectionIndex();
       
-      // Build basic search index
-      this.buildSearchIndex();
+      // Restore the search index from the prebuilt artifact, or build it
+      if (!prebuiltIndex || !(await this.loadSearchIndex())) {
+        this.buildSearchIndex();
+        this.indexSource = 'built';
+      }
+
+      // Searches work without synonyms, so a bad dictionary does not stop the server
+      try {
+        await this.loadSynonyms();
+      } catch (error) {
+        console.warn(`⚠️  Synonyms not loaded: ${error.message}`);
+      }
+
+      await this.loadParallels();
       
       this.loaded = true;
       const stats = this.dataLoader.getStats();
-      console.log(`✅ Loaded ${stats.hadithsCount.toLocaleString()} hadiths from ${stats.collectionsCount} collections using ${stats.loadingMethod}`);
+      console.log(`✅ Loaded ${stats.hadithsCount.toLocaleString()} hadiths from ${stats.collectionsCount} collections using ${stats.loadingMethod} (search index: ${this.indexSource})`);
       
     } catch (error) {
       console.error('❌ Failed to load Hadith data:', error.message);
@@ -53,24 +187,506 @@ class HadithDataManager {
   }
 
   /**
-   * Build basic search index (simplified for now)
+   * Create an empty suggester keyed by loosely normalized words
+   */
+  createSuggester() {
+    return new Suggester(term => normalizeArabic(term, 'loose'));
+  }
+
+  /**
+   * File whose texts stand for a collection's hadiths when each hadith is
+   * compared once: the regular file, or the only file of the collection
+   */
+  primaryFile(collection) {
+    return collection.files.find(file => file.fileType === 'regular') || collection.files[0];
+  }
+
+  /**
+   * Add a hadith to the document table and the key lookup
+   * @param {number} matnPosition - Word position where the hadith's matn starts
+   * @returns {Object} - Search document, with its docId (position in this.documents)
+   */
+  addDocument(collectionIndex, fileIndex, hadithIndex, matnPosition) {
+    const collection = this.data.collections[collectionIndex];
+    const file = collection.files[fileIndex];
+    const hadith = file.hadiths[hadithIndex];
+    const numericId = parseInt(hadith.id, 10);
+    const document = {
+      docId: this.documents.length,
+      collectionId: collection.collectionId,
+      collectionName: collection.collectionName,
+      fileType: file.fileType,
+      hadith: hadith,
+      collectionIndex,
+      fileIndex,
+      matnPosition,
+      // Set from the parallels file by applyDuplicateClusters
+      clusterId: 0,
+      numericId: Number.isNaN(numericId) ? Number.MAX_SAFE_INTEGER : numericId
+    };
+
+    this.searchIndex.set(`${collection.collectionId}-${file.fileType}-${hadith.id}`, document);
+    this.documents.push(document);
+    return document;
+  }
+
+  /**
+   * Build search indexes: key lookup, a token inverted index, the
+   * autocomplete suggester and the narrator index. Each hadith of each file
+   * type becomes one document, identified by its position in this.documents,
+   * and remembers where its matn starts for field searches
    */
   buildSearchIndex() {
     this.searchIndex.clear();
+    this.documents = [];
+    this.invertedIndex.clear();
+    this.narratorIndex.clear();
+    this.suggester = this.createSuggester();
     
+    this.data.collections.forEach((collection, collectionIndex) => {
+      this.suggester.beginCollection(collection.collectionId);
+
+      collection.files.forEach((file, fileIndex) => {
+        file.hadiths.forEach((hadith, hadithIndex) => {
+          const docId = this.documents.length;
+          const terms = this.extractTerms(hadith.text);
+          const { matnPosition } = this.getSegmentation(hadith);
+
+          this.addDocument(collectionIndex, fileIndex, hadithIndex, matnPosition);
+          this.invertedIndex.addDocument(docId, terms);
+          this.suggester.addDocument(terms);
+          this.narratorIndex.addDocument(docId, extractChain(hadith.text, matnPosition));
+        });
+      });
+
+      this.suggester.endCollection();
+    });
+
+    this.invertedIndex.finalize();
+    this.suggester.build();
+    this.narratorIndex.build(docId => ({
+      collectionId: this.documents[docId].collectionId,
+      hadithId: this.documents[docId].hadith.id
+    }));
+
+    // Group indexed spellings by their normalized form for each mode
+    for (const mode of Object.keys(NORMALIZATION_MODES)) {
+      if (mode === 'none') continue;
+      this.invertedIndex.buildVariants(mode, term => normalizeArabic(term, mode));
+    }
+
+    // Group inflected forms by light stem and by root for morphological search
+    this.invertedIndex.buildVariants('stem', lightStem);
+    this.invertedIndex.buildVariants('root', extractRoot);
+
+    this.prepareSearchTools();
+  }
+
+  /**
+   * Set up the helpers derived from the built index: collection document
+   * ranges, spelling corrector, transliterator, regex search worker and
+   * narrator transmission graph
+   */
+  prepareSearchTools() {
+    // Documents are ordered by collection, so each collection is one run of them
+    this.collectionRanges = new Map();
+    this.documents.forEach((document, docId) => {
+      const range = this.collectionRanges.get(document.collectionId);
+      if (range) {
+        range.end = docId + 1;
+      } else {
+        this.collectionRanges.set(document.collectionId, { start: docId, end: docId + 1 });
+      }
+    });
+
+
+    // Spelling corrections and transliterations are drawn from the loosely normalized vocabulary
+    const vocabulary = this.invertedIndex.findKeys('loose', () => true)
+      .map(key => [key, this.variantFrequency('loose', key)]);
+    this.spellingCorrector = new SpellingCorrector(vocabulary);
+    this.transliterator = new Transliterator(vocabulary);
+
+    // Regex searches run in a worker holding its own copy of the texts
+    this.regexSearcher.reset();
+    this.regexSearcher = new RegexSearcher(this.documents.map(document => document.hadith.text));
+
+    this.transmissionGraph = new TransmissionGraph();
+    this.transmissionGraph.build(this.narratorIndex.chains, docId =>
+      `${this.documents[docId].collectionId}-${this.documents[docId].hadith.id}`
+    );
+  }
+
+  /**
+   * Mark the documents of each duplicate cluster with its id. The cluster of
+   * a hadith applies to its text in every file type
+   * @param {Array<Object>} clusters - { collectionId, hadithIds } of each cluster, numbered from 1
+   */
+  applyDuplicateClusters(clusters) {
+    this.duplicateClusters = new Map();
+    for (const document of this.documents) {
+      document.clusterId = 0;
+    }
+
+    clusters.forEach((cluster, index) => {
+      const clusterId = index + 1;
+      const collection = this.getCollection(cluster.collectionId);
+      if (!collection) return;
+
+      this.duplicateClusters.set(clusterId, cluster);
+      for (const hadithId of cluster.hadithIds) {
+        for (const file of collection.files) {
+          const document = this.searchIndex.get(`${cluster.collectionId}-${file.fileType}-${hadithId}`);
+          if (document) document.clusterId = clusterId;
+        }
+      }
+    });
+  }
+
+  /**
+   * Restore the search index from the prebuilt artifact written by
+   * scripts/build-index.js, if it was built from the loaded data files
+   * @returns {Promise<boolean>} - false when the artifact is missing, outdated or unreadable
+   */
+  async loadSearchIndex() {
+    const startTime = Date.now();
+
+    try {
+      const artifact = await readArtifact(this.indexArtifactPath);
+      if (!artifact) {
+        console.log('⚠️  No prebuilt search index found, building it');
+        return false;
+      }
+
+      if (artifact.header.formatVersion !== FORMAT_VERSION || !(await this.matchesSourceFiles(artifact.header))) {
+        console.log('⚠️  Prebuilt search index does not match the data, rebuilding it');
+        return false;
+      }
+
+      this.restoreSearchIndex(artifact);
+      this.indexSource = 'artifact';
+      console.log(`✅ Loaded prebuilt search index in ${Date.now() - startTime}ms`);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️  Could not load prebuilt search index, rebuilding it: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Hash of the loaded data files, computed at most once per load
+   * @returns {Promise<string>}
+   */
+  getDataHash() {
+    if (!this.dataHashPromise) this.dataHashPromise = computeDataHash(this.dataLoader.getSourceFiles());
+    return this.dataHashPromise;
+  }
+
+  /**
+   * Check that something built offline was built from the loaded data files:
+   * by their sizes and modification times when it recorded them, which
+   * avoids reading the files, or else by their content hash
+   * @param {Object} record - { dataHash, sourceFiles } it was built with
+   * @returns {Promise<boolean>}
+   */
+  async matchesSourceFiles(record) {
+    const files = this.dataLoader.getSourceFiles();
+    if (sameSourceFiles(record.sourceFiles, await describeSourceFiles(files))) return true;
+    return record.dataHash === await this.getDataHash();
+  }
+
+  /**
+   * Replace the search indexes with those read from an artifact
+   * @param {Object} artifact - { header, tables } from readArtifact
+   */
+  restoreSearchIndex(artifact) {
+    const { header, tables } = artifact;
+
+    this.searchIndex.clear();
+    this.documents = [];
+    for (let i = 0; i < tables.documents.length; i += 4) {
+      this.addDocument(
+        tables.documents[i],
+        tables.documents[i + 1],
+        tables.documents[i + 2],
+        tables.documents[i + 3]
+      );
+    }
+
+    this.invertedIndex.restore({ terms: header.terms, variantKeys: header.variantKeys, tables });
+    this.suggester = this.createSuggester();
+    this.suggester.restore(header.suggestions);
+    this.narratorIndex.restore({
+      narrators: header.narrators,
+      tables: { chainOffsets: tables.chainOffsets, chainNarrators: tables.chainNarrators }
+    });
+
+    this.prepareSearchTools();
+  }
+
+  /**
+   * Write the search index to an artifact that later loads can restore
+   * instead of building the index again
+   * @param {string} filePath - Output path (defaults to SEARCH_INDEX_PATH or data/search-index.bin)
+   * @returns {Promise<Object>} - { path, dataHash, size } of the written artifact
+   */
+  async saveSearchIndex(filePath = this.indexArtifactPath) {
+    const dataHash = await this.getDataHash();
+    const sourceFiles = await describeSourceFiles(this.dataLoader.getSourceFiles());
+    const { terms, variantKeys, tables } = this.invertedIndex.serialize();
+    const narrators = this.narratorIndex.serialize();
+
+    // Document table: collection, file and hadith position and matn start of each document
+    const documents = new Uint32Array(this.documents.length * 4);
+    const hadithIndexes = new Map();
     for (const collection of this.data.collections) {
       for (const file of collection.files) {
-        for (const hadith of file.hadiths) {
-          const key = `${collection.collectionId}-${file.fileType}-${hadith.id}`;
-          this.searchIndex.set(key, {
-            collectionId: collection.collectionId,
-            collectionName: collection.collectionName,
-            fileType: file.fileType,
-            hadith: hadith
-          });
-        }
+        file.hadiths.forEach((hadith, index) => hadithIndexes.set(hadith, index));
+      }
+    }
+    this.documents.forEach((document, docId) => {
+      documents.set([
+        document.collectionIndex,
+        document.fileIndex,
+        hadithIndexes.get(document.hadith),
+        document.matnPosition
+      ], docId * 4);
+    });
+
+    const size = await writeArtifact(filePath, {
+      header: {
+        dataHash,
+        sourceFiles,
+        createdAt: new Date().toISOString(),
+        documentCount: this.documents.length,
+        terms,
+        variantKeys,
+        suggestions: this.suggester.serialize(),
+        narrators: narrators.narrators
+      },
+      tables: { ...tables, ...narrators.tables, documents }
+    });
+
+    return { path: filePath, dataHash, size };
+  }
+
+  /**
+   * Load the parallel narrations and duplicate clusters computed by
+   * scripts/build-parallels.js from PARALLELS_PATH or data/parallels.json.
+   * Without a file matching the data the parallels endpoint is unavailable
+   * and no hadith has duplicates, but everything else works
+   * @returns {Promise<boolean>} - Whether parallels were loaded
+   */
+  async loadParallels() {
+    this.parallelIndex = null;
+    this.applyDuplicateClusters([]);
+
+    try {
+      const parallelIndex = await ParallelIndex.load(this.parallelsPath);
+      if (!parallelIndex) {
+        console.log('⚠️  No parallels file found, run npm run build:parallels to compute it');
+        return false;
+      }
+
+      if (parallelIndex.version !== PARALLELS_VERSION || !(await this.matchesSourceFiles(parallelIndex))) {
+        console.log('⚠️  Parallels file does not match the data, run npm run build:parallels to update it');
+        return false;
+      }
+
+      this.parallelIndex = parallelIndex;
+      this.applyDuplicateClusters(parallelIndex.clusters);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️  Parallels not loaded: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Compute the parallel narrations between collections and the duplicate
+   * clusters within them, and write them to a file that the server loads at startup
+   * @param {string} filePath - Output path (defaults to PARALLELS_PATH or data/parallels.json)
+   * @returns {Promise<Object>} - { path, dataHash, hadithCount, pairCount, clusterCount }
+   */
+  async saveParallels(filePath = this.parallelsPath) {
+    // One text per hadith
+    const entries = [];
+    for (const collection of this.data.collections) {
+      const file = this.primaryFile(collection);
+      if (!file) continue;
+      for (const hadith of file.hadiths) {
+        entries.push({ collectionId: collection.collectionId, hadithId: hadith.id, matn: this.getSegmentation(hadith).matn });
       }
     }
+
+    // Only hadiths with parallels are listed, numbered in order of appearance
+    const listed = new Map();
+    const listIndex = index => {
+      if (!listed.has(index)) listed.set(index, listed.size);
+      return listed.get(index);
+    };
+    const pairs = computeParallels(entries).map(([a, b, similarity]) => [listIndex(a), listIndex(b), similarity]);
+
+    // Cluster ids number the clusters from 1 in entry order
+    const clusters = [];
+    clusterDuplicates(entries).forEach((clusterId, index) => {
+      if (!clusterId) return;
+      if (!clusters[clusterId - 1]) clusters[clusterId - 1] = { collectionId: entries[index].collectionId, hadithIds: [] };
+      clusters[clusterId - 1].hadithIds.push(entries[index].hadithId);
+    });
+
+    const data = {
+      version: PARALLELS_VERSION,
+      generatedAt: new Date().toISOString(),
+      dataHash: await this.getDataHash(),
+      sourceFiles: await describeSourceFiles(this.dataLoader.getSourceFiles()),
+      parameters: { ...PARAMETERS, minSimilarity: MIN_SIMILARITY },
+      hadiths: [...listed.keys()].map(index => `${entries[index].collectionId}/${entries[index].hadithId}`),
+      pairs,
+      clusters
+    };
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(data));
+    this.parallelIndex = new ParallelIndex(data);
+    this.applyDuplicateClusters(clusters);
+
+    return {
+      path: filePath,
+      dataHash: data.dataHash,
+      hadithCount: entries.length,
+      pairCount: data.pairs.length,
+      clusterCount: clusters.length
+    };
+  }
+
+  /**
+   * Load the synonym dictionary from SYNONYMS_PATH or data/synonyms.json,
+   * replacing the current one. The current dictionary stays in use when
+   * the file cannot be loaded
+   * @returns {Promise<Object>} - Dictionary summary (see getSynonyms)
+   * @throws {SynonymError} - When the file is missing or invalid
+   */
+  async loadSynonyms() {
+    this.synonyms = await SynonymDictionary.load(this.synonymsPath);
+    this.synonymsLoadedAt = new Date().toISOString();
+    return this.getSynonyms();
+  }
+
+  /**
+   * Describe the synonym dictionary in use
+   * @returns {Object} - { path, loadedAt, groupCount, termCount, groups }
+   */
+  getSynonyms() {
+    return {
+      path: this.synonymsPath,
+      loadedAt: this.synonymsLoadedAt,
+      groupCount: this.synonyms.groups.length,
+      termCount: this.synonyms.size,
+      groups: this.synonyms.groups
+    };
+  }
+
+  /**
+   * Number of postings of all indexed spellings grouped under a key,
+   * used to prefer common words
+   * @param {string} table - Variant table name, or null for the raw terms
+   * @param {string} key - Normalized term
+   * @returns {number}
+   */
+  variantFrequency(table, key) {
+    return this.invertedIndex.getVariants(table, key)
+      .reduce((sum, term) => sum + this.invertedIndex.getPostings(term).length, 0);
+  }
+
+  /**
+   * Split a hadith into isnad and matn: the converter's segmentation when
+   * the data has one, otherwise the same heuristics applied to the text
+   * @param {Object} hadith - Hadith from the data
+   * @returns {Object} - { isnad, matn, matnOffset, matnPosition, confidence, cue }
+   */
+  getSegmentation(hadith) {
+    if (!hadith.segmentation) return segmentHadith(hadith.text);
+
+    const { matnOffset, confidence, cue } = hadith.segmentation;
+    const matnPosition = tokenize(hadith.text).filter(token => token.start < matnOffset).length;
+    return { isnad: hadith.isnad, matn: hadith.matn, matnOffset, matnPosition, confidence, cue };
+  }
+
+  /**
+   * Test for word positions inside a searchable field of a document
+   * @param {string} field - 'isnad', 'matn' or 'all'
+   * @returns {Function|null} - (docId, position) => boolean, or null for the whole text
+   */
+  fieldFilter(field) {
+    switch (field) {
+      case 'isnad':
+        return (docId, position) => position < this.documents[docId].matnPosition;
+      case 'matn':
+        return (docId, position) => position >= this.documents[docId].matnPosition;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Extract index terms from text
+   */
+  extractTerms(text) {
+    return tokenize(text.toLowerCase()).map(token => token.term);
+  }
+
+  /**
+   * Canonical document order: collection order, then numeric hadith id,
+   * then file order within the collection
+   */
+  compareDocuments(a, b) {
+    return a.collectionIndex - b.collectionIndex ||
+      a.numericId - b.numericId ||
+      a.fileIndex - b.fileIndex;
+  }
+
+  /**
+   * Keep the first item of each duplicate cluster and file type, so a
+   * repeated hadith is listed once in each file type
+   * @param {Array} items - Items in the order they are listed
+   * @param {Function} getDocument - Search document of an item
+   * @returns {Array}
+   */
+  collapseDuplicates(items, getDocument = item => item) {
+    const seen = new Set();
+    return items.filter(item => {
+      const { clusterId, fileType } = getDocument(item);
+      if (!clusterId) return true;
+      const key = `${clusterId}-${fileType}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Duplicate cluster fields of a hadith in responses
+   * @returns {Object} - { clusterId, duplicateCount }, clusterId null for a hadith without duplicates
+   */
+  duplicateFields(document) {
+    const cluster = document.clusterId ? this.duplicateClusters.get(document.clusterId) : null;
+    return {
+      clusterId: cluster ? document.clusterId : null,
+      duplicateCount: cluster ? cluster.hadithIds.length - 1 : 0
+    };
+  }
+
+  /**
+   * Format a search document as a hadith in listings
+   */
+  formatDocument(document) {
+    return {
+      ...document.hadith,
+      collectionId: document.collectionId,
+      collectionName: document.collectionName,
+      fileType: document.fileType,
+      ...this.duplicateFields(document)
+    };
   }
 
   /**
@@ -106,32 +722,36 @@ class HadithDataManager {
   }
 
   /**
-   * Get hadiths from a specific collection
+   * Get hadiths from a specific collection, in source order unless `sort`
+   * ("id", "length:desc", ...) is given. With `dedupe`, each duplicate
+   * cluster is listed once, as its first hadith in that order
+   * @throws {SortError} - When the sort specification is invalid
    */
   getCollectionHadiths(collectionId, options = {}) {
     const collection = this.getCollection(collectionId);
     if (!collection) return null;
 
-    const { fileType, limit = 50, offset = 0 } = options;
-    let allHadiths = [];
+    const { fileType, sort, dedupe = false, limit = 50, offset = 0 } = options;
+    const sortKeys = sort ? parseSort(sort, LISTING_SORT_FIELDS) : [];
 
-    // Collect hadiths from specified file type or all files
-    for (const file of collection.files) {
-      if (!fileType || file.fileType === fileType) {
-        for (const hadith of file.hadiths) {
-          allHadiths.push({
-            ...hadith,
-            collectionId: collection.collectionId,
-            collectionName: collection.collectionName,
-            fileType: file.fileType
-          });
-        }
-      }
+    // Documents of the specified file type or all files, in source order
+    const { start, end } = this.collectionRanges.get(collectionId) || { start: 0, end: 0 };
+    let entries = this.documents
+      .slice(start, end)
+      .filter(document => !fileType || document.fileType === fileType)
+      .map(document => ({ document }));
+
+    // The sort is stable, so source order breaks ties
+    if (sortKeys.length > 0) {
+      entries.sort(compileSort(sortKeys));
+    }
+    if (dedupe) {
+      entries = this.collapseDuplicates(entries, entry => entry.document);
     }
 
     // Apply pagination
-    const total = allHadiths.length;
-    const paginatedHadiths = allHadiths.slice(offset, offset + limit);
+    const total = entries.length;
+    const paginatedHadiths = entries.slice(offset, offset + limit).map(({ document }) => this.formatDocument(document));
 
     return {
       hadiths: paginatedHadiths,
@@ -155,11 +775,17 @@ class HadithDataManager {
       if (file.fileType === fileType) {
         const hadith = file.hadiths.find(h => h.id === hadithId);
         if (hadith) {
+          const { isnad, matn, matnOffset, confidence, cue } = this.getSegmentation(hadith);
+          const document = this.searchIndex.get(`${collection.collectionId}-${file.fileType}-${hadith.id}`);
           return {
             ...hadith,
             collectionId: collection.collectionId,
             collectionName: collection.collectionName,
-            fileType: file.fileType
+            fileType: file.fileType,
+            isnad,
+            matn,
+            segmentation: { matnOffset, confidence, cue },
+            ...this.duplicateFields(document)
           };
         }
       }
@@ -169,112 +795,1259 @@ class HadithDataManager {
   }
 
   /**
-   * Basic text search across all hadiths
+   * List the narrators found in the isnads, most hadiths first
+   * @param {Object} options - { q: part of a name, collectionId, limit, offset }
+   * @returns {Object|null} - { narrators, pagination }, or null when the collection does not exist
    */
-  searchHadiths(query, options = {}) {
-    const { 
-      collectionId, 
-      fileType,
-      limit = 50, 
-      offset = 0,
-      exactMatch = false 
-    } = options;
+  getNarrators(options = {}) {
+    const { q, collectionId, limit = 20, offset = 0 } = options;
+    if (collectionId && !this.getCollection(collectionId)) return null;
 
-    if (!query || query.trim().length === 0) {
-      return { hadiths: [], pagination: { total: 0, limit, offset, hasMore: false } };
-    }
+    const entries = this.narratorIndex.find(q)
+      .map(narrator => ({
+        id: narrator.id,
+        name: narrator.name,
+        hadithCount: collectionId
+          ? (narrator.collections.find(collection => collection.collectionId === collectionId) || { hadithCount: 0 }).hadithCount
+          : narrator.hadithCount
+      }))
+      .filter(narrator => narrator.hadithCount > 0);
 
-    const searchTerm = query.trim().toLowerCase();
-    const results = [];
+    // Collection counts can differ from the overall order
+    if (collectionId) entries.sort((a, b) => b.hadithCount - a.hadithCount || a.id - b.id);
 
-    for (const collection of this.data.collections) {
-      // Filter by collection if specified
-      if (collectionId && collection.collectionId !== collectionId) {
-        continue;
+    const total = entries.length;
+    return {
+      narrators: entries.slice(offset, offset + limit),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
       }
+    };
+  }
 
-      for (const file of collection.files) {
-        // Filter by file type if specified
-        if (fileType && file.fileType !== fileType) {
-          continue;
-        }
+  /**
+   * Get a narrator with the spellings of the name and hadith counts per collection
+   * @param {number} id - Narrator id
+   * @returns {Object|null}
+   */
+  getNarrator(id) {
+    const narrator = this.narratorIndex.get(id);
+    if (!narrator) return null;
 
-        for (const hadith of file.hadiths) {
-          const hadithText = hadith.text.toLowerCase();
-          
-          // Simple text matching (can be enhanced with better search algorithms)
-          const matches = exactMatch 
-            ? hadithText.includes(searchTerm)
-            : this.fuzzySearch(hadithText, searchTerm);
-
-          if (matches) {
-            results.push({
-              ...hadith,
-              collectionId: collection.collectionId,
-              collectionName: collection.collectionName,
-              fileType: file.fileType,
-              relevanceScore: this.calculateRelevance(hadithText, searchTerm)
-            });
-          }
-        }
-      }
-    }
+    return {
+      id: narrator.id,
+      name: narrator.name,
+      variants: narrator.variants,
+      hadithCount: narrator.hadithCount,
+      collections: narrator.collections.map(({ collectionId, hadithCount }) => ({
+        collectionId,
+        collectionName: this.getCollection(collectionId)?.collectionName,
+        hadithCount
+      }))
+    };
+  }
 
-    // Sort by relevance score
-    results.sort((a, b) => b.relevanceScore - a.relevanceScore);
+  /**
+   * Get the hadiths whose isnad names a narrator, in canonical order
+   * @param {number} id - Narrator id
+   * @param {Object} options - { collectionId, fileType, dedupe, limit, offset }
+   * @returns {Object|null} - { narrator, hadiths, pagination }, or null when the narrator does not exist
+   */
+  getNarratorHadiths(id, options = {}) {
+    const narrator = this.narratorIndex.get(id);
+    if (!narrator) return null;
 
-    // Apply pagination
-    const total = results.length;
-    const paginatedResults = results.slice(offset, offset + limit);
+    const { collectionId, fileType, dedupe = false, limit = 20, offset = 0 } = options;
+    let documents = narrator.documents
+      .map(docId => this.documents[docId])
+      .filter(document =>
+        (!collectionId || document.collectionId === collectionId) && (!fileType || document.fileType === fileType)
+      )
+      .sort((a, b) => this.compareDocuments(a, b));
+    if (dedupe) documents = this.collapseDuplicates(documents);
 
+    const total = documents.length;
     return {
-      hadiths: paginatedResults,
+      narrator: { id: narrator.id, name: narrator.name },
+      hadiths: documents.slice(offset, offset + limit).map(document => this.formatDocument(document)),
       pagination: {
         total,
         limit,
         offset,
         hasMore: offset + limit < total
-      },
-      query: {
-        term: query,
-        options
       }
     };
   }
 
   /**
-   * Simple fuzzy search (can be enhanced)
+   * Get the parallel narrations of a hadith in other collections
+   * @param {string} collectionId - Collection of the hadith
+   * @param {string} hadithId - Hadith id
+   * @param {Object} options - { threshold: lowest similarity, fileType, limit, offset }
+   * @returns {Object|null} - { hadith, threshold, parallels, pagination }, or null when the hadith does not exist
+   * @throws {ParallelsError} - When no parallels file is loaded
    */
-  fuzzySearch(text, term) {
-    // Simple word-based search
-    const words = term.split(/\s+/);
-    return words.some(word => text.includes(word));
-  }
+  getHadithParallels(collectionId, hadithId, options = {}) {
+    const { threshold = 0.5, fileType = 'regular', limit = 20, offset = 0 } = options;
+    if (!this.searchIndex.has(`${collectionId}-${fileType}-${hadithId}`)) return null;
 
-  /**
-   * Calculate relevance score for search results
-   */
-  calculateRelevance(text, term) {
-    const termLower = term.toLowerCase();
-    const textLower = text.toLowerCase();
-    
-    // Exact match gets highest score
-    if (textLower.includes(termLower)) {
-      const index = textLower.indexOf(termLower);
-      // Earlier matches get higher scores
-      return 100 - (index / text.length) * 50;
+    if (!this.parallelIndex) {
+      throw new ParallelsError('Parallels have not been computed for this data, run npm run build:parallels');
     }
-    
-    // Word-based matching
-    const words = termLower.split(/\s+/);
-    let score = 0;
-    for (const word of words) {
-      if (textLower.includes(word)) {
-        score += 10;
+
+    // Parallels are listed in the requested file type where the collection has it
+    const parallels = this.parallelIndex.find(collectionId, hadithId, threshold)
+      .map(parallel => ({
+        parallel,
+        document: this.searchIndex.get(`${parallel.collectionId}-${fileType}-${parallel.hadithId}`) ||
+          this.searchIndex.get(`${parallel.collectionId}-regular-${parallel.hadithId}`)
+      }))
+      .filter(({ document }) => document);
+
+    const total = parallels.length;
+    return {
+      hadith: { collectionId, hadithId },
+      threshold,
+      parallels: parallels.slice(offset, offset + limit).map(({ parallel, document }) => ({
+        collectionId: document.collectionId,
+        collectionName: document.collectionName,
+        hadithId: document.hadith.id,
+        fileType: document.fileType,
+        similarity: parallel.similarity,
+        text: document.hadith.text,
+        matn: this.getSegmentation(document.hadith).matn
+      })),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
       }
-    }
-    
-    return score;
+    };
+  }
+
+  /**
+   * Get the teachers or the students of a narrator in the transmission graph
+   * @param {number} id - Narrator id
+   * @param {string} relation - 'teachers' or 'students'
+   * @param {Object} options - { limit, offset }
+   * @returns {Object|null} - { narrator, [relation], pagination } with edge weights
+   *   in hadiths, or null when the narrator does not exist
+   */
+  getNarratorLinks(id, relation, options = {}) {
+    const narrator = this.narratorIndex.get(id);
+    if (!narrator) return null;
+
+    const { limit = 20, offset = 0 } = options;
+    const links = relation === 'teachers'
+      ? this.transmissionGraph.getTeachers(id)
+      : this.transmissionGraph.getStudents(id);
+
+    const total = links.length;
+    return {
+      narrator: { id: narrator.id, name: narrator.name },
+      [relation]: links.slice(offset, offset + limit).map(link => ({
+        id: link.id,
+        name: this.narratorIndex.get(link.id).name,
+        weight: link.weight
+      })),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    };
+  }
+
+  /**
+   * Find the shortest transmission path between two narrators
+   * @param {number} fromId - Narrator id where the path starts
+   * @param {number} toId - Narrator id where the path ends
+   * @param {Object} options - { directed: true } to follow transmission from
+   *   teacher to student only
+   * @returns {Object|null} - { from, to, directed, length, path }, where each
+   *   step of path carries the weight of the edge from the previous one, or
+   *   null when the narrators are not connected
+   */
+  findTransmissionPath(fromId, toId, options = {}) {
+    const { directed = true } = options;
+    const ids = this.transmissionGraph.findPath(fromId, toId, { directed });
+    if (!ids) return null;
+
+    const narrator = id => ({ id, name: this.narratorIndex.get(id).name });
+    return {
+      from: narrator(fromId),
+      to: narrator(toId),
+      directed,
+      length: ids.length - 1,
+      path: ids.map((id, index) => ({
+        ...narrator(id),
+        weight: index > 0 ? this.transmissionGraph.getWeight(ids[index - 1], id) : null
+      }))
+    };
+  }
+
+  /**
+   * Export the transmission graph: narrators as nodes and teacher -> student edges
+   * @param {Object} options - { minWeight: leave out edges with fewer hadiths }
+   * @returns {Object} - { nodes, edges }, with only the narrators that have an edge
+   */
+  getTransmissionGraph(options = {}) {
+    const { minWeight = 1 } = options;
+    const edges = this.transmissionGraph.getEdges(minWeight);
+
+    const linked = new Set();
+    for (const edge of edges) {
+      linked.add(edge.source);
+      linked.add(edge.target);
+    }
+
+    const nodes = [...linked].sort((a, b) => a - b).map(id => {
+      const narrator = this.narratorIndex.get(id);
+      return { id, name: narrator.name, hadithCount: narrator.hadithCount };
+    });
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Find where a query term is looked up: the variant table and the key
+   * the term normalizes to in it
+   * @param {string} term - Lowercased query term
+   * @param {Object} options - { mode, normalize, diacritics }
+   * @returns {Object} - { table, key } where table null means the raw terms
+   */
+  termLookup(term, options = {}) {
+    const { mode = 'word', normalize = DEFAULT_MODE, diacritics = 'ignore' } = options;
+
+    if (mode === 'stem') {
+      return { table: 'stem', key: lightStem(term) };
+    }
+
+    if (mode === 'root') {
+      return { table: 'root', key: extractRoot(term) };
+    }
+
+    if (normalize === 'none') {
+      return { table: null, key: term };
+    }
+
+    if (normalize === 'strict' && diacritics === 'exact') {
+      return { table: 'strict', key: normalizeArabic(term, 'strict') };
+    }
+
+    return { table: 'loose', key: normalizeArabic(term, 'loose') };
+  }
+
+  /**
+   * Resolve a query term to the indexed spellings it should match
+   * In stem and root modes every inflected form sharing the stem or root
+   * matches. Otherwise, under strict normalization the diacritics option
+   * decides how harakat are compared: ignore them, require compatible
+   * vowelling, or match exactly
+   * @param {string} term - Lowercased query term
+   * @param {Object} options - { mode, normalize, diacritics }
+   * @returns {Array<string>} - Indexed terms
+   */
+  resolveTermVariants(term, options = {}) {
+    const { normalize = DEFAULT_MODE, diacritics = 'ignore' } = options;
+    const { table, key } = this.termLookup(term, options);
+    const variants = this.invertedIndex.getVariants(table, key);
+
+    if (table === 'loose' && normalize === 'strict' && diacritics === 'compatible' && hasDiacritics(term)) {
+      const vowelled = normalizeArabic(term, 'strict');
+      return variants.filter(variant => isDiacriticCompatible(vowelled, normalizeArabic(variant, 'strict')));
+    }
+
+    return variants;
+  }
+
+  /**
+   * Expand a wildcard pattern against the term dictionary
+   * Patterns match whole words of the normalization table chosen by
+   * `normalize`/`diacritics` (stem and root modes do not apply). When more
+   * than maxExpansions words match, the ones found in most hadiths are kept
+   * @param {string} pattern - Lowercased query word containing * or ?
+   * @param {Object} options - { normalize, diacritics, maxExpansions }
+   * @returns {Object} - { terms, keys, total, truncated } where terms are the indexed spellings
+   */
+  expandWildcard(pattern, options = {}) {
+    const { normalize = DEFAULT_MODE, diacritics = 'ignore', maxExpansions = DEFAULT_MAX_EXPANSIONS } = options;
+
+    let table = 'loose';
+    if (normalize === 'none') {
+      table = null;
+    } else if (normalize === 'strict' && diacritics === 'exact') {
+      table = 'strict';
+    }
+
+    const regex = compileWildcard(pattern, literal => (table ? normalizeArabic(literal, table) : literal));
+    const matched = this.invertedIndex.findKeys(table, key => regex.test(key))
+      .map(key => ({ key, frequency: this.variantFrequency(table, key) }))
+      .sort((a, b) => b.frequency - a.frequency || (a.key < b.key ? -1 : 1));
+
+    const keys = matched.slice(0, maxExpansions).map(entry => entry.key);
+
+    return {
+      terms: keys.flatMap(key => this.invertedIndex.getVariants(table, key)),
+      keys,
+      total: matched.length,
+      truncated: matched.length > maxExpansions
+    };
+  }
+
+  /**
+   * Find the corpus words a Latin query word may transliterate
+   * Candidates are loosely normalized, so they are resolved with loose
+   * normalization; stem and root modes still apply
+   * @param {string} term - Lowercased Latin query word
+   * @param {Object} options - { mode }
+   * @returns {Object} - { terms, keys } where terms are the indexed spellings
+   */
+  expandTransliteration(term, options = {}) {
+    const keys = this.transliterator.candidates(term, { limit: MAX_TRANSLITERATIONS })
+      .map(candidate => candidate.word);
+
+    return {
+      terms: keys.flatMap(key => this.resolveTermVariants(key, { ...options, normalize: 'loose' })),
+      keys
+    };
+  }
+
+  /**
+   * Expand a query term to the vocabulary words within an edit distance
+   * Distances are weighted Damerau–Levenshtein over loosely normalized words,
+   * so dot and hamza confusions count as partial edits. The term's own
+   * spellings keep full weight; each fuzzy variant is weighted down by its
+   * distance. When more than maxExpansions words are close enough, the
+   * closest, then most frequent, are kept
+   * @param {string} term - Lowercased query term
+   * @param {Object} options - { fuzziness: 0|1|2|'auto', maxExpansions, mode, normalize, diacritics }
+   * @returns {Object} - { terms, weights, keys, total, truncated } where terms are the indexed spellings
+   */
+  expandFuzzy(term, options = {}) {
+    const { fuzziness = 0, maxExpansions = DEFAULT_MAX_EXPANSIONS } = options;
+    const key = normalizeArabic(term, 'loose');
+    const maxCost = fuzziness === 'auto' ? autoFuzziness(key) : fuzziness;
+
+    const matched = maxCost > 0
+      ? this.spellingCorrector.candidates(key, { limit: Infinity, maxCost })
+      : [];
+    const kept = matched.slice(0, maxExpansions);
+
+    // Closest first, so each spelling keeps its highest weight
+    const weights = new Map();
+    for (const variant of this.resolveTermVariants(term, options)) weights.set(variant, 1);
+    for (const candidate of kept) {
+      for (const variant of this.resolveTermVariants(candidate.word, { ...options, normalize: 'loose' })) {
+        if (!weights.has(variant)) weights.set(variant, fuzzyWeight(candidate.distance));
+      }
+    }
+
+    return {
+      terms: [...weights.keys()],
+      weights,
+      keys: kept.map(candidate => candidate.word),
+      total: matched.length,
+      truncated: matched.length > maxExpansions
+    };
+  }
+
+  /**
+   * Create the per-query lookup context: each query term is resolved to its
+   * indexed spellings and posting list once, however often it appears.
+   * Wildcard terms are expanded and, with `transliterated`, Latin terms are
+   * transliterated; both record what they expanded to. With `fuzziness`,
+   * other terms also match close spellings, recorded as expansions and
+   * weighted down by distance. With `synonyms`, single-word synonyms from
+   * the dictionary count as further spellings of a term. With `field`
+   * (isnad or matn), only occurrences inside that part of a hadith count
+   * @param {Object} options - { mode, normalize, diacritics, maxExpansions, transliterated, fuzziness, synonyms, field }
+   * @returns {Object} - { variants(term), weights(term), postings(term), positions(term, docId),
+   *   inField(docId, position), expansions, transliterations, synonyms }
+   */
+  createQueryContext(options) {
+    const variantCache = new Map();
+    const weightCache = new Map();
+    const postingCache = new Map();
+    const expansions = new Map();
+    const transliterations = new Map();
+    const synonyms = new Map();
+
+    const variants = term => {
+      if (!variantCache.has(term)) {
+        if (isWildcard(term)) {
+          const expansion = this.expandWildcard(term, options);
+          expansions.set(term, expansion);
+          variantCache.set(term, new Set(expansion.terms));
+        } else if (options.transliterated && isTransliteration(term)) {
+          const transliteration = this.expandTransliteration(term, options);
+          transliterations.set(term, transliteration);
+          variantCache.set(term, new Set(transliteration.terms));
+        } else if (options.fuzziness) {
+          const expansion = this.expandFuzzy(term, options);
+          if (expansion.total > 0) expansions.set(term, expansion);
+          weightCache.set(term, expansion.weights);
+          variantCache.set(term, new Set(expansion.terms));
+        } else {
+          variantCache.set(term, new Set(this.resolveTermVariants(term, options)));
+        }
+
+        if (options.synonyms && !isWildcard(term) && !transliterations.has(term)) {
+          const forms = this.synonyms.alternatives([term]).filter(form => form.words.length === 1);
+          const termVariants = variantCache.get(term);
+          for (const form of forms) {
+            for (const variant of this.resolveTermVariants(form.words[0], { ...options, normalize: 'loose' })) {
+              termVariants.add(variant);
+            }
+          }
+          if (forms.length > 0) {
+            synonyms.set(term, [...(synonyms.get(term) || []), ...forms.map(form => form.form)]);
+          }
+        }
+      }
+      return variantCache.get(term);
+    };
+
+    const inField = this.fieldFilter(options.field);
+
+    const postings = term => {
+      if (!postingCache.has(term)) {
+        if (inField) {
+          // Documents with an occurrence inside the field
+          const frequencies = this.invertedIndex.getTermFrequencies([...variants(term)], null, inField);
+          postingCache.set(term, [...frequencies.keys()].sort((a, b) => a - b));
+        } else {
+          const lists = [...variants(term)].map(variant => this.invertedIndex.getPostings(variant));
+          postingCache.set(term, InvertedIndex.union(lists));
+        }
+      }
+      return postingCache.get(term);
+    };
+
+    const positions = (term, docId) => {
+      const found = this.invertedIndex.getVariantPositions([...variants(term)], docId);
+      return inField ? found.filter(position => inField(docId, position)) : found;
+    };
+
+    // Ranking weight of each indexed spelling of a term, or null when all count fully
+    const weights = term => {
+      variants(term);
+      return weightCache.get(term) || null;
+    };
+
+    return { variants, weights, postings, positions, inField, expansions, transliterations, synonyms };
+  }
+
+  /**
+   * Add multi-word synonyms to a query tree: a term or phrase with such
+   * synonyms becomes (original OR synonym ...). A phrase also gets its
+   * single-word synonyms this way; those of single words are spellings in
+   * the query context. Operands of NEAR/ONEAR are not expanded
+   * @param {Object} node - Query tree node
+   * @param {Object} context - Query context, where the synonyms used are recorded
+   * @returns {Object} - Expanded query tree
+   */
+  expandSynonyms(node, context) {
+    switch (node.type) {
+      case 'term':
+      case 'phrase': {
+        const words = node.type === 'term' ? [node.term] : node.terms;
+        const forms = this.synonyms.alternatives(words)
+          .filter(form => node.type === 'phrase' || form.words.length > 1);
+        if (forms.length === 0) return node;
+
+        const label = words.join(' ');
+        context.synonyms.set(label, [...(context.synonyms.get(label) || []), ...forms.map(form => form.form)]);
+        return { type: 'or', children: [node, ...forms.map(form => leafNode(form.words, node.position))] };
+      }
+
+      case 'or':
+        return {
+          type: 'or',
+          children: node.children
+            .map(child => this.expandSynonyms(child, context))
+            .flatMap(child => (child.type === 'or' ? child.children : [child]))
+        };
+
+      case 'group':
+        return {
+          type: 'group',
+          clauses: node.clauses.map(clause => ({ ...clause, node: this.expandSynonyms(clause.node, context) }))
+        };
+
+      default:
+        return node;
+    }
+  }
+
+  /**
+   * Find the word spans of a document matched by a term, phrase or near node
+   * @param {number} docId - Numeric document id
+   * @param {Object} leaf - Term, phrase or near node
+   * @param {Object} context - Query context from createQueryContext
+   * @returns {Array<Object>} - Spans as { first, last } word positions
+   */
+  findLeafSpans(docId, leaf, context) {
+    switch (leaf.type) {
+      case 'term':
+        return termSpans(context.positions(leaf.term, docId));
+
+      case 'phrase':
+        return findPhraseSpans(leaf.terms.map(term => context.positions(term, docId)));
+
+      case 'near': {
+        const operandSpans = leaf.operands.map(operand => this.findLeafSpans(docId, operand, context));
+        return findProximitySpans(operandSpans, leaf.constraints).flat();
+      }
+
+      default:
+        throw new Error(`Unknown query node: ${leaf.type}`);
+    }
+  }
+
+  /**
+   * Evaluate a parsed query tree to the sorted ids of matching documents
+   * @param {Object} node - Query tree node from parseQuery
+   * @param {Object} context - Query context from createQueryContext
+   * @returns {Array<number>} - Sorted document ids
+   */
+  evaluateQuery(node, context) {
+    switch (node.type) {
+      case 'term':
+        return context.postings(node.term);
+
+      case 'phrase': {
+        // Terms may all occur without forming the phrase
+        const candidates = InvertedIndex.intersect(node.terms.map(term => context.postings(term)));
+        return candidates.filter(docId => this.findLeafSpans(docId, node, context).length > 0);
+      }
+
+      case 'near': {
+        // Operands may all occur without being close enough to each other
+        const candidates = InvertedIndex.intersect(node.operands.map(operand => this.evaluateQuery(operand, context)));
+        return candidates.filter(docId => this.findLeafSpans(docId, node, context).length > 0);
+      }
+
+      case 'or':
+        return InvertedIndex.union(node.children.map(child => this.evaluateQuery(child, context)));
+
+      case 'group': {
+        const evaluate = occur => node.clauses
+          .filter(clause => clause.occur === occur)
+          .map(clause => this.evaluateQuery(clause.node, context));
+
+        const required = evaluate('must');
+        const excluded = InvertedIndex.union(evaluate('not'));
+        const matched = required.length > 0
+          ? InvertedIndex.intersect(required)
+          : InvertedIndex.union(evaluate('should'));
+
+        return InvertedIndex.difference(matched, excluded);
+      }
+
+      default:
+        throw new Error(`Unknown query node: ${node.type}`);
+    }
+  }
+
+  /**
+   * Find the spans of a document matched by the query's terms, phrases and
+   * proximity operators. Overlapping spans are merged so they can be
+   * highlighted directly
+   * @param {number} docId - Numeric document id
+   * @returns {Array<Object>} - Spans as { start, end, positions } where start and
+   *   end are offsets in the original text and positions the matched word positions
+   */
+  findMatches(docId, leaves, context) {
+    const spans = leaves.flatMap(leaf => this.findLeafSpans(docId, leaf, context));
+    spans.sort((a, b) => a.first - b.first || b.last - a.last);
+
+    const merged = [];
+    for (const span of spans) {
+      const last = merged[merged.length - 1];
+      if (last && span.first <= last.last) {
+        last.last = Math.max(last.last, span.last);
+      } else {
+        merged.push({ first: span.first, last: span.last });
+      }
+    }
+
+    // Positions were indexed from the same tokenization, so they map directly to tokens
+    const tokens = tokenize(this.documents[docId].hadith.text);
+
+    return merged.map(span => ({
+      start: tokens[span.first].start,
+      end: tokens[span.last].end,
+      positions: Array.from({ length: span.last - span.first + 1 }, (_, i) => span.first + i)
+    }));
+  }
+
+  /**
+   * Autocomplete suggestions from the corpus: words and frequent 2–3 word
+   * phrases starting with the query, ranked by the number of hadiths
+   * containing them. A trailing space completes the last word, so only
+   * phrases continuing it are suggested
+   * @param {string} query - Partial query
+   * @param {Object} options - { collectionId, limit }
+   * @returns {Array<Object>} - Suggestions as { text, type, count }
+   */
+  getSuggestions(query, options = {}) {
+    const words = this.extractTerms(query)
+      .map(term => normalizeArabic(term, 'loose'))
+      .filter(Boolean);
+
+    if (words.length === 0) return [];
+
+    const prefix = words.join(' ') + (/\s$/.test(query) ? ' ' : '');
+
+    return this.suggester.suggest(prefix, options).map(entry => ({
+      text: entry.key.split(' ').map(word => this.displayForm(word)).join(' '),
+      type: entry.type,
+      count: entry.count
+    }));
+  }
+
+  /**
+   * Readable spelling of a normalized word: its most common undiacritized
+   * spelling in the corpus
+   * @param {string} key - Loosely normalized word
+   * @returns {string}
+   */
+  displayForm(key) {
+    let best = null;
+    let bestRank = null;
+
+    for (const term of this.invertedIndex.getVariants('loose', key)) {
+      const rank = [hasDiacritics(term) ? 1 : 0, -this.invertedIndex.getPostings(term).length];
+      if (!bestRank || rank[0] < bestRank[0] || (rank[0] === bestRank[0] && rank[1] < bestRank[1])) {
+        best = term;
+        bestRank = rank;
+      }
+    }
+
+    return best ? stripDiacritics(best) : key;
+  }
+
+  /**
+   * Propose corrected queries for a search with few or no hits
+   * Query words found in fewer than SPARSE_RESULT_COUNT hadiths are replaced
+   * by close vocabulary words (see SpellingCorrector), and each corrected
+   * query is run with the same options to report its hit count. Only
+   * corrections finding more hadiths than the original query are kept.
+   * The corpus spelling of the word's own loose form is a candidate too,
+   * since a strict search can miss it (الصلاه for الصلاة with normalize=none)
+   * @param {string} query - Original query string
+   * @param {Array<Object>} leaves - Matching leaves of the parsed query
+   * @param {Object} context - Query context from createQueryContext
+   * @param {Object} options - Options of the original search
+   * @param {number} total - Hits of the original query
+   * @returns {Array<Object>} - Suggestions as { query, hits, corrections: [{ term, correction }] }
+   */
+  suggestCorrections(query, leaves, context, options, total) {
+    const suspects = [...new Set(leaves.flatMap(leafTerms))]
+      .filter(term => !isWildcard(term) && context.postings(term).length < SPARSE_RESULT_COUNT)
+      .slice(0, MAX_CORRECTIONS)
+      .map(term => ({
+        term,
+        candidates: this.spellingCorrector
+          .candidates(normalizeArabic(term, 'loose'), { limit: MAX_CORRECTIONS + 1, includeSelf: true })
+          .map(candidate => ({ ...candidate, correction: this.displayForm(candidate.word) }))
+          .filter(candidate => candidate.correction !== term)
+          .slice(0, MAX_CORRECTIONS)
+      }))
+      .filter(suspect => suspect.candidates.length > 0);
+
+    if (suspects.length === 0) return [];
+
+    // Best candidate for every word, then each runner-up swapped in on its own
+    const choices = [suspects.map(() => 0)];
+    suspects.forEach((suspect, index) => {
+      for (let rank = 1; rank < suspect.candidates.length; rank++) {
+        const choice = suspects.map(() => 0);
+        choice[index] = rank;
+        choices.push(choice);
+      }
+    });
+
+    const suggestions = choices.map(choice => {
+      const corrections = suspects.map((suspect, index) => ({
+        term: suspect.term,
+        correction: suspect.candidates[choice[index]].correction
+      }));
+      const distance = suspects.reduce((sum, suspect, index) => sum + suspect.candidates[choice[index]].distance, 0);
+      const corrected = replaceWords(query, new Map(corrections.map(entry => [entry.term, entry.correction])));
+
+      const { pagination } = this.searchHadiths(corrected, {
+        ...options,
+        limit: 1,
+        offset: 0,
+        facets: [],
+        highlight: false,
+        snippet: undefined,
+        correct: false
+      });
+
+      return { query: corrected, hits: pagination.total, corrections, distance };
+    });
+
+    return suggestions
+      .filter(suggestion => suggestion.hits > total)
+      .sort((a, b) => a.distance - b.distance || b.hits - a.hits)
+      .slice(0, MAX_CORRECTIONS)
+      .map(({ distance, ...suggestion }) => suggestion);
+  }
+
+  /**
+   * Parse a search query and resolve its terms for matching and ranking
+   * @param {string} query - Query string
+   * @param {Object} options - Search options: { exactMatch, op, mode, normalize,
+   *   diacritics, maxExpansions, transliterated, fuzziness, synonyms, field, k1, b }
+   * @returns {Object|null} - { tree, context, leaves, rankedTerms, parameters },
+   *   or null when the query has no searchable words
+   * @throws {QuerySyntaxError} - When the query cannot be parsed
+   */
+  compileQuery(query, options = {}) {
+    const {
+      exactMatch = false,
+      op = 'or',
+      normalize = DEFAULT_MODE,
+      diacritics = 'ignore',
+      mode = 'word',
+      maxExpansions = DEFAULT_MAX_EXPANSIONS,
+      transliterated = false,
+      fuzziness = 0,
+      synonyms = false,
+      field = 'all',
+      k1,
+      b
+    } = options;
+
+    const queryText = transliterated && query ? prepareQuery(query) : query;
+
+    if (!queryText || this.extractTerms(queryText).length === 0) {
+      return null;
+    }
+
+    const parsed = exactMatch
+      ? leafNode(this.extractTerms(queryText), 0)
+      : parseQuery(queryText, { defaultOperator: op, analyze: text => this.extractTerms(text) });
+
+    const context = this.createQueryContext({
+      mode,
+      normalize,
+      diacritics,
+      maxExpansions,
+      transliterated,
+      fuzziness,
+      synonyms,
+      field
+    });
+    const tree = synonyms ? this.expandSynonyms(parsed, context) : parsed;
+    const leaves = collectLeaves(tree);
+    const queryTerms = leaves.flatMap(leafTerms);
+    const termVariants = queryTerms.map(term => context.variants(term));
+
+    return {
+      tree,
+      context,
+      leaves,
+      rankedTerms: this.prepareRanking(
+        queryTerms,
+        termVariants,
+        queryTerms.map(term => context.weights(term)),
+        context.inField
+      ),
+      parameters: bm25.resolveParameters({
+        k1: k1 ?? this.rankingParameters.k1,
+        b: b ?? this.rankingParameters.b
+      })
+    };
+  }
+
+  /**
+   * Text search across all hadiths using the inverted index
+   * The query supports +required, -excluded, "exact phrase", OR, NEAR/n,
+   * ONEAR/n and parentheses; plain terms are combined with the default operator `op`.
+   * With exactMatch the whole query is one phrase. With mode=stem|root query
+   * terms match every inflected form of the word. Wildcard terms (حدث*) are
+   * expanded against the term dictionary, up to maxExpansions words each.
+   * With `transliterated`, Latin words (salah, zakat, 3umar) match the corpus
+   * words they may transliterate. With `fuzziness` (0, 1, 2 or 'auto'), words
+   * also match spellings within that edit distance, ranked below exact matches.
+   * With `synonyms`, words and phrases from the synonym dictionary also
+   * match their other forms (النبي / "رسول الله", الصلوة / الصلاة).
+   * `field` restricts matching and term frequencies to the chain of
+   * narrators (isnad) or the content (matn) of each hadith.
+   * highlight adds the text with matches wrapped in preTag/postTag, and
+   * snippet=<chars> a context window around the densest cluster of matches.
+   * `filters` ({ collections, fileTypes, sources, idRanges, minLength,
+   * maxLength, hasFullDiacritics }) are checked before ranking, and facets
+   * are counted over every match that passes them.
+   * Results are ranked by BM25, or ordered by `sort` ("length:desc,id"), with
+   * ties broken by canonical document order. With `dedupe`, each duplicate
+   * cluster keeps only its best result, before totals and facets are
+   * counted. Each result carries the offsets and word positions of its matches
+   * @throws {QuerySyntaxError} - When the query cannot be parsed
+   * @throws {SortError} - When the sort specification is invalid
+   */
+  searchHadiths(query, options = {}) {
+    const { 
+      collectionId, 
+      fileType,
+      limit = 50, 
+      offset = 0,
+      highlight = false,
+      snippet,
+      preTag,
+      postTag,
+      facets = [],
+      filters,
+      correct = true,
+      transliterated = false,
+      synonyms = false,
+      dedupe = false,
+      sort = 'relevance'
+    } = options;
+
+    const compareResults = compileSort(
+      parseSort(sort, SEARCH_SORT_FIELDS),
+      (left, right) => this.compareDocuments(left.document, right.document)
+    );
+
+    const compiled = this.compileQuery(query, options);
+
+    if (!compiled) {
+      return {
+        hadiths: [],
+        pagination: { total: 0, limit, offset, hasMore: false },
+        ...(facets.length > 0 && { facets: computeFacets([], facets) })
+      };
+    }
+
+    const { tree, context, leaves, rankedTerms, parameters } = compiled;
+    const candidates = this.evaluateQuery(tree, context);
+    const matchesFilters = compileFilters(filters);
+    let results = [];
+
+    for (const docId of candidates) {
+      const document = this.documents[docId];
+
+      // Filter by collection and file type if specified
+      if (collectionId && document.collectionId !== collectionId) {
+        continue;
+      }
+      if (fileType && document.fileType !== fileType) {
+        continue;
+      }
+      if (matchesFilters && !matchesFilters(document)) {
+        continue;
+      }
+
+      results.push({
+        docId,
+        document,
+        relevanceScore: this.scoreDocument(docId, rankedTerms, parameters)
+      });
+    }
+
+    results.sort(compareResults);
+    if (dedupe) {
+      results = this.collapseDuplicates(results, result => result.document);
+    }
+
+    // Apply pagination
+    const total = results.length;
+    const corrections = correct && total < SPARSE_RESULT_COUNT
+      ? this.suggestCorrections(query, leaves, context, options, total)
+      : [];
+    const paginatedResults = results.slice(offset, offset + limit).map(result => {
+      const { document } = result;
+      const text = document.hadith.text;
+      const matches = this.findMatches(result.docId, leaves, context);
+      const { matnOffset, confidence, cue } = this.getSegmentation(document.hadith);
+      const hadith = {
+        ...document.hadith,
+        collectionId: document.collectionId,
+        collectionName: document.collectionName,
+        fileType: document.fileType,
+        ...this.duplicateFields(document),
+        segmentation: { matnOffset, confidence, cue },
+        relevanceScore: result.relevanceScore,
+        matches: matches.map(match => ({
+          start: match.start,
+          end: match.end,
+          text: text.slice(match.start, match.end),
+          positions: match.positions
+        }))
+      };
+
+      // With a snippet the tags go into the snippet only, to keep long texts out of the response twice
+      if (snippet) {
+        hadith.snippet = buildSnippet(text, matches, { size: snippet, highlight, preTag, postTag });
+      } else if (highlight) {
+        hadith.highlightedText = highlightText(text, matches, { preTag, postTag });
+      }
+
+      return hadith;
+    });
+
+    return {
+      hadiths: paginatedResults,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      },
+      query: {
+        term: query,
+        options
+      },
+      expansions: [...context.expansions].map(([pattern, expansion]) => ({
+        pattern,
+        terms: expansion.keys,
+        total: expansion.total,
+        truncated: expansion.truncated
+      })),
+      ...(synonyms && {
+        synonyms: [...context.synonyms].map(([term, alternatives]) => ({ term, alternatives }))
+      }),
+      ...(transliterated && {
+        transliterations: [...context.transliterations].map(([term, transliteration]) => ({
+          term,
+          candidates: transliteration.keys.map(key => this.displayForm(key))
+        }))
+      }),
+      ...(facets.length > 0 && {
+        facets: computeFacets(results.map(result => result.document), facets)
+      }),
+      ...(corrections.length > 0 && { suggestions: corrections }),
+      unfilteredTotal: candidates.length
+    };
+  }
+
+  /**
+   * Explain how a hadith scores for a search query: which top-level clauses
+   * it matches, how each query term was normalized or expanded, and the
+   * BM25 factors behind each term's share of the score. The score is the
+   * relevanceScore the search routes would give the hadith
+   * @param {string} query - Query string (same syntax and options as searchHadiths)
+   * @param {Object} options - { collectionId, hadithId, fileType, exactMatch, op, mode,
+   *   normalize, diacritics, maxExpansions, transliterated, fuzziness, synonyms, field, k1, b }
+   * @returns {Object|null} - Explanation, or null when the hadith does not exist
+   * @throws {QuerySyntaxError} - When the query cannot be parsed
+   */
+  explainHadith(query, options = {}) {
+    const { collectionId, hadithId, fileType = 'regular', k1, b } = options;
+    const document = this.searchIndex.get(`${collectionId}-${fileType}-${hadithId}`);
+    if (!document) return null;
+
+    const { docId } = document;
+    const compiled = this.compileQuery(query, options);
+    const parameters = compiled
+      ? compiled.parameters
+      : bm25.resolveParameters({
+        k1: k1 ?? this.rankingParameters.k1,
+        b: b ?? this.rankingParameters.b
+      });
+    const documentLength = this.invertedIndex.getDocumentLength(docId);
+    const averageDocumentLength = this.invertedIndex.averageDocumentLength;
+
+    const explanation = {
+      hadith: {
+        id: document.hadith.id,
+        collectionId: document.collectionId,
+        collectionName: document.collectionName,
+        fileType: document.fileType,
+        textLength: document.hadith.textLength
+      },
+      query: {
+        term: query,
+        options
+      },
+      matched: false,
+      score: 0,
+      ranking: {
+        k1: parameters.k1,
+        b: parameters.b,
+        documentLength,
+        averageDocumentLength,
+        documentCount: this.invertedIndex.documentCount
+      },
+      clauses: [],
+      terms: []
+    };
+
+    if (!compiled) return explanation;
+
+    const { tree, context, rankedTerms } = compiled;
+    const text = document.hadith.text;
+    const contains = node => this.evaluateQuery(node, context).includes(docId);
+
+    // A query without operators is a single required clause
+    const clauses = tree.type === 'group' ? tree.clauses : [{ occur: 'must', node: tree }];
+
+    explanation.matched = contains(tree);
+    explanation.clauses = clauses.map(clause => ({
+      clause: formatNode(clause.node),
+      occur: clause.occur,
+      matched: contains(clause.node),
+      matches: this.findMatches(docId, collectLeaves(clause.node), context).map(match => ({
+        start: match.start,
+        end: match.end,
+        text: text.slice(match.start, match.end),
+        positions: match.positions
+      }))
+    }));
+
+    explanation.terms = rankedTerms.map(rankedTerm => {
+      const { term } = rankedTerm;
+      const variants = [...context.variants(term)];
+      const weights = context.weights(term);
+      const termFrequency = rankedTerm.frequencies.get(docId) || 0;
+      const frequencyWeight = bm25.termFrequencyWeight(termFrequency, documentLength, averageDocumentLength, parameters);
+
+      let expansion = null;
+      if (context.transliterations.has(term)) {
+        expansion = { type: 'transliteration', terms: context.transliterations.get(term).keys };
+      } else if (context.expansions.has(term)) {
+        expansion = { type: isWildcard(term) ? 'wildcard' : 'fuzzy', terms: context.expansions.get(term).keys };
+      }
+
+      const lookup = this.termLookup(term, options);
+
+      return {
+        term,
+        ...(!isWildcard(term) && !context.transliterations.has(term) && {
+          normalization: { table: lookup.table || 'none', key: lookup.key }
+        }),
+        ...(expansion && { expansion }),
+        ...(context.synonyms.has(term) && { synonyms: context.synonyms.get(term) }),
+        variants: variants.length,
+        occurrences: variants
+          .map(variant => ({
+            term: variant,
+            count: this.invertedIndex.getPositions(variant, docId)
+              .filter(position => !context.inField || context.inField(docId, position)).length,
+            weight: weights && weights.has(variant) ? weights.get(variant) : 1
+          }))
+          .filter(occurrence => occurrence.count > 0),
+        termFrequency,
+        documentFrequency: rankedTerm.documentFrequency,
+        idf: rankedTerm.idf,
+        frequencyWeight,
+        score: rankedTerm.idf * frequencyWeight
+      };
+    });
+
+    explanation.score = explanation.terms.reduce((sum, entry) => sum + entry.score, 0);
+    return explanation;
+  }
+
+  /**
+   * Search hadith texts with a regular expression
+   * The pattern runs in a worker thread within a time budget, over loosely
+   * normalized text (no diacritics or letter variants, with the pattern
+   * normalized the same way) or the raw text.
+   * Match offsets always refer to the original text. Results are in
+   * canonical document order, with one hadith per duplicate cluster under `dedupe`
+   * @param {string} pattern - Regular expression source
+   * @param {Object} options - { collectionId, fileType, text, wholeWords, timeBudget, dedupe, limit, offset }
+   * @returns {Promise<Object>} - { hadiths, pagination, query }
+   * @throws {RegexSearchError} - When the pattern is rejected or runs out of time
+   */
+  async searchRegex(pattern, options = {}) {
+    const {
+      collectionId,
+      fileType,
+      text: textMode = 'normalized',
+      wholeWords = false,
+      timeBudget = this.regexTimeBudget,
+      dedupe = false,
+      limit = 20,
+      offset = 0
+    } = options;
+
+    // Arabic letters in the pattern are folded like the text they are matched against
+    const source = compilePattern(
+      textMode === 'normalized' ? normalizeArabic(pattern, 'loose') : pattern,
+      { wholeWords }
+    );
+
+    let docIds = null;
+    if (collectionId || fileType) {
+      docIds = [];
+      this.documents.forEach((document, docId) => {
+        if (collectionId && document.collectionId !== collectionId) return;
+        if (fileType && document.fileType !== fileType) return;
+        docIds.push(docId);
+      });
+    }
+
+    let found = await this.regexSearcher.search(source, { textMode, docIds, timeBudget });
+    found.sort((left, right) =>
+      this.compareDocuments(this.documents[left.docId], this.documents[right.docId])
+    );
+    if (dedupe) {
+      found = this.collapseDuplicates(found, result => this.documents[result.docId]);
+    }
+
+    const total = found.length;
+    const normalizeCache = new Map();
+    const paginatedResults = found.slice(offset, offset + limit).map(({ docId, matches }) => {
+      const document = this.documents[docId];
+      const text = document.hadith.text;
+
+      // Map offsets in the normalized text back to the original
+      let toOriginal = index => index;
+      if (textMode === 'normalized') {
+        const { text: normalized, offsets } = normalizeWithOffsets(text, normalizeCache);
+        toOriginal = index => (index < normalized.length ? offsets[index] : text.length);
+      }
+
+      return {
+        ...this.formatDocument(document),
+        matches: matches.map(([start, end]) => {
+          const originalStart = toOriginal(start);
+          const originalEnd = toOriginal(end);
+          return { start: originalStart, end: originalEnd, text: text.slice(originalStart, originalEnd) };
+        })
+      };
+    });
+
+    return {
+      hadiths: paginatedResults,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      },
+      query: {
+        term: pattern,
+        options
+      }
+    };
+  }
+
+  /**
+   * Gather per-term ranking statistics for a query
+   * All indexed spellings of a query term count as one term; repeated query
+   * terms are ranked once
+   * @param {Array<string>} queryTerms - Query terms
+   * @param {Array<Set<string>>} termVariants - Indexed spellings per query term
+   * @param {Array<Map<string, number>>} termWeights - Optional weights of the spellings per query term
+   * @param {Function} inField - Optional field test; occurrences outside the field are not counted
+   * @returns {Array<Object>} - { term, frequencies, documentFrequency, idf }
+   */
+  prepareRanking(queryTerms, termVariants, termWeights = [], inField = null) {
+    const seen = new Set();
+    const rankedTerms = [];
+
+    queryTerms.forEach((term, i) => {
+      if (seen.has(term)) return;
+      seen.add(term);
+
+      const frequencies = this.invertedIndex.getTermFrequencies([...termVariants[i]], termWeights[i], inField);
+      rankedTerms.push({
+        term,
+        frequencies,
+        documentFrequency: frequencies.size,
+        idf: bm25.inverseDocumentFrequency(frequencies.size, this.invertedIndex.documentCount)
+      });
+    });
+
+    return rankedTerms;
+  }
+
+  /**
+   * BM25 score of a document for prepared query terms
+   */
+  scoreDocument(docId, rankedTerms, parameters = this.rankingParameters) {
+    const documentLength = this.invertedIndex.getDocumentLength(docId);
+    const averageLength = this.invertedIndex.averageDocumentLength;
+    let score = 0;
+
+    for (const rankedTerm of rankedTerms) {
+      const termFrequency = rankedTerm.frequencies.get(docId) || 0;
+      score += rankedTerm.idf * bm25.termFrequencyWeight(termFrequency, documentLength, averageLength, parameters);
+    }
+
+    return score;
+  }
+
+  /**
+   * Report the clusters of near-duplicate hadiths, largest first
+   * @param {Object} options - { collectionId, limit, offset }
+   * @returns {Object|null} - { collections, clusters, pagination }, or null when the collection does not exist
+   */
+  getDuplicateReport(options = {}) {
+    const { collectionId, limit = 20, offset = 0 } = options;
+    if (collectionId && !this.getCollection(collectionId)) return null;
+
+    const clusters = [...this.duplicateClusters]
+      .filter(([, cluster]) => !collectionId || cluster.collectionId === collectionId)
+      .map(([clusterId, cluster]) => ({ clusterId, ...cluster }))
+      .sort((a, b) => b.hadithIds.length - a.hadithIds.length || a.clusterId - b.clusterId);
+
+    // Hadiths are counted as in the primary file, once per hadith id
+    const collections = this.data.collections
+      .filter(collection => !collectionId || collection.collectionId === collectionId)
+      .map(collection => {
+        const own = clusters.filter(cluster => cluster.collectionId === collection.collectionId);
+        const clusteredHadiths = own.reduce((sum, cluster) => sum + cluster.hadithIds.length, 0);
+        const totalHadiths = (this.primaryFile(collection) || { hadiths: [] }).hadiths.length;
+        return {
+          collectionId: collection.collectionId,
+          collectionName: collection.collectionName,
+          totalHadiths,
+          clusterCount: own.length,
+          clusteredHadiths,
+          uniqueHadiths: totalHadiths - clusteredHadiths + own.length
+        };
+      });
+
+    const total = clusters.length;
+    return {
+      collections,
+      clusters: clusters.slice(offset, offset + limit).map(cluster => {
+        const { fileType } = this.primaryFile(this.getCollection(cluster.collectionId));
+        const first = this.searchIndex.get(`${cluster.collectionId}-${fileType}-${cluster.hadithIds[0]}`);
+        return {
+          clusterId: cluster.clusterId,
+          collectionId: cluster.collectionId,
+          size: cluster.hadithIds.length,
+          hadithIds: cluster.hadithIds,
+          text: first.hadith.text
+        };
+      }),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    };
+  }
+
+  /**
+   * Count the hadiths of each collection that repeat an earlier hadith of
+   * their duplicate cluster in the same file type
+   * @returns {Map<string, number>} - collectionId -> repeated hadiths
+   */
+  countDuplicateDocuments() {
+    const counts = new Map();
+    const kept = new Set(this.collapseDuplicates(this.documents));
+    for (const document of this.documents) {
+      if (kept.has(document)) continue;
+      counts.set(document.collectionId, (counts.get(document.collectionId) || 0) + 1);
+    }
+    return counts;
   }
 
   /**
@@ -304,6 +2077,11 @@ async function dataLoaderPlugin(fastify, options) {
   // Decorate fastify instance with data manager
   fastify.decorate('hadithData', dataManager);
   
+  // Stop the regex search worker with the server
+  fastify.addHook('onClose', async () => {
+    dataManager.regexSearcher.reset();
+  });
+
   // Add hook to check data availability
   fastify.addHook('preHandler', async (request, reply) => {
     if (!fastify.hadithData.loaded) {
@@ -321,4 +2099,5 @@ async function dataLoaderPlugin(fastify, options) {
 module.exports = fp(dataLoaderPlugin, {
   name: 'hadith-data-loader',
   dependencies: []
-});
\ No newline at end of file
+});
+module.exports.HadithDataManager = HadithDataManager;
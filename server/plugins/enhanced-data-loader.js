@@ -16,6 +16,7 @@ class HadithDataLoader {
         this.data = null;
         this.isLoaded = false;
         this.loadingMethod = null;
+        this.sourceFiles = [];
         this.stats = {
             collectionsCount: 0,
             hadithsCount: 0,
@@ -93,6 +94,7 @@ class HadithDataLoader {
 
             // Load all collection files
             const collections = [];
+            const sourceFiles = [manifestPath];
             let totalHadiths = 0;
 
             for (const fileInfo of manifest.files) {
@@ -103,6 +105,7 @@ class HadithDataLoader {
                     const collectionData = JSON.parse(fileData);
                     
                     collections.push(collectionData.collection);
+                    sourceFiles.push(filePath);
                     totalHadiths += fileInfo.hadithCount;
                     
                     console.log(`  📖 Loaded ${fileInfo.collectionName} (${fileInfo.hadithCount} hadiths)`);
@@ -121,6 +124,7 @@ class HadithDataLoader {
                 }
             };
 
+            this.sourceFiles = sourceFiles;
             this.stats.collectionsCount = collections.length;
             this.stats.hadithsCount = totalHadiths;
 
@@ -163,6 +167,7 @@ class HadithDataLoader {
                 });
             }
 
+            this.sourceFiles = [unifiedPath];
             this.stats.collectionsCount = this.data.collections ? this.data.collections.length : 0;
             this.stats.hadithsCount = totalHadiths;
 
@@ -310,6 +315,13 @@ class HadithDataLoader {
         return Math.round(score);
     }
 
+    /**
+     * Get the paths of the files the data was loaded from
+     */
+    getSourceFiles() {
+        return this.sourceFiles;
+    }
+
     /**
      * Get loading statistics
      */
@@ -0,0 +1,87 @@
+const { SynonymError } = require('../search/synonyms');
+
+// Synonym dictionary summary returned by the admin routes
+const SYNONYMS_SCHEMA = {
+  type: 'object',
+  properties: {
+    path: { type: 'string' },
+    loadedAt: { type: 'string', nullable: true },
+    groupCount: { type: 'integer' },
+    termCount: { type: 'integer', description: 'Distinct words and phrases in the dictionary' },
+    groups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          terms: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: { type: 'boolean' },
+    message: { type: 'string' },
+    statusCode: { type: 'number' }
+  }
+};
+
+/**
+ * Admin Routes
+ * Maintenance endpoints for administrators
+ */
+async function adminRoutes(fastify, options) {
+
+  // List the synonym dictionary in use
+  fastify.get('/synonyms', {
+    preHandler: fastify.requireAdmin,
+    schema: {
+      description: 'List the synonym dictionary used for query expansion',
+      tags: ['Admin'],
+      response: {
+        200: SYNONYMS_SCHEMA,
+        401: ERROR_SCHEMA,
+        403: ERROR_SCHEMA
+      }
+    }
+  }, async (request, reply) => {
+    return fastify.hadithData.getSynonyms();
+  });
+
+  // Reload the synonym dictionary from disk
+  fastify.post('/synonyms/reload', {
+    preHandler: fastify.requireAdmin,
+    schema: {
+      description: 'Reload the synonym dictionary file without restarting the server',
+      tags: ['Admin'],
+      response: {
+        200: SYNONYMS_SCHEMA,
+        401: ERROR_SCHEMA,
+        403: ERROR_SCHEMA,
+        500: ERROR_SCHEMA
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const synonyms = await fastify.hadithData.loadSynonyms();
+      fastify.log.info(`📖 Synonym dictionary reloaded: ${synonyms.groupCount} groups`);
+      return synonyms;
+    } catch (error) {
+      if (error instanceof SynonymError) {
+        reply.status(500).send({
+          error: true,
+          message: `Failed to reload synonyms: ${error.message}. The previous dictionary is still in use`,
+          statusCode: 500
+        });
+        return;
+      }
+      throw error;
+    }
+  });
+}
+
+module.exports = adminRoutes;
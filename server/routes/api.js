@@ -8,6 +8,7 @@ async function apiRoutes(fastify, options) {
   // Register sub-route modules
   await fastify.register(require('./collections'), { prefix: '/collections' });
   await fastify.register(require('./search'), { prefix: '/search' });
+  await fastify.register(require('./narrators'), { prefix: '/narrators' });
   await fastify.register(require('./stats'), { prefix: '/stats' });
 
   /**
@@ -42,6 +43,7 @@ async function apiRoutes(fastify, options) {
       endpoints: {
         collections: `${baseUrl}${request.routerPath}/collections`,
         search: `${baseUrl}${request.routerPath}/search`,
+        narrators: `${baseUrl}${request.routerPath}/narrators`,
         stats: `${baseUrl}${request.routerPath}/stats`,
         health: `${baseUrl}/health`,
         documentation: `${baseUrl}/docs/`
@@ -64,6 +64,21 @@ async function authRoutes(fastify, options) {
     }
   });
 
+  // Admin role check decorator
+  fastify.decorate('requireAdmin', async function (request, reply) {
+    await fastify.authenticate(request, reply);
+
+    if (reply.sent) return; // Authentication failed
+
+    if (request.user.role !== 'admin') {
+      reply.status(403).send({
+        error: true,
+        message: 'Admin access required',
+        statusCode: 403
+      });
+    }
+  });
+
   // Helper function to create user session
   function createUserSession(user) {
     const token = jwt.sign({
@@ -288,8 +303,12 @@ async function authRoutes(fastify, options) {
   // Register token management routes
   await fastify.register(require('./tokens'), { prefix: '' });
 
+  // Register admin maintenance routes
+  await fastify.register(require('./admin'), { prefix: '/admin' });
+
   fastify.log.info('🔐 Authentication routes registered');
   fastify.log.info('🔑 Token management routes registered');
+  fastify.log.info('🛠️  Admin routes registered');
 }
 
 module.exports = authRoutes;
\ No newline at end of file
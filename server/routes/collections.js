@@ -3,6 +3,9 @@
  * Endpoints for accessing Hadith collections and individual hadiths
  */
 
+const { LISTING_SORT_FIELDS, SortError } = require('../search/sorting');
+const { ParallelsError, MIN_SIMILARITY } = require('../search/parallels');
+
 async function collectionsRoutes(fastify, options) {
 
   /**
@@ -143,6 +146,15 @@ async function collectionsRoutes(fastify, options) {
             enum: ['regular', 'mushakkala_mufassala'],
             description: 'Type of text (regular or with diacritics)'
           },
+          sort: {
+            type: 'string',
+            description: `Comma-separated sort keys, each optionally :asc or :desc (e.g. id:desc). Fields: ${LISTING_SORT_FIELDS.join(', ')}. Defaults to source order`
+          },
+          dedupe: {
+            type: 'boolean',
+            default: false,
+            description: 'List only the first hadith of each cluster of near-duplicate hadiths'
+          },
           limit: { 
             type: 'integer', 
             minimum: 1, 
@@ -173,7 +185,9 @@ async function collectionsRoutes(fastify, options) {
                   hasFullDiacritics: { type: 'boolean' },
                   collectionId: { type: 'string' },
                   collectionName: { type: 'string' },
-                  fileType: { type: 'string' }
+                  fileType: { type: 'string' },
+                  clusterId: { type: ['integer', 'null'] },
+                  duplicateCount: { type: 'integer' }
                 }
               }
             },
@@ -188,6 +202,14 @@ async function collectionsRoutes(fastify, options) {
             }
           }
         },
+        400: {
+          type: 'object',
+          properties: {
+            error: { type: 'boolean' },
+            message: { type: 'string' },
+            statusCode: { type: 'number' }
+          }
+        },
         404: {
           type: 'object',
           properties: {
@@ -200,13 +222,28 @@ async function collectionsRoutes(fastify, options) {
     }
   }, async (request, reply) => {
     const { collectionId } = request.params;
-    const { fileType, limit = 20, offset = 0 } = request.query;
+    const { fileType, sort, dedupe = false, limit = 20, offset = 0 } = request.query;
     
-    const result = fastify.hadithData.getCollectionHadiths(collectionId, {
-      fileType,
-      limit: Math.min(limit, 100), // Cap at 100
-      offset
-    });
+    let result;
+    try {
+      result = fastify.hadithData.getCollectionHadiths(collectionId, {
+        fileType,
+        sort,
+        dedupe,
+        limit: Math.min(limit, 100), // Cap at 100
+        offset
+      });
+    } catch (error) {
+      if (error instanceof SortError) {
+        reply.status(400).send({
+          error: true,
+          message: error.message,
+          statusCode: 400
+        });
+        return;
+      }
+      throw error;
+    }
     
     if (!result) {
       reply.status(404).send({
@@ -262,7 +299,19 @@ async function collectionsRoutes(fastify, options) {
             hasFullDiacritics: { type: 'boolean' },
             collectionId: { type: 'string' },
             collectionName: { type: 'string' },
-            fileType: { type: 'string' }
+            fileType: { type: 'string' },
+            isnad: { type: 'string', description: 'Chain of narrators at the start of the text' },
+            matn: { type: 'string', description: 'Content of the hadith after the chain' },
+            clusterId: { type: ['integer', 'null'], description: 'Duplicate cluster of the hadith, null when it has no near-duplicates' },
+            duplicateCount: { type: 'integer', description: 'Other hadiths of the collection in the same duplicate cluster' },
+            segmentation: {
+              type: 'object',
+              properties: {
+                matnOffset: { type: 'integer', description: 'Character offset in text where the matn starts' },
+                confidence: { type: 'number', description: 'Confidence of the split, from 0 to 1' },
+                cue: { type: 'string', description: 'Cue that ended the chain of narrators' }
+              }
+            }
           }
         },
         404: {
@@ -293,6 +342,145 @@ async function collectionsRoutes(fastify, options) {
     return hadith;
   });
 
+  /**
+   * Get parallel narrations of a hadith
+   */
+  fastify.get('/:collectionId/hadiths/:hadithId/parallels', {
+    schema: {
+      description: 'Get narrations of the same report in other collections, by similarity of their matn',
+      tags: ['Collections'],
+      params: {
+        type: 'object',
+        properties: {
+          collectionId: { 
+            type: 'string',
+            description: 'Collection identifier'
+          },
+          hadithId: { 
+            type: 'string',
+            description: 'Hadith ID within the collection'
+          }
+        },
+        required: ['collectionId', 'hadithId']
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          threshold: {
+            type: 'number',
+            minimum: MIN_SIMILARITY,
+            maximum: 1,
+            default: 0.5,
+            description: `Lowest similarity (Jaccard similarity of the matn word pairs) of the parallels returned, from ${MIN_SIMILARITY}, the lowest kept in the parallels file`
+          },
+          fileType: { 
+            type: 'string', 
+            enum: ['regular', 'mushakkala_mufassala'],
+            default: 'regular',
+            description: 'Type of text of the hadith and its parallels'
+          },
+          limit: { 
+            type: 'integer', 
+            minimum: 1, 
+            maximum: 100, 
+            default: 20,
+            description: 'Number of parallels per page'
+          },
+          offset: { 
+            type: 'integer', 
+            minimum: 0, 
+            default: 0,
+            description: 'Number of parallels to skip'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            hadith: {
+              type: 'object',
+              properties: {
+                collectionId: { type: 'string' },
+                hadithId: { type: 'string' }
+              }
+            },
+            threshold: { type: 'number' },
+            parallels: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  collectionId: { type: 'string' },
+                  collectionName: { type: 'string' },
+                  hadithId: { type: 'string' },
+                  fileType: { type: 'string' },
+                  similarity: { type: 'number' },
+                  text: { type: 'string' },
+                  matn: { type: 'string' }
+                }
+              }
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                total: { type: 'number' },
+                limit: { type: 'number' },
+                offset: { type: 'number' },
+                hasMore: { type: 'boolean' }
+              }
+            }
+          }
+        },
+        404: {
+          type: 'object',
+          properties: {
+            error: { type: 'boolean' },
+            message: { type: 'string' },
+            statusCode: { type: 'number' }
+          }
+        },
+        503: {
+          type: 'object',
+          properties: {
+            error: { type: 'boolean' },
+            message: { type: 'string' },
+            statusCode: { type: 'number' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { collectionId, hadithId } = request.params;
+    const { threshold = 0.5, fileType = 'regular', limit = 20, offset = 0 } = request.query;
+
+    let result;
+    try {
+      result = fastify.hadithData.getHadithParallels(collectionId, hadithId, { threshold, fileType, limit, offset });
+    } catch (error) {
+      if (error instanceof ParallelsError) {
+        reply.status(503).send({
+          error: true,
+          message: error.message,
+          statusCode: 503
+        });
+        return;
+      }
+      throw error;
+    }
+
+    if (!result) {
+      reply.status(404).send({
+        error: true,
+        message: `Hadith '${hadithId}' not found in collection '${collectionId}' with file type '${fileType}'`,
+        statusCode: 404
+      });
+      return;
+    }
+
+    return result;
+  });
+
   fastify.log.info('📚 Collections routes registered');
 }
 
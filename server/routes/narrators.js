@@ -0,0 +1,500 @@
+/**
+ * Narrators Routes
+ * Endpoints for the narrators named in the chains (isnads) of the hadiths
+ * and the teacher -> student transmission graph between them
+ */
+
+const { toGraphML } = require('../search/transmission-graph');
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: { type: 'boolean' },
+    message: { type: 'string' },
+    statusCode: { type: 'number' }
+  }
+};
+
+const PAGINATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    total: { type: 'number' },
+    limit: { type: 'number' },
+    offset: { type: 'number' },
+    hasMore: { type: 'boolean' }
+  }
+};
+
+const ID_PARAMS = {
+  type: 'object',
+  properties: {
+    id: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Narrator identifier'
+    }
+  },
+  required: ['id']
+};
+
+const LINK_QUERY = {
+  type: 'object',
+  properties: {
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 20,
+      description: 'Number of narrators per page'
+    },
+    offset: {
+      type: 'integer',
+      minimum: 0,
+      default: 0,
+      description: 'Number of narrators to skip'
+    }
+  }
+};
+
+const NARRATOR_REF_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' }
+  }
+};
+
+/**
+ * Response schema of a list of teachers or students
+ */
+function linksSchema(relation) {
+  return {
+    type: 'object',
+    properties: {
+      narrator: NARRATOR_REF_SCHEMA,
+      [relation]: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            weight: { type: 'number', description: 'Hadiths transmitted along this link' }
+          }
+        }
+      },
+      pagination: PAGINATION_SCHEMA
+    }
+  };
+}
+
+async function narratorsRoutes(fastify, options) {
+
+  /**
+   * Send the teachers or students of a narrator
+   */
+  function sendLinks(request, reply, relation) {
+    const { id } = request.params;
+    const { limit = 20, offset = 0 } = request.query;
+    const result = fastify.hadithData.getNarratorLinks(id, relation, { limit, offset });
+
+    if (!result) {
+      reply.status(404).send({
+        error: true,
+        message: `Narrator '${id}' not found`,
+        statusCode: 404
+      });
+      return;
+    }
+
+    return result;
+  }
+
+  /**
+   * List narrators
+   */
+  fastify.get('/', {
+    schema: {
+      description: 'List the narrators found in the chains of narration, most hadiths first',
+      tags: ['Narrators'],
+      querystring: {
+        type: 'object',
+        properties: {
+          q: {
+            type: 'string',
+            description: 'Part of a name, matched against every spelling without diacritics'
+          },
+          collectionId: {
+            type: 'string',
+            description: 'Only narrators of this collection, with its hadith counts'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            default: 20,
+            description: 'Number of narrators per page'
+          },
+          offset: {
+            type: 'integer',
+            minimum: 0,
+            default: 0,
+            description: 'Number of narrators to skip'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            narrators: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  name: { type: 'string' },
+                  hadithCount: { type: 'number' }
+                }
+              }
+            },
+            pagination: PAGINATION_SCHEMA
+          }
+        },
+        400: ERROR_SCHEMA
+      }
+    }
+  }, async (request, reply) => {
+    const { q, collectionId, limit = 20, offset = 0 } = request.query;
+
+    const result = fastify.hadithData.getNarrators({ q, collectionId, limit, offset });
+
+    if (!result) {
+      reply.status(400).send({
+        error: true,
+        message: `Collection '${collectionId}' not found`,
+        statusCode: 400
+      });
+      return;
+    }
+
+    return result;
+  });
+
+  /**
+   * Get a narrator
+   */
+  fastify.get('/:id', {
+    schema: {
+      description: 'Get a narrator with the spellings of the name and hadith counts per collection',
+      tags: ['Narrators'],
+      params: ID_PARAMS,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            variants: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  count: { type: 'number', description: 'Occurrences of this spelling in the chains' }
+                }
+              }
+            },
+            hadithCount: { type: 'number' },
+            collections: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  collectionId: { type: 'string' },
+                  collectionName: { type: 'string' },
+                  hadithCount: { type: 'number' }
+                }
+              }
+            }
+          }
+        },
+        404: ERROR_SCHEMA
+      }
+    }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const narrator = fastify.hadithData.getNarrator(id);
+
+    if (!narrator) {
+      reply.status(404).send({
+        error: true,
+        message: `Narrator '${id}' not found`,
+        statusCode: 404
+      });
+      return;
+    }
+
+    return narrator;
+  });
+
+  /**
+   * Get the hadiths of a narrator
+   */
+  fastify.get('/:id/hadiths', {
+    schema: {
+      description: 'Get the hadiths whose chain of narration names a narrator, with pagination',
+      tags: ['Narrators'],
+      params: ID_PARAMS,
+      querystring: {
+        type: 'object',
+        properties: {
+          collectionId: {
+            type: 'string',
+            description: 'Only hadiths of this collection'
+          },
+          fileType: {
+            type: 'string',
+            enum: ['regular', 'mushakkala_mufassala'],
+            description: 'Type of text (regular or with diacritics)'
+          },
+          dedupe: {
+            type: 'boolean',
+            default: false,
+            description: 'List only the first hadith of each cluster of near-duplicate hadiths'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            default: 20,
+            description: 'Number of hadiths per page'
+          },
+          offset: {
+            type: 'integer',
+            minimum: 0,
+            default: 0,
+            description: 'Number of hadiths to skip'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            narrator: NARRATOR_REF_SCHEMA,
+            hadiths: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  text: { type: 'string' },
+                  textLength: { type: 'number' },
+                  hasFullDiacritics: { type: 'boolean' },
+                  collectionId: { type: 'string' },
+                  collectionName: { type: 'string' },
+                  fileType: { type: 'string' },
+                  clusterId: { type: ['integer', 'null'] },
+                  duplicateCount: { type: 'integer' }
+                }
+              }
+            },
+            pagination: PAGINATION_SCHEMA
+          }
+        },
+        400: ERROR_SCHEMA,
+        404: ERROR_SCHEMA
+      }
+    }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const { collectionId, fileType, dedupe = false, limit = 20, offset = 0 } = request.query;
+
+    if (collectionId && !fastify.hadithData.getCollection(collectionId)) {
+      reply.status(400).send({
+        error: true,
+        message: `Collection '${collectionId}' not found`,
+        statusCode: 400
+      });
+      return;
+    }
+
+    const result = fastify.hadithData.getNarratorHadiths(id, { collectionId, fileType, dedupe, limit, offset });
+
+    if (!result) {
+      reply.status(404).send({
+        error: true,
+        message: `Narrator '${id}' not found`,
+        statusCode: 404
+      });
+      return;
+    }
+
+    return result;
+  });
+
+  /**
+   * Get the teachers of a narrator
+   */
+  fastify.get('/:id/teachers', {
+    schema: {
+      description: 'Get the narrators a narrator transmitted from, with the number of hadiths per link',
+      tags: ['Narrators'],
+      params: ID_PARAMS,
+      querystring: LINK_QUERY,
+      response: {
+        200: linksSchema('teachers'),
+        404: ERROR_SCHEMA
+      }
+    }
+  }, async (request, reply) => {
+    return sendLinks(request, reply, 'teachers');
+  });
+
+  /**
+   * Get the students of a narrator
+   */
+  fastify.get('/:id/students', {
+    schema: {
+      description: 'Get the narrators who transmitted from a narrator, with the number of hadiths per link',
+      tags: ['Narrators'],
+      params: ID_PARAMS,
+      querystring: LINK_QUERY,
+      response: {
+        200: linksSchema('students'),
+        404: ERROR_SCHEMA
+      }
+    }
+  }, async (request, reply) => {
+    return sendLinks(request, reply, 'students');
+  });
+
+  /**
+   * Shortest transmission path between two narrators
+   */
+  fastify.get('/path', {
+    schema: {
+      description: 'Find the shortest transmission path between two narrators',
+      tags: ['Narrators'],
+      querystring: {
+        type: 'object',
+        properties: {
+          from: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Narrator id where the path starts (the earlier narrator, e.g. a Companion)'
+          },
+          to: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Narrator id where the path ends'
+          },
+          directed: {
+            type: 'boolean',
+            default: true,
+            description: 'Only follow transmission from teacher to student; false also follows it backwards'
+          }
+        },
+        required: ['from', 'to']
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            from: NARRATOR_REF_SCHEMA,
+            to: NARRATOR_REF_SCHEMA,
+            directed: { type: 'boolean' },
+            length: { type: 'integer', description: 'Number of links' },
+            path: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  name: { type: 'string' },
+                  weight: { type: 'number', nullable: true, description: 'Hadiths transmitted along the link from the previous narrator' }
+                }
+              }
+            }
+          }
+        },
+        404: ERROR_SCHEMA
+      }
+    }
+  }, async (request, reply) => {
+    const { from, to, directed = true } = request.query;
+
+    for (const id of [from, to]) {
+      if (!fastify.hadithData.getNarrator(id)) {
+        reply.status(404).send({
+          error: true,
+          message: `Narrator '${id}' not found`,
+          statusCode: 404
+        });
+        return;
+      }
+    }
+
+    const result = fastify.hadithData.findTransmissionPath(from, to, { directed });
+
+    if (!result) {
+      reply.status(404).send({
+        error: true,
+        message: `No transmission path from narrator '${from}' to narrator '${to}'`,
+        statusCode: 404
+      });
+      return;
+    }
+
+    return result;
+  });
+
+  /**
+   * Export the transmission graph
+   */
+  fastify.get('/graph', {
+    schema: {
+      description: 'Export the teacher -> student transmission graph as JSON or GraphML (for Gephi and similar tools)',
+      tags: ['Narrators'],
+      querystring: {
+        type: 'object',
+        properties: {
+          format: {
+            type: 'string',
+            enum: ['json', 'graphml'],
+            default: 'json',
+            description: 'Export format'
+          },
+          minWeight: {
+            type: 'integer',
+            minimum: 1,
+            default: 1,
+            description: 'Leave out links with fewer hadiths'
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { format = 'json', minWeight = 1 } = request.query;
+    const graph = fastify.hadithData.getTransmissionGraph({ minWeight });
+
+    if (format === 'graphml') {
+      reply
+        .type('application/graphml+xml; charset=utf-8')
+        .header('Content-Disposition', 'attachment; filename="transmission-graph.graphml"');
+      return toGraphML(graph);
+    }
+
+    return {
+      directed: true,
+      nodeCount: graph.nodes.length,
+      edgeCount: graph.edges.length,
+      ...graph
+    };
+  });
+
+  fastify.log.info('👤 Narrators routes registered');
+}
+
+module.exports = narratorsRoutes;
@@ -1,3 +1,112 @@
+const { QuerySyntaxError } = require('../search/query-parser');
+const { FACET_NAMES } = require('../search/facets');
+const { RegexSearchError, MAX_PATTERN_LENGTH } = require('../search/regex-search');
+const { SEARCH_SORT_FIELDS, SortError } = require('../search/sorting');
+const { SEARCH_FIELDS } = require('../search/isnad-segmenter');
+
+// Pagination envelope shared by the search routes
+const PAGINATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    total: { type: 'number' },
+    limit: { type: 'number' },
+    offset: { type: 'number' },
+    hasMore: { type: 'boolean' }
+  }
+};
+
+// The query as received, with the options it ran with
+const QUERY_SCHEMA = {
+  type: 'object',
+  properties: {
+    term: { type: 'string' },
+    options: { type: 'object', additionalProperties: true }
+  }
+};
+
+// Facet counts: facet name -> { value: count }
+const FACETS_SCHEMA = {
+  type: 'object',
+  description: 'Number of matching hadiths per facet value, over all pages',
+  additionalProperties: {
+    type: 'object',
+    additionalProperties: { type: 'integer' }
+  }
+};
+
+// "Did you mean" corrections for searches with few or no hits
+const SUGGESTIONS_SCHEMA = {
+  type: 'array',
+  description: 'Corrected queries, present when the search found few or no hadiths',
+  items: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      hits: { type: 'integer', description: 'Number of hadiths the corrected query finds' },
+      corrections: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            term: { type: 'string' },
+            correction: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Corpus words each Latin query word was transliterated to
+const TRANSLITERATIONS_SCHEMA = {
+  type: 'array',
+  description: 'Arabic words each Latin query word was expanded to, present with transliterated=true',
+  items: {
+    type: 'object',
+    properties: {
+      term: { type: 'string' },
+      candidates: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+// Dictionary synonyms each query word or phrase was expanded with
+const SYNONYMS_SCHEMA = {
+  type: 'array',
+  description: 'Synonyms each query word or phrase was expanded with, present with synonyms=true',
+  items: {
+    type: 'object',
+    properties: {
+      term: { type: 'string' },
+      alternatives: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+// Cluster of near-duplicate hadiths a hadith belongs to
+const DUPLICATE_FIELDS = {
+  clusterId: { type: ['integer', 'null'], description: 'Duplicate cluster of the hadith, null when it has no near-duplicates' },
+  duplicateCount: { type: 'integer', description: 'Other hadiths of the collection in the same duplicate cluster' }
+};
+
+// Where a hadith's matn starts and how sure the split is
+const SEGMENTATION_SCHEMA = {
+  type: 'object',
+  description: 'Split of the text into isnad (chain of narrators) and matn (content)',
+  properties: {
+    matnOffset: { type: 'integer', description: 'Character offset in text where the matn starts' },
+    confidence: { type: 'number', description: 'Confidence of the split, from 0 to 1' },
+    cue: { type: 'string', description: 'Cue that ended the chain of narrators' }
+  }
+};
+
+/**
+ * Parse the fuzziness parameter ('0', '1', '2' or 'auto')
+ */
+function parseFuzziness(value) {
+  return value === 'auto' ? 'auto' : Number(value);
+}
+
 /**
  * Search Routes
  * Endpoints for searching across Hadith collections
@@ -5,6 +114,29 @@
 
 async function searchRoutes(fastify, options) {
 
+  /**
+   * Reply with a 400 for an invalid sort specification
+   */
+  function sendSortError(reply, error) {
+    reply.status(400).send({
+      error: true,
+      message: error.message,
+      statusCode: 400
+    });
+  }
+
+  /**
+   * Reply with a 400 pointing at the offending position in the query
+   */
+  function sendQuerySyntaxError(reply, error) {
+    reply.status(400).send({
+      error: true,
+      message: `Invalid search query: ${error.message}`,
+      statusCode: 400,
+      position: error.position
+    });
+  }
+
   /**
    * Search hadiths by text
    */
@@ -18,7 +150,7 @@ async function searchRoutes(fastify, options) {
           q: { 
             type: 'string',
             minLength: 1,
-            description: 'Search query text'
+            description: 'Search query: words, prefix*/wildcard terms, +required, -excluded, "exact phrase", OR, NEAR/n, ONEAR/n, ( )'
           },
           collection: { 
             type: 'string',
@@ -32,7 +164,109 @@ async function searchRoutes(fastify, options) {
           exact: { 
             type: 'boolean', 
             default: false,
-            description: 'Use exact matching instead of fuzzy search'
+            description: 'Treat the whole query as one exact phrase'
+          },
+          op: {
+            type: 'string',
+            enum: ['and', 'or'],
+            default: 'or',
+            description: 'Default operator between plain terms'
+          },
+          normalize: {
+            type: 'string',
+            enum: ['strict', 'loose', 'none'],
+            default: 'strict',
+            description: 'Arabic normalization: strict folds letter variants, loose also ignores diacritics, none compares text as is'
+          },
+          diacritics: {
+            type: 'string',
+            enum: ['ignore', 'compatible', 'exact'],
+            default: 'ignore',
+            description: 'With strict normalization: ignore harakat, require vowelling compatible with the query, or match harakat exactly'
+          },
+          mode: {
+            type: 'string',
+            enum: ['word', 'stem', 'root'],
+            default: 'word',
+            description: 'Match words as written, by light stem (affixes removed) or by root'
+          },
+          maxExpansions: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 1000,
+            default: 100,
+            description: 'Most dictionary words each wildcard term (حدث*, *ون, ح?ث) may expand to'
+          },
+          fuzziness: {
+            type: 'string',
+            enum: ['0', '1', '2', 'auto'],
+            default: '0',
+            description: 'Also match words within this edit distance; auto allows 0 for 1–2 letters, 1 up to 5 letters and 2 beyond, not counting the definite article'
+          },
+          transliterated: {
+            type: 'boolean',
+            default: false,
+            description: 'Treat Latin words as transliterated Arabic (salah, zakat, 3umar, ṣalāh) and search the corpus words they may stand for'
+          },
+          synonyms: {
+            type: 'boolean',
+            default: false,
+            description: 'Also match the synonyms of query words and phrases from the synonym dictionary (النبي / "رسول الله", الصلوة / الصلاة)'
+          },
+          field: {
+            type: 'string',
+            enum: SEARCH_FIELDS,
+            default: 'all',
+            description: 'Part of each hadith to search: the chain of narrators (isnad), the content (matn) or the whole text'
+          },
+          highlight: {
+            type: 'boolean',
+            default: false,
+            description: 'Wrap matches in preTag/postTag (in the snippet when one is requested, otherwise in highlightedText)'
+          },
+          snippet: {
+            type: 'integer',
+            minimum: 20,
+            maximum: 2000,
+            description: 'Return a snippet of about this many characters around the matches'
+          },
+          preTag: {
+            type: 'string',
+            maxLength: 100,
+            default: '<mark>',
+            description: 'Inserted before each highlighted match'
+          },
+          postTag: {
+            type: 'string',
+            maxLength: 100,
+            default: '</mark>',
+            description: 'Inserted after each highlighted match'
+          },
+          facets: {
+            type: 'string',
+            description: `Comma-separated facets to count over all matches: ${FACET_NAMES.join(', ')}`
+          },
+          sort: {
+            type: 'string',
+            default: 'relevance',
+            description: `Comma-separated sort keys, each optionally :asc or :desc (e.g. length:desc,id). Fields: ${SEARCH_SORT_FIELDS.join(', ')}`
+          },
+          dedupe: {
+            type: 'boolean',
+            default: false,
+            description: 'Return only the best result of each cluster of near-duplicate hadiths'
+          },
+          k1: {
+            type: 'number',
+            minimum: 0,
+            maximum: 10,
+            description: 'BM25 term frequency saturation (defaults to BM25_K1 or 1.2)'
+          },
+          b: {
+            type: 'number',
+            minimum: 0,
+            maximum: 1,
+            description: 'BM25 length normalization strength (defaults to BM25_B or 0.75)'
           },
           limit: { 
             type: 'integer', 
@@ -66,26 +300,49 @@ async function searchRoutes(fastify, options) {
                   collectionId: { type: 'string' },
                   collectionName: { type: 'string' },
                   fileType: { type: 'string' },
-                  relevanceScore: { type: 'number' }
+                  ...DUPLICATE_FIELDS,
+                  segmentation: SEGMENTATION_SCHEMA,
+                  relevanceScore: { type: 'number' },
+                  highlightedText: { type: 'string' },
+                  snippet: { type: 'string' },
+                  matches: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        start: { type: 'number' },
+                        end: { type: 'number' },
+                        text: { type: 'string' },
+                        positions: {
+                          type: 'array',
+                          items: { type: 'integer' },
+                          description: 'Word positions covered by the match'
+                        }
+                      }
+                    }
+                  }
                 }
               }
             },
-            pagination: {
-              type: 'object',
-              properties: {
-                total: { type: 'number' },
-                limit: { type: 'number' },
-                offset: { type: 'number' },
-                hasMore: { type: 'boolean' }
+            pagination: PAGINATION_SCHEMA,
+            facets: FACETS_SCHEMA,
+            suggestions: SUGGESTIONS_SCHEMA,
+            transliterations: TRANSLITERATIONS_SCHEMA,
+            synonyms: SYNONYMS_SCHEMA,
+            expansions: {
+              type: 'array',
+              description: 'Dictionary words each wildcard or fuzzy term expanded to',
+              items: {
+                type: 'object',
+                properties: {
+                  pattern: { type: 'string' },
+                  terms: { type: 'array', items: { type: 'string' } },
+                  total: { type: 'number' },
+                  truncated: { type: 'boolean' }
+                }
               }
             },
-            query: {
-              type: 'object',
-              properties: {
-                term: { type: 'string' },
-                options: { type: 'object' }
-              }
-            }
+            query: QUERY_SCHEMA
           }
         },
         400: {
@@ -93,7 +350,8 @@ async function searchRoutes(fastify, options) {
           properties: {
             error: { type: 'boolean' },
             message: { type: 'string' },
-            statusCode: { type: 'number' }
+            statusCode: { type: 'number' },
+            position: { type: 'number' }
           }
         }
       }
@@ -104,6 +362,24 @@ async function searchRoutes(fastify, options) {
       collection: collectionId, 
       fileType, 
       exact: exactMatch = false,
+      op = 'or',
+      normalize = 'strict',
+      diacritics = 'ignore',
+      mode = 'word',
+      maxExpansions = 100,
+      fuzziness = '0',
+      transliterated = false,
+      synonyms = false,
+      field = 'all',
+      highlight = false,
+      snippet,
+      preTag,
+      postTag,
+      facets: facetList,
+      sort = 'relevance',
+      dedupe = false,
+      k1,
+      b,
       limit = 20, 
       offset = 0 
     } = request.query;
@@ -131,15 +407,53 @@ async function searchRoutes(fastify, options) {
       }
     }
 
-    const result = fastify.hadithData.searchHadiths(query, {
-      collectionId,
-      fileType,
-      exactMatch,
-      limit: Math.min(limit, 100), // Cap at 100
-      offset
-    });
+    // Validate facets if provided
+    const facets = facetList ? facetList.split(',').map(name => name.trim()).filter(Boolean) : [];
+    const unknownFacet = facets.find(name => !FACET_NAMES.includes(name));
+    if (unknownFacet) {
+      reply.status(400).send({
+        error: true,
+        message: `Unknown facet '${unknownFacet}'. Available facets: ${FACET_NAMES.join(', ')}`,
+        statusCode: 400
+      });
+      return;
+    }
 
-    return result;
+    try {
+      return fastify.hadithData.searchHadiths(query, {
+        collectionId,
+        fileType,
+        facets,
+        exactMatch,
+        op,
+        normalize,
+        diacritics,
+        mode,
+        maxExpansions,
+        fuzziness: parseFuzziness(fuzziness),
+        transliterated,
+        synonyms,
+        field,
+        highlight,
+        snippet,
+        preTag,
+        postTag,
+        sort,
+        dedupe,
+        k1,
+        b,
+        limit: Math.min(limit, 100), // Cap at 100
+        offset
+      });
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        return sendQuerySyntaxError(reply, error);
+      }
+      if (error instanceof SortError) {
+        return sendSortError(reply, error);
+      }
+      throw error;
+    }
   });
 
   /**
@@ -147,7 +461,7 @@ async function searchRoutes(fastify, options) {
    */
   fastify.get('/suggestions', {
     schema: {
-      description: 'Get search suggestions based on partial query',
+      description: 'Autocomplete words and frequent phrases from the corpus, ranked by the number of hadiths containing them',
       tags: ['Search'],
       querystring: {
         type: 'object',
@@ -155,7 +469,11 @@ async function searchRoutes(fastify, options) {
           q: { 
             type: 'string',
             minLength: 2,
-            description: 'Partial search query'
+            description: 'Partial search query; end it with a space to complete the next word'
+          },
+          collection: {
+            type: 'string',
+            description: 'Only suggest words and phrases found in this collection'
           },
           limit: { 
             type: 'integer', 
@@ -173,50 +491,495 @@ async function searchRoutes(fastify, options) {
           properties: {
             suggestions: {
               type: 'array',
-              items: { type: 'string' }
+              items: {
+                type: 'object',
+                properties: {
+                  text: { type: 'string' },
+                  type: { type: 'string', enum: ['word', 'phrase'] },
+                  count: { type: 'integer', description: 'Number of hadiths containing the suggestion' }
+                }
+              }
             },
-            query: { type: 'string' }
+            query: { type: 'string' },
+            collection: { type: 'string' }
+          }
+        },
+        400: {
+          type: 'object',
+          properties: {
+            error: { type: 'boolean' },
+            message: { type: 'string' },
+            statusCode: { type: 'number' }
           }
         }
       }
     }
   }, async (request, reply) => {
-    const { q: query, limit = 10 } = request.query;
-
-    // Simple suggestion implementation
-    // In a production system, you'd want a more sophisticated approach
-    const suggestions = [];
-    
-    // Add the query itself as first suggestion
-    suggestions.push(query);
-    
-    // Add some common Islamic terms that might match
-    const commonTerms = [
-      'رسول الله',
-      'صلى الله عليه وسلم',
-      'حدثنا',
-      'أخبرنا',
-      'قال',
-      'النبي',
-      'الصلاة',
-      'الزكاة',
-      'الحج',
-      'الصوم'
-    ];
-
-    const queryLower = query.toLowerCase();
-    for (const term of commonTerms) {
-      if (term.toLowerCase().includes(queryLower) && suggestions.length < limit) {
-        suggestions.push(term);
-      }
+    const { q: query, collection: collectionId, limit = 10 } = request.query;
+
+    // Validate collection if provided
+    if (collectionId && !fastify.hadithData.getCollection(collectionId)) {
+      reply.status(400).send({
+        error: true,
+        message: `Collection '${collectionId}' not found`,
+        statusCode: 400
+      });
+      return;
     }
 
     return {
-      suggestions: suggestions.slice(0, limit),
-      query
+      suggestions: fastify.hadithData.getSuggestions(query, { collectionId, limit }),
+      query,
+      collection: collectionId
     };
   });
 
+  /**
+   * Regular expression search
+   */
+  fastify.get('/regex', {
+    schema: {
+      description: 'Search hadith texts with a regular expression, run off the main thread within a time budget',
+      tags: ['Search'],
+      querystring: {
+        type: 'object',
+        properties: {
+          pattern: {
+            type: 'string',
+            minLength: 1,
+            maxLength: MAX_PATTERN_LENGTH,
+            description: 'JavaScript regular expression (Unicode mode, no flags or delimiters). Backreferences and nested quantifiers are not allowed'
+          },
+          text: {
+            type: 'string',
+            enum: ['normalized', 'raw'],
+            default: 'normalized',
+            description: 'Match against loosely normalized text (no diacritics, unified letter variants) or the raw text'
+          },
+          wholeWords: {
+            type: 'boolean',
+            default: false,
+            description: 'Only match whole words'
+          },
+          collection: {
+            type: 'string',
+            description: 'Specific collection to search in'
+          },
+          fileType: {
+            type: 'string',
+            enum: ['regular', 'mushakkala_mufassala'],
+            description: 'Type of text to search'
+          },
+          timeout: {
+            type: 'integer',
+            minimum: 100,
+            maximum: 5000,
+            description: 'Time budget in milliseconds (defaults to REGEX_TIME_BUDGET_MS or 1000)'
+          },
+          dedupe: {
+            type: 'boolean',
+            default: false,
+            description: 'Return only the first hadith of each cluster of near-duplicate hadiths'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            default: 20,
+            description: 'Number of results per page'
+          },
+          offset: {
+            type: 'integer',
+            minimum: 0,
+            default: 0,
+            description: 'Number of results to skip'
+          }
+        },
+        required: ['pattern']
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            hadiths: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  text: { type: 'string' },
+                  textLength: { type: 'number' },
+                  hasFullDiacritics: { type: 'boolean' },
+                  collectionId: { type: 'string' },
+                  collectionName: { type: 'string' },
+                  fileType: { type: 'string' },
+                  ...DUPLICATE_FIELDS,
+                  matches: {
+                    type: 'array',
+                    description: 'Matches as offsets into the original text (at most 100 per hadith)',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        start: { type: 'number' },
+                        end: { type: 'number' },
+                        text: { type: 'string' }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            pagination: PAGINATION_SCHEMA,
+            query: QUERY_SCHEMA
+          }
+        },
+        400: {
+          type: 'object',
+          properties: {
+            error: { type: 'boolean' },
+            message: { type: 'string' },
+            statusCode: { type: 'number' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const {
+      pattern,
+      text = 'normalized',
+      wholeWords = false,
+      collection: collectionId,
+      fileType,
+      timeout: timeBudget,
+      dedupe = false,
+      limit = 20,
+      offset = 0
+    } = request.query;
+
+    // Validate collection if provided
+    if (collectionId && !fastify.hadithData.getCollection(collectionId)) {
+      reply.status(400).send({
+        error: true,
+        message: `Collection '${collectionId}' not found`,
+        statusCode: 400
+      });
+      return;
+    }
+
+    try {
+      return await fastify.hadithData.searchRegex(pattern, {
+        collectionId,
+        fileType,
+        text,
+        wholeWords,
+        timeBudget,
+        dedupe,
+        limit,
+        offset
+      });
+    } catch (error) {
+      if (error instanceof RegexSearchError) {
+        reply.status(400).send({
+          error: true,
+          message: error.message,
+          statusCode: 400
+        });
+        return;
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * Explain the relevance score of one hadith for a query
+   */
+  fastify.get('/explain', {
+    schema: {
+      description: 'Explain how a hadith matches a search query and how its relevance score is computed',
+      tags: ['Search'],
+      querystring: {
+        type: 'object',
+        properties: {
+          q: {
+            type: 'string',
+            minLength: 1,
+            description: 'Search query, with the same syntax as GET /search'
+          },
+          collection: {
+            type: 'string',
+            description: 'Collection of the hadith'
+          },
+          hadithId: {
+            type: 'string',
+            description: 'Hadith ID within the collection'
+          },
+          fileType: {
+            type: 'string',
+            enum: ['regular', 'mushakkala_mufassala'],
+            default: 'regular',
+            description: 'Text version of the hadith'
+          },
+          exact: {
+            type: 'boolean',
+            default: false,
+            description: 'Treat the whole query as one exact phrase'
+          },
+          op: {
+            type: 'string',
+            enum: ['and', 'or'],
+            default: 'or',
+            description: 'Default operator between plain terms'
+          },
+          normalize: {
+            type: 'string',
+            enum: ['strict', 'loose', 'none'],
+            default: 'strict',
+            description: 'Arabic normalization mode'
+          },
+          diacritics: {
+            type: 'string',
+            enum: ['ignore', 'compatible', 'exact'],
+            default: 'ignore',
+            description: 'Diacritics handling with strict normalization'
+          },
+          mode: {
+            type: 'string',
+            enum: ['word', 'stem', 'root'],
+            default: 'word',
+            description: 'Match words as written, by light stem or by root'
+          },
+          maxExpansions: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 1000,
+            default: 100,
+            description: 'Most dictionary words each wildcard or fuzzy term may expand to'
+          },
+          fuzziness: {
+            type: 'string',
+            enum: ['0', '1', '2', 'auto'],
+            default: '0',
+            description: 'Also match words within this edit distance'
+          },
+          transliterated: {
+            type: 'boolean',
+            default: false,
+            description: 'Treat Latin words as transliterated Arabic'
+          },
+          synonyms: {
+            type: 'boolean',
+            default: false,
+            description: 'Also match synonyms from the synonym dictionary'
+          },
+          field: {
+            type: 'string',
+            enum: SEARCH_FIELDS,
+            default: 'all',
+            description: 'Part of the hadith to match: isnad, matn or the whole text'
+          },
+          k1: {
+            type: 'number',
+            minimum: 0,
+            maximum: 10,
+            description: 'BM25 term frequency saturation (defaults to BM25_K1 or 1.2)'
+          },
+          b: {
+            type: 'number',
+            minimum: 0,
+            maximum: 1,
+            description: 'BM25 length normalization strength (defaults to BM25_B or 0.75)'
+          }
+        },
+        required: ['q', 'collection', 'hadithId']
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            hadith: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                collectionId: { type: 'string' },
+                collectionName: { type: 'string' },
+                fileType: { type: 'string' },
+                textLength: { type: 'number' }
+              }
+            },
+            query: QUERY_SCHEMA,
+            matched: { type: 'boolean', description: 'Whether the search would return the hadith' },
+            score: { type: 'number', description: 'relevanceScore the search would give the hadith: the sum of the term scores' },
+            ranking: {
+              type: 'object',
+              properties: {
+                k1: { type: 'number' },
+                b: { type: 'number' },
+                documentLength: { type: 'integer', description: 'Words in the hadith' },
+                averageDocumentLength: { type: 'number', description: 'Average words per hadith in the corpus' },
+                documentCount: { type: 'integer', description: 'Hadiths in the corpus' }
+              }
+            },
+            clauses: {
+              type: 'array',
+              description: 'Top-level query clauses and whether the hadith satisfies each',
+              items: {
+                type: 'object',
+                properties: {
+                  clause: { type: 'string' },
+                  occur: { type: 'string', enum: ['must', 'should', 'not'] },
+                  matched: { type: 'boolean' },
+                  matches: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        start: { type: 'number' },
+                        end: { type: 'number' },
+                        text: { type: 'string' },
+                        positions: { type: 'array', items: { type: 'integer' } }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            terms: {
+              type: 'array',
+              description: 'Ranked query terms with their BM25 factors',
+              items: {
+                type: 'object',
+                properties: {
+                  term: { type: 'string' },
+                  normalization: {
+                    type: 'object',
+                    description: 'Variant table the term was looked up in and its normalized key',
+                    properties: {
+                      table: { type: 'string', enum: ['strict', 'loose', 'stem', 'root', 'none'] },
+                      key: { type: 'string' }
+                    }
+                  },
+                  expansion: {
+                    type: 'object',
+                    description: 'Words a wildcard, fuzzy or transliterated term expanded to',
+                    properties: {
+                      type: { type: 'string', enum: ['wildcard', 'fuzzy', 'transliteration'] },
+                      terms: { type: 'array', items: { type: 'string' } }
+                    }
+                  },
+                  synonyms: {
+                    type: 'array',
+                    description: 'Single-word synonyms matched as spellings of the term, with synonyms=true',
+                    items: { type: 'string' }
+                  },
+                  variants: { type: 'integer', description: 'Indexed spellings the term matches' },
+                  occurrences: {
+                    type: 'array',
+                    description: 'Spellings found in the hadith, with their ranking weight',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        term: { type: 'string' },
+                        count: { type: 'integer' },
+                        weight: { type: 'number' }
+                      }
+                    }
+                  },
+                  termFrequency: { type: 'number', description: 'Weighted occurrences in the hadith' },
+                  documentFrequency: { type: 'integer', description: 'Hadiths containing the term' },
+                  idf: { type: 'number' },
+                  frequencyWeight: { type: 'number', description: 'Saturated, length-normalized term frequency' },
+                  score: { type: 'number', description: 'idf × frequencyWeight' }
+                }
+              }
+            }
+          }
+        },
+        400: {
+          type: 'object',
+          properties: {
+            error: { type: 'boolean' },
+            message: { type: 'string' },
+            statusCode: { type: 'number' },
+            position: { type: 'number' }
+          }
+        },
+        404: {
+          type: 'object',
+          properties: {
+            error: { type: 'boolean' },
+            message: { type: 'string' },
+            statusCode: { type: 'number' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const {
+      q: query,
+      collection: collectionId,
+      hadithId,
+      fileType = 'regular',
+      exact: exactMatch = false,
+      op = 'or',
+      normalize = 'strict',
+      diacritics = 'ignore',
+      mode = 'word',
+      maxExpansions = 100,
+      fuzziness = '0',
+      transliterated = false,
+      synonyms = false,
+      field = 'all',
+      k1,
+      b
+    } = request.query;
+
+    if (!fastify.hadithData.getCollection(collectionId)) {
+      reply.status(404).send({
+        error: true,
+        message: `Collection '${collectionId}' not found`,
+        statusCode: 404
+      });
+      return;
+    }
+
+    let explanation;
+    try {
+      explanation = fastify.hadithData.explainHadith(query, {
+        collectionId,
+        hadithId,
+        fileType,
+        exactMatch,
+        op,
+        normalize,
+        diacritics,
+        mode,
+        maxExpansions,
+        fuzziness: parseFuzziness(fuzziness),
+        transliterated,
+        synonyms,
+        field,
+        k1,
+        b
+      });
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        return sendQuerySyntaxError(reply, error);
+      }
+      throw error;
+    }
+
+    if (!explanation) {
+      reply.status(404).send({
+        error: true,
+        message: `Hadith '${hadithId}' not found in collection '${collectionId}' (${fileType})`,
+        statusCode: 404
+      });
+      return;
+    }
+
+    return explanation;
+  });
+
   /**
    * Advanced search with multiple parameters
    */
@@ -227,7 +990,13 @@ async function searchRoutes(fastify, options) {
       body: {
         type: 'object',
         properties: {
-          query: { type: 'string', description: 'Main search text' },
+          query: { type: 'string', description: 'Main search text (same syntax as GET /search)' },
+          op: {
+            type: 'string',
+            enum: ['and', 'or'],
+            default: 'or',
+            description: 'Default operator between plain terms'
+          },
           collections: { 
             type: 'array', 
             items: { type: 'string' },
@@ -252,6 +1021,67 @@ async function searchRoutes(fastify, options) {
             type: 'boolean',
             description: 'Filter by diacritic presence'
           },
+          sources: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                collection: { type: 'string' },
+                fileType: { type: 'string', enum: ['regular', 'mushakkala_mufassala'] }
+              },
+              additionalProperties: false
+            },
+            description: 'Collection/file type combinations to include; a hadith matching any of them passes'
+          },
+          idRanges: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'integer', minimum: 0 },
+                to: { type: 'integer', minimum: 0 },
+                collection: { type: 'string' }
+              },
+              additionalProperties: false
+            },
+            description: 'Numeric hadith id ranges (inclusive, optionally per collection); a hadith in any range passes'
+          },
+          normalize: {
+            type: 'string',
+            enum: ['strict', 'loose', 'none'],
+            default: 'strict',
+            description: 'Arabic normalization mode applied to query and text'
+          },
+          diacritics: {
+            type: 'string',
+            enum: ['ignore', 'compatible', 'exact'],
+            default: 'ignore',
+            description: 'Diacritics handling under strict normalization'
+          },
+          mode: {
+            type: 'string',
+            enum: ['word', 'stem', 'root'],
+            default: 'word',
+            description: 'Match words as written, by light stem or by root'
+          },
+          maxExpansions: { type: 'integer', minimum: 1, maximum: 1000, description: 'Most dictionary words each wildcard term may expand to' },
+          fuzziness: { type: 'string', enum: ['0', '1', '2', 'auto'], default: '0', description: 'Also match words within this edit distance' },
+          transliterated: { type: 'boolean', default: false, description: 'Treat Latin words as transliterated Arabic' },
+          synonyms: { type: 'boolean', default: false, description: 'Also match synonyms from the synonym dictionary' },
+          field: { type: 'string', enum: SEARCH_FIELDS, default: 'all', description: 'Part of each hadith to search: isnad, matn or the whole text' },
+          facets: {
+            type: 'array',
+            items: { type: 'string', enum: FACET_NAMES },
+            description: 'Facets to count over all matches after filtering'
+          },
+          highlight: { type: 'boolean', default: false, description: 'Wrap matches in preTag/postTag' },
+          snippet: { type: 'integer', minimum: 20, maximum: 2000, description: 'Snippet length in characters' },
+          preTag: { type: 'string', maxLength: 100, default: '<mark>' },
+          postTag: { type: 'string', maxLength: 100, default: '</mark>' },
+          sort: { type: 'string', default: 'relevance', description: `Sort keys, e.g. collection,id or length:desc. Fields: ${SEARCH_SORT_FIELDS.join(', ')}` },
+          dedupe: { type: 'boolean', default: false, description: 'Return only the best result of each cluster of near-duplicate hadiths' },
+          k1: { type: 'number', minimum: 0, maximum: 10, description: 'BM25 term frequency saturation' },
+          b: { type: 'number', minimum: 0, maximum: 1, description: 'BM25 length normalization strength' },
           limit: { 
             type: 'integer', 
             minimum: 1, 
@@ -271,9 +1101,40 @@ async function searchRoutes(fastify, options) {
           type: 'object',
           properties: {
             hadiths: { type: 'array' },
-            pagination: { type: 'object' },
-            query: { type: 'object' },
-            filters: { type: 'object' }
+            pagination: PAGINATION_SCHEMA,
+            query: QUERY_SCHEMA,
+            filters: {
+              type: 'object',
+              properties: {
+                applied: {
+                  type: 'object',
+                  properties: {
+                    collections: { type: 'integer' },
+                    fileTypes: { type: 'integer' },
+                    sources: { type: 'integer' },
+                    idRanges: { type: 'integer' },
+                    lengthFilter: { type: 'boolean' },
+                    diacriticsFilter: { type: 'boolean' }
+                  }
+                },
+                resultsBeforeFiltering: { type: 'integer' },
+                resultsAfterFiltering: { type: 'integer' }
+              }
+            },
+            facets: FACETS_SCHEMA,
+            suggestions: SUGGESTIONS_SCHEMA,
+            transliterations: TRANSLITERATIONS_SCHEMA,
+            synonyms: SYNONYMS_SCHEMA,
+            expansions: { type: 'array' }
+          }
+        },
+        400: {
+          type: 'object',
+          properties: {
+            error: { type: 'boolean' },
+            message: { type: 'string' },
+            statusCode: { type: 'number' },
+            position: { type: 'number' }
           }
         }
       }
@@ -281,62 +1142,118 @@ async function searchRoutes(fastify, options) {
   }, async (request, reply) => {
     const {
       query,
+      op = 'or',
       collections = [],
       fileTypes = [],
       minLength,
       maxLength,
       hasFullDiacritics,
+      sources = [],
+      idRanges = [],
+      normalize = 'strict',
+      diacritics = 'ignore',
+      mode = 'word',
+      maxExpansions = 100,
+      fuzziness = '0',
+      transliterated = false,
+      synonyms = false,
+      field = 'all',
+      highlight = false,
+      snippet,
+      preTag,
+      postTag,
+      facets = [],
+      sort = 'relevance',
+      dedupe = false,
+      k1,
+      b,
       limit = 20,
       offset = 0
     } = request.body;
 
-    // Start with basic search
-    let results = fastify.hadithData.searchHadiths(query, {
-      limit: 1000, // Get more results to filter
-      offset: 0
-    });
+    // Validate collections named by any filter
+    const collectionIds = [
+      ...collections,
+      ...sources.map(source => source.collection),
+      ...idRanges.map(range => range.collection)
+    ].filter(Boolean);
+    const unknownCollection = collectionIds.find(id => !fastify.hadithData.getCollection(id));
+    if (unknownCollection) {
+      reply.status(400).send({
+        error: true,
+        message: `Collection '${unknownCollection}' not found`,
+        statusCode: 400
+      });
+      return;
+    }
 
-    // Apply additional filters
-    let filteredHadiths = results.hadiths.filter(hadith => {
-      // Collection filter
-      if (collections.length > 0 && !collections.includes(hadith.collectionId)) {
-        return false;
-      }
-      
-      // File type filter
-      if (fileTypes.length > 0 && !fileTypes.includes(hadith.fileType)) {
-        return false;
-      }
-      
-      // Length filters
-      if (minLength !== undefined && hadith.textLength < minLength) {
-        return false;
-      }
-      
-      if (maxLength !== undefined && hadith.textLength > maxLength) {
-        return false;
+    // Validate ranges
+    const invalidRange = idRanges.find(range =>
+      range.from !== undefined && range.to !== undefined && range.from > range.to
+    );
+    if (invalidRange) {
+      reply.status(400).send({
+        error: true,
+        message: `Invalid id range: from (${invalidRange.from}) is greater than to (${invalidRange.to})`,
+        statusCode: 400
+      });
+      return;
+    }
+    if (minLength !== undefined && maxLength !== undefined && minLength > maxLength) {
+      reply.status(400).send({
+        error: true,
+        message: 'minLength cannot be greater than maxLength',
+        statusCode: 400
+      });
+      return;
+    }
+
+    let results;
+    try {
+      results = fastify.hadithData.searchHadiths(query, {
+        op,
+        normalize,
+        diacritics,
+        mode,
+        maxExpansions,
+        fuzziness: parseFuzziness(fuzziness),
+        transliterated,
+        synonyms,
+        field,
+        highlight,
+        snippet,
+        preTag,
+        postTag,
+        facets,
+        sort,
+        dedupe,
+        k1,
+        b,
+        filters: {
+          collections,
+          fileTypes,
+          sources,
+          idRanges,
+          minLength,
+          maxLength,
+          hasFullDiacritics
+        },
+        limit,
+        offset
+      });
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        return sendQuerySyntaxError(reply, error);
       }
-      
-      // Diacritics filter
-      if (hasFullDiacritics !== undefined && hadith.hasFullDiacritics !== hasFullDiacritics) {
-        return false;
+      if (error instanceof SortError) {
+        return sendSortError(reply, error);
       }
-      
-      return true;
-    });
-
-    // Apply pagination to filtered results
-    const total = filteredHadiths.length;
-    const paginatedResults = filteredHadiths.slice(offset, offset + limit);
+      throw error;
+    }
 
     return {
-      hadiths: paginatedResults,
-      pagination: {
-        total,
-        limit,
-        offset,
-        hasMore: offset + limit < total
-      },
+      hadiths: results.hadiths,
+      pagination: results.pagination,
       query: {
         term: query,
         options: request.body
@@ -345,12 +1262,19 @@ async function searchRoutes(fastify, options) {
         applied: {
           collections: collections.length,
           fileTypes: fileTypes.length,
+          sources: sources.length,
+          idRanges: idRanges.length,
           lengthFilter: minLength !== undefined || maxLength !== undefined,
           diacriticsFilter: hasFullDiacritics !== undefined
         },
-        resultsBeforeFiltering: results.hadiths.length,
-        resultsAfterFiltering: total
-      }
+        resultsBeforeFiltering: results.unfilteredTotal || 0,
+        resultsAfterFiltering: results.pagination.total
+      },
+      facets: results.facets,
+      suggestions: results.suggestions,
+      transliterations: results.transliterations,
+      synonyms: results.synonyms,
+      expansions: results.expansions
     };
   });
 
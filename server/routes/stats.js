@@ -1,3 +1,5 @@
+const { LENGTH_BUCKETS } = require('../search/facets');
+
 /**
  * Statistics Routes
  * Endpoints for analytics and data insights about Hadith collections
@@ -21,6 +23,7 @@ async function statsRoutes(fastify, options) {
               properties: {
                 totalCollections: { type: 'number' },
                 totalHadiths: { type: 'number' },
+                uniqueHadiths: { type: 'number', description: 'Hadiths left when each cluster of near-duplicates counts once' },
                 totalFiles: { type: 'number' },
                 averageHadithLength: { type: 'number' },
                 totalCharacters: { type: 'number' }
@@ -34,6 +37,7 @@ async function statsRoutes(fastify, options) {
                   collectionId: { type: 'string' },
                   collectionName: { type: 'string' },
                   hadithCount: { type: 'number' },
+                  uniqueHadithCount: { type: 'number' },
                   percentage: { type: 'number' },
                   fileTypes: { type: 'array', items: { type: 'string' } }
                 }
@@ -62,10 +66,15 @@ async function statsRoutes(fastify, options) {
     }
     
     const averageHadithLength = Math.round(totalCharacters / hadithLengths.length);
+
+    // Repeats of an earlier hadith in the same duplicate cluster
+    const duplicateCounts = fastify.hadithData.countDuplicateDocuments();
+    const totalDuplicates = [...duplicateCounts.values()].reduce((sum, count) => sum + count, 0);
     
     // Add percentages to collections
     const collectionsWithPercentages = collections.map(col => ({
       ...col,
+      uniqueHadithCount: col.totalHadiths - (duplicateCounts.get(col.collectionId) || 0),
       percentage: Math.round((col.totalHadiths / stats.metadata.totalHadiths) * 100 * 100) / 100
     }));
 
@@ -73,6 +82,7 @@ async function statsRoutes(fastify, options) {
       overview: {
         totalCollections: stats.metadata.totalCollections,
         totalHadiths: stats.metadata.totalHadiths,
+        uniqueHadiths: stats.metadata.totalHadiths - totalDuplicates,
         totalFiles: stats.metadata.totalFiles,
         averageHadithLength,
         totalCharacters
@@ -222,6 +232,104 @@ async function statsRoutes(fastify, options) {
     };
   });
 
+  /**
+   * Get the clusters of near-duplicate hadiths
+   */
+  fastify.get('/duplicates', {
+    schema: {
+      description: 'Report the clusters of near-duplicate hadiths within each collection, largest first',
+      tags: ['Statistics'],
+      querystring: {
+        type: 'object',
+        properties: {
+          collectionId: {
+            type: 'string',
+            description: 'Report on this collection only'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            default: 20,
+            description: 'Number of clusters per page'
+          },
+          offset: {
+            type: 'integer',
+            minimum: 0,
+            default: 0,
+            description: 'Number of clusters to skip'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            collections: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  collectionId: { type: 'string' },
+                  collectionName: { type: 'string' },
+                  totalHadiths: { type: 'number' },
+                  clusterCount: { type: 'number' },
+                  clusteredHadiths: { type: 'number' },
+                  uniqueHadiths: { type: 'number' }
+                }
+              }
+            },
+            clusters: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  clusterId: { type: 'integer' },
+                  collectionId: { type: 'string' },
+                  size: { type: 'integer' },
+                  hadithIds: { type: 'array', items: { type: 'string' } },
+                  text: { type: 'string' }
+                }
+              }
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                total: { type: 'number' },
+                limit: { type: 'number' },
+                offset: { type: 'number' },
+                hasMore: { type: 'boolean' }
+              }
+            }
+          }
+        },
+        400: {
+          type: 'object',
+          properties: {
+            error: { type: 'boolean' },
+            message: { type: 'string' },
+            statusCode: { type: 'number' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { collectionId, limit = 20, offset = 0 } = request.query;
+
+    const report = fastify.hadithData.getDuplicateReport({ collectionId, limit, offset });
+
+    if (!report) {
+      reply.status(400).send({
+        error: true,
+        message: `Collection '${collectionId}' not found`,
+        statusCode: 400
+      });
+      return;
+    }
+
+    return report;
+  });
+
   /**
    * Get text length distribution across all collections
    */
@@ -250,12 +358,41 @@ async function statsRoutes(fastify, options) {
             distribution: {
               type: 'object',
               properties: {
-                ranges: { type: 'object' },
-                statistics: { type: 'object' },
-                percentiles: { type: 'object' }
+                ranges: {
+                  type: 'object',
+                  additionalProperties: {
+                    type: 'object',
+                    properties: {
+                      count: { type: 'number' },
+                      percentage: { type: 'number' }
+                    }
+                  }
+                },
+                statistics: {
+                  type: 'object',
+                  properties: {
+                    total: { type: 'number' },
+                    mean: { type: 'number' },
+                    median: { type: 'number' },
+                    min: { type: 'number' },
+                    max: { type: 'number' },
+                    standardDeviation: { type: 'number' }
+                  }
+                },
+                percentiles: {
+                  type: 'object',
+                  additionalProperties: { type: 'number' }
+                }
               }
             },
-            filters: { type: 'object' }
+            filters: {
+              type: 'object',
+              properties: {
+                collectionId: { type: 'string' },
+                fileType: { type: 'string' }
+              }
+            },
+            note: { type: 'string' }
           }
         }
       }
@@ -296,13 +433,10 @@ async function statsRoutes(fastify, options) {
     allLengths.sort((a, b) => a - b);
 
     // Calculate ranges
-    const ranges = {
-      '0-99': allLengths.filter(l => l < 100).length,
-      '100-299': allLengths.filter(l => l >= 100 && l < 300).length,
-      '300-599': allLengths.filter(l => l >= 300 && l < 600).length,
-      '600-999': allLengths.filter(l => l >= 600 && l < 1000).length,
-      '1000+': allLengths.filter(l => l >= 1000).length
-    };
+    const ranges = {};
+    for (const bucket of LENGTH_BUCKETS) {
+      ranges[bucket.label] = allLengths.filter(l => l >= bucket.min && l <= bucket.max).length;
+    }
 
     // Calculate statistics
     const total = allLengths.length;
@@ -390,7 +524,13 @@ async function statsRoutes(fastify, options) {
                 analyzedHadiths: { type: 'number' }
               }
             },
-            filters: { type: 'object' }
+            filters: {
+              type: 'object',
+              properties: {
+                collectionId: { type: 'string' }
+              }
+            },
+            note: { type: 'string' }
           }
         }
       }
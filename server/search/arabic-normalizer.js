@@ -0,0 +1,198 @@
+/**
+ * Arabic Text Normalizer
+ * Folds orthographic variants of Arabic letters so that different spellings
+ * of the same word compare equal. Shared by the CSV converter and the search engine.
+ */
+
+// Arabic diacritical marks (same ranges as HadithConverter.hasArabicDiacritics)
+const DIACRITICS_PATTERN = /[\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const DIACRITIC_CHAR = /^[\u064B-\u065F\u0670\u06D6-\u06ED]$/;
+const TATWEEL_PATTERN = /\u0640/g;
+const ALEF_PATTERN = /[\u0622\u0623\u0625\u0671]/g;   // آ أ إ ٱ → ا
+const TAA_MARBUTA_PATTERN = /\u0629/g;                 // ة → ه
+const ALEF_MAQSURA_PATTERN = /[\u0649\u06CC]/g;        // ى ی → ي
+const WAW_HAMZA_PATTERN = /\u0624/g;                   // ؤ → و
+const YAA_HAMZA_PATTERN = /\u0626/g;                   // ئ → ي
+
+/**
+ * Normalization presets selectable per request
+ * - none: text is left as is
+ * - strict: letter variants are folded but harakat are kept
+ * - loose: letter variants are folded and harakat are removed
+ */
+const NORMALIZATION_MODES = {
+  none: {
+    tatweel: false,
+    alef: false,
+    taaMarbuta: false,
+    alefMaqsura: false,
+    hamza: false,
+    diacritics: false
+  },
+  strict: {
+    tatweel: true,
+    alef: true,
+    taaMarbuta: true,
+    alefMaqsura: true,
+    hamza: true,
+    diacritics: false
+  },
+  loose: {
+    tatweel: true,
+    alef: true,
+    taaMarbuta: true,
+    alefMaqsura: true,
+    hamza: true,
+    diacritics: true
+  }
+};
+
+const DEFAULT_MODE = 'strict';
+
+/**
+ * Resolve a mode name or a flags object into normalization flags
+ * @param {string|Object} mode - Preset name or explicit flags
+ * @returns {Object} - Normalization flags
+ */
+function resolveNormalization(mode = DEFAULT_MODE) {
+  if (typeof mode === 'object' && mode !== null) {
+    return { ...NORMALIZATION_MODES.none, ...mode };
+  }
+
+  const flags = NORMALIZATION_MODES[mode];
+  if (!flags) {
+    throw new Error(`Unknown normalization mode: ${mode}`);
+  }
+  return flags;
+}
+
+/**
+ * Remove Arabic diacritical marks (harakat, shadda, sukun, Quranic marks)
+ * @param {string} text - Arabic text
+ * @returns {string} - Text without diacritics
+ */
+function stripDiacritics(text) {
+  return text ? text.replace(DIACRITICS_PATTERN, '') : '';
+}
+
+/**
+ * Check whether text contains any Arabic diacritical mark
+ * @param {string} text - Arabic text
+ * @returns {boolean} - True if text has diacritics
+ */
+function hasDiacritics(text) {
+  return Boolean(text) && text.search(DIACRITICS_PATTERN) !== -1;
+}
+
+/**
+ * Split a word into base letters with the diacritics attached to each
+ * @param {string} word - Arabic word
+ * @returns {Array<Object>} - Letters as { letter, marks }
+ */
+function splitLetters(word) {
+  const letters = [];
+
+  for (const char of word.normalize('NFC')) {
+    if (DIACRITIC_CHAR.test(char)) {
+      if (letters.length > 0) letters[letters.length - 1].marks.push(char);
+    } else {
+      letters.push({ letter: char, marks: [] });
+    }
+  }
+
+  return letters;
+}
+
+/**
+ * Check whether two spellings of a word have compatible vowelling
+ * Base letters must be identical; where both words mark the same letter, the
+ * query's marks must all be present in the candidate. Unmarked letters on
+ * either side are compatible with any vowelling.
+ * @param {string} query - Query word, possibly partially vowelled
+ * @param {string} candidate - Word from the text
+ * @returns {boolean} - True if the vowelling does not conflict
+ */
+function isDiacriticCompatible(query, candidate) {
+  const queryLetters = splitLetters(query);
+  const candidateLetters = splitLetters(candidate);
+
+  if (queryLetters.length !== candidateLetters.length) return false;
+
+  return queryLetters.every((q, i) => {
+    const c = candidateLetters[i];
+    if (q.letter !== c.letter) return false;
+    if (q.marks.length === 0 || c.marks.length === 0) return true;
+    return q.marks.every(mark => c.marks.includes(mark));
+  });
+}
+
+/**
+ * Normalize Arabic orthography
+ * @param {string} text - Arabic text
+ * @param {string|Object} mode - Preset name (none|strict|loose) or flags
+ * @returns {string} - Normalized text
+ */
+function normalizeArabic(text, mode = DEFAULT_MODE) {
+  if (!text) return '';
+
+  const flags = resolveNormalization(mode);
+  if (flags === NORMALIZATION_MODES.none) return text;
+
+  // Compose alef + combining hamza/madda into the precomposed letters first
+  let normalized = text.normalize('NFC');
+
+  if (flags.diacritics) normalized = normalized.replace(DIACRITICS_PATTERN, '');
+  if (flags.tatweel) normalized = normalized.replace(TATWEEL_PATTERN, '');
+  if (flags.alef) normalized = normalized.replace(ALEF_PATTERN, '\u0627');
+  if (flags.taaMarbuta) normalized = normalized.replace(TAA_MARBUTA_PATTERN, '\u0647');
+  if (flags.alefMaqsura) normalized = normalized.replace(ALEF_MAQSURA_PATTERN, '\u064A');
+  if (flags.hamza) {
+    normalized = normalized
+      .replace(WAW_HAMZA_PATTERN, '\u0648')
+      .replace(YAA_HAMZA_PATTERN, '\u064A');
+  }
+
+  return normalized;
+}
+
+/**
+ * Loosely normalize text one character at a time, recording where each
+ * normalized character came from, so that offsets found in the normalized
+ * text can be mapped back to the original. Nothing is composed: combining
+ * hamza and madda are dropped, which gives the same result as
+ * normalizeArabic(text, 'loose') for Arabic text, and other combining
+ * sequences are kept as they are
+ * @param {string} text - Original text
+ * @param {Map<string, string>} cache - Optional character -> normalized character cache
+ * @returns {Object} - { text, offsets } where offsets[i] is the original index of character i
+ */
+function normalizeWithOffsets(text, cache = new Map()) {
+  let normalized = '';
+  const offsets = [];
+
+  for (let i = 0; i < text.length; i++) {
+    let replacement = cache.get(text[i]);
+    if (replacement === undefined) {
+      replacement = normalizeArabic(text[i], 'loose');
+      cache.set(text[i], replacement);
+    }
+
+    for (let j = 0; j < replacement.length; j++) offsets.push(i);
+    normalized += replacement;
+  }
+
+  return { text: normalized, offsets };
+}
+
+module.exports = {
+  DIACRITICS_PATTERN,
+  NORMALIZATION_MODES,
+  DEFAULT_MODE,
+  resolveNormalization,
+  stripDiacritics,
+  hasDiacritics,
+  splitLetters,
+  isDiacriticCompatible,
+  normalizeArabic,
+  normalizeWithOffsets
+};
@@ -0,0 +1,173 @@
+/**
+ * Arabic Stemmer
+ * Light stemming (affix stripping) and pattern-based root extraction used to
+ * match inflected forms of the same word, e.g. الصلاة / صلاتكم / بالصلاة / يصلي
+ */
+
+const { normalizeArabic, resolveNormalization } = require('./arabic-normalizer');
+
+// Definite article, optionally preceded by a preposition or conjunction
+const ARTICLE_PREFIXES = ['وال', 'فال', 'بال', 'كال', 'لل', 'ال'];
+const CONJUNCTION_PREFIXES = ['و', 'ف'];
+
+// Attached pronouns, longest first. ك and ي are also common word endings
+// (مالك, يصلي), so they are only stripped from longer words
+const PRONOUN_SUFFIXES = ['كما', 'هما', 'هم', 'هن', 'كم', 'كن', 'نا', 'ها', 'ني', 'ه'];
+const SHORT_PRONOUN_SUFFIXES = ['ك', 'ي'];
+
+// Plural, dual and verb endings
+const INFLECTION_SUFFIXES = ['ات', 'ون', 'ين', 'ان', 'تم', 'وا'];
+
+// Derivation patterns: ف ع ل mark the three radicals, other letters are fixed.
+// Prefixed (verbal) patterns come first so that يقول resolves to قول, not يقل
+const ROOT_PATTERNS = {
+  4: ['مفعل', 'يفعل', 'تفعل', 'نفعل', 'افعل', 'ءفعل', 'فاعل', 'فعال', 'فعول', 'فعيل'],
+  5: ['مفعول', 'مفاعل', 'مفتعل', 'يفتعل', 'يتفعل', 'افتعل', 'انفعل', 'تفاعل', 'تفعيل',
+    'فواعل', 'افعال', 'ءفعال', 'فعاءل', 'فعلاء', 'فاعول'],
+  6: ['استفعل', 'مستفعل', 'يستفعل', 'افتعال', 'انفعال', 'مفاعيل', 'متفاعل'],
+  7: ['استفعال']
+};
+
+const RADICALS = new Set(['ف', 'ع', 'ل']);
+const WEAK_LETTERS = /[اوي]/g;
+
+// Root extraction keeps hamza as a letter of its own instead of folding it into alef
+const ROOT_NORMALIZATION = resolveNormalization({
+  tatweel: true,
+  taaMarbuta: true,
+  alefMaqsura: true,
+  diacritics: true
+});
+
+/**
+ * Strip the first matching prefix if enough of the word remains
+ */
+function stripPrefix(word, prefixes, minRemaining) {
+  for (const prefix of prefixes) {
+    if (word.startsWith(prefix) && word.length - prefix.length >= minRemaining) {
+      return word.slice(prefix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Strip the first matching suffix if enough of the word remains
+ */
+function stripSuffix(word, suffixes, minRemaining) {
+  for (const suffix of suffixes) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= minRemaining) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Remove clitics and inflectional affixes
+ * @param {string} word - Normalized word
+ * @param {number} minRemaining - Shortest stem allowed
+ * @returns {string} - Word without affixes
+ */
+function stripAffixes(word, minRemaining) {
+  let stem = word;
+
+  if (stem.length >= 4) {
+    stem = stripPrefix(stem, CONJUNCTION_PREFIXES, 3);
+  }
+  stem = stripPrefix(stem, ARTICLE_PREFIXES, minRemaining);
+
+  const beforePronoun = stem;
+  stem = stripSuffix(stem, PRONOUN_SUFFIXES, minRemaining);
+  if (stem === beforePronoun) {
+    stem = stripSuffix(stem, SHORT_PRONOUN_SUFFIXES, 4);
+  }
+
+  // Taa marbuta is written ت before a pronoun: صلاتكم → صلات → صلا
+  if (stem !== beforePronoun && stem.endsWith('ت') && stem.length >= 4) {
+    stem = stem.slice(0, -1);
+  }
+
+  return stripSuffix(stem, INFLECTION_SUFFIXES, minRemaining);
+}
+
+/**
+ * Word without its definite article and a conjunction or preposition
+ * attached to it (والصلاة → صلاة)
+ * @param {string} word - Normalized word
+ * @returns {string}
+ */
+function stripArticle(word) {
+  return stripPrefix(word, ARTICLE_PREFIXES, 2);
+}
+
+/**
+ * Light stem of a word (prefix/suffix stripping only)
+ * @param {string} word - Arabic word
+ * @returns {string} - Stem
+ */
+function lightStem(word) {
+  const normalized = normalizeArabic(word, 'loose');
+  if (normalized.length < 3) return normalized;
+  return stripAffixes(normalized, 2);
+}
+
+/**
+ * Match a word against a derivation pattern
+ * @returns {string|null} - The three radicals, or null if the pattern does not fit
+ */
+function applyPattern(word, pattern) {
+  let radicals = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    if (RADICALS.has(pattern[i])) {
+      radicals += word[i];
+    } else if (pattern[i] !== word[i]) {
+      return null;
+    }
+  }
+
+  return radicals;
+}
+
+/**
+ * Extract the root of a word
+ * Weak radicals (ا و ي) are folded to و so that hollow and defective forms
+ * share a root, e.g. قال / يقول / قيل → قول and صلاة / يصلي → صلو
+ * @param {string} word - Arabic word
+ * @returns {string} - Root (usually three letters)
+ */
+function extractRoot(word) {
+  const normalized = normalizeArabic(word, ROOT_NORMALIZATION)
+    .replace(/آ/g, 'ءا')
+    .replace(/[أإؤئ]/g, 'ء')
+    .replace(/ٱ/g, 'ا');
+
+  if (normalized.length < 3) return normalized;
+
+  let stem = stripAffixes(normalized, 3);
+
+  if (stem.length > 3) {
+    const patterns = ROOT_PATTERNS[stem.length] || [];
+    let root = null;
+
+    // A long alef can never be the first radical (مالك is فاعل, not مفعل)
+    for (const pattern of patterns) {
+      root = applyPattern(stem, pattern);
+      if (root && root[0] !== 'ا') break;
+      root = null;
+    }
+
+    if (!root) {
+      // No known pattern: drop long vowels after the first letter
+      const consonants = stem[0] + stem.slice(1).replace(WEAK_LETTERS, '');
+      root = consonants.length >= 3 ? consonants.slice(0, 3) : stem.slice(0, 3);
+    }
+
+    stem = root;
+  }
+
+  return stem.replace(WEAK_LETTERS, 'و');
+}
+
+module.exports = { lightStem, extractRoot, stripArticle };
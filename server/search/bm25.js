@@ -0,0 +1,55 @@
+/**
+ * BM25 Ranking
+ * Okapi BM25 scoring from term frequency, inverse document frequency and
+ * document length normalization
+ */
+
+const DEFAULT_PARAMETERS = {
+  k1: 1.2, // term frequency saturation
+  b: 0.75  // strength of document length normalization
+};
+
+/**
+ * Inverse document frequency (non-negative variant)
+ * @param {number} documentFrequency - Documents containing the term
+ * @param {number} documentCount - Documents in the corpus
+ * @returns {number} - IDF weight
+ */
+function inverseDocumentFrequency(documentFrequency, documentCount) {
+  return Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+}
+
+/**
+ * Saturated, length-normalized term frequency component
+ * @param {number} termFrequency - Occurrences of the term in the document
+ * @param {number} documentLength - Terms in the document
+ * @param {number} averageLength - Average terms per document in the corpus
+ * @param {Object} parameters - { k1, b }
+ * @returns {number} - Term frequency weight
+ */
+function termFrequencyWeight(termFrequency, documentLength, averageLength, parameters = DEFAULT_PARAMETERS) {
+  if (termFrequency === 0) return 0;
+
+  const { k1, b } = parameters;
+  const lengthRatio = averageLength > 0 ? documentLength / averageLength : 1;
+  return (termFrequency * (k1 + 1)) / (termFrequency + k1 * (1 - b + b * lengthRatio));
+}
+
+/**
+ * Resolve BM25 parameters from partial overrides
+ * @param {Object} overrides - { k1, b }, undefined values keep the defaults
+ * @returns {Object} - { k1, b }
+ */
+function resolveParameters(overrides = {}) {
+  return {
+    k1: overrides.k1 !== undefined && !Number.isNaN(overrides.k1) ? overrides.k1 : DEFAULT_PARAMETERS.k1,
+    b: overrides.b !== undefined && !Number.isNaN(overrides.b) ? overrides.b : DEFAULT_PARAMETERS.b
+  };
+}
+
+module.exports = {
+  DEFAULT_PARAMETERS,
+  inverseDocumentFrequency,
+  termFrequencyWeight,
+  resolveParameters
+};
@@ -0,0 +1,63 @@
+/**
+ * Duplicate Clustering
+ * Groups the hadiths of a collection that repeat the same text: a report
+ * placed under several chapters, or runs of near-identical narrations.
+ * Hadiths are paired by the similarity of their matns (see parallels.js)
+ * and pairs are joined into clusters, so a hadith belongs to the cluster of
+ * any hadith it nearly repeats. Clusters are computed offline with the
+ * parallel narrations and stored in data/parallels.json
+ */
+
+const { findSimilarPairs } = require('./parallels');
+
+// Lowest matn similarity of two hadiths taken as repeats of each other
+const DUPLICATE_SIMILARITY = 0.8;
+
+/**
+ * Cluster the near-duplicate hadiths of each collection
+ * @param {Array<Object>} entries - Hadiths as { collectionId, hadithId, matn }, in canonical order
+ * @param {Object} options - { minSimilarity }
+ * @returns {Array<number>} - Cluster id of each entry, numbered from 1 in entry
+ *   order, or 0 for a hadith without duplicates
+ */
+function clusterDuplicates(entries, options = {}) {
+  const { minSimilarity = DUPLICATE_SIMILARITY } = options;
+  const pairs = findSimilarPairs(entries, {
+    minSimilarity,
+    accept: (a, b) => entries[a].collectionId === entries[b].collectionId
+  });
+
+  // Union-find over the pairs, rooted at the earliest entry
+  const parent = entries.map((entry, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  for (const [a, b] of pairs) {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  }
+
+  const sizes = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    sizes.set(root, (sizes.get(root) || 0) + 1);
+  });
+
+  const clusterIds = new Map();
+  return entries.map((entry, index) => {
+    const root = find(index);
+    if (sizes.get(root) < 2) return 0;
+    if (!clusterIds.has(root)) clusterIds.set(root, clusterIds.size + 1);
+    return clusterIds.get(root);
+  });
+}
+
+module.exports = {
+  DUPLICATE_SIMILARITY,
+  clusterDuplicates
+};
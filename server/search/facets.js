@@ -0,0 +1,70 @@
+/**
+ * Search Facets
+ * Counts matching hadiths per collection, file type, length bucket and
+ * diacritics, so clients can see how a result set splits up and drill down
+ */
+
+// Text length buckets, shared with /stats/distribution
+const LENGTH_BUCKETS = [
+  { label: '0-99', min: 0, max: 99 },
+  { label: '100-299', min: 100, max: 299 },
+  { label: '300-599', min: 300, max: 599 },
+  { label: '600-999', min: 600, max: 999 },
+  { label: '1000+', min: 1000, max: Infinity }
+];
+
+/**
+ * Label of the length bucket a text length falls in
+ * @param {number} length - Text length in characters
+ * @returns {string}
+ */
+function lengthBucket(length) {
+  const bucket = LENGTH_BUCKETS.find(candidate => length <= candidate.max);
+  return bucket.label;
+}
+
+// Facet name -> value of a search document ({ collectionId, fileType, hadith })
+const FACETS = {
+  collection: document => document.collectionId,
+  fileType: document => document.fileType,
+  length: document => lengthBucket(document.hadith.textLength),
+  diacritics: document => (document.hadith.hasFullDiacritics ? 'withDiacritics' : 'withoutDiacritics')
+};
+
+// Values listed even when nothing falls in them, in display order
+const FIXED_VALUES = {
+  fileType: ['regular', 'mushakkala_mufassala'],
+  length: LENGTH_BUCKETS.map(bucket => bucket.label),
+  diacritics: ['withDiacritics', 'withoutDiacritics']
+};
+
+const FACET_NAMES = Object.keys(FACETS);
+
+/**
+ * Count documents per value of each requested facet
+ * @param {Array<Object>} documents - Search documents of the full match set
+ * @param {Array<string>} names - Facet names from FACET_NAMES
+ * @returns {Object} - facet name -> { value: count }
+ */
+function computeFacets(documents, names) {
+  const facets = {};
+
+  for (const name of names) {
+    const counts = new Map((FIXED_VALUES[name] || []).map(value => [value, 0]));
+    for (const document of documents) {
+      const value = FACETS[name](document);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+
+    // Open-ended facets (collections) are listed by count
+    const entries = FIXED_VALUES[name]
+      ? [...counts]
+      : [...counts].sort((a, b) => b[1] - a[1]);
+
+    facets[name] = Object.fromEntries(entries);
+  }
+
+  return facets;
+}
+
+module.exports = { LENGTH_BUCKETS, FACET_NAMES, lengthBucket, computeFacets };
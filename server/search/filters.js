@@ -0,0 +1,81 @@
+/**
+ * Search Filters
+ * Compiles declarative document filters into a predicate the search engine
+ * applies to every match before ranking, so totals, facets and pagination
+ * cover the filtered result set
+ */
+
+/**
+ * Check whether a search document falls in an id range
+ * @param {Object} document - Search document ({ collectionId, numericId, ... })
+ * @param {Object} range - { from, to, collection }; missing bounds are open
+ * @returns {boolean}
+ */
+function inIdRange(document, range) {
+  if (range.collection && document.collectionId !== range.collection) return false;
+  if (range.from !== undefined && document.numericId < range.from) return false;
+  if (range.to !== undefined && document.numericId > range.to) return false;
+  return true;
+}
+
+/**
+ * Build a document predicate from filters. Each given filter must pass;
+ * within `sources` and `idRanges` any entry may match
+ * @param {Object} filters - {
+ *   collections: [collectionId], fileTypes: [fileType],
+ *   sources: [{ collection, fileType }], idRanges: [{ from, to, collection }],
+ *   minLength, maxLength, hasFullDiacritics
+ * }
+ * @returns {Function|null} - Predicate over search documents, or null when nothing is filtered
+ */
+function compileFilters(filters = {}) {
+  const {
+    collections = [],
+    fileTypes = [],
+    sources = [],
+    idRanges = [],
+    minLength,
+    maxLength,
+    hasFullDiacritics
+  } = filters;
+
+  const checks = [];
+
+  if (collections.length > 0) {
+    const allowed = new Set(collections);
+    checks.push(document => allowed.has(document.collectionId));
+  }
+
+  if (fileTypes.length > 0) {
+    const allowed = new Set(fileTypes);
+    checks.push(document => allowed.has(document.fileType));
+  }
+
+  if (sources.length > 0) {
+    checks.push(document => sources.some(source =>
+      (!source.collection || document.collectionId === source.collection) &&
+      (!source.fileType || document.fileType === source.fileType)
+    ));
+  }
+
+  if (idRanges.length > 0) {
+    checks.push(document => idRanges.some(range => inIdRange(document, range)));
+  }
+
+  if (minLength !== undefined) {
+    checks.push(document => document.hadith.textLength >= minLength);
+  }
+
+  if (maxLength !== undefined) {
+    checks.push(document => document.hadith.textLength <= maxLength);
+  }
+
+  if (hasFullDiacritics !== undefined) {
+    checks.push(document => document.hadith.hasFullDiacritics === hasFullDiacritics);
+  }
+
+  if (checks.length === 0) return null;
+  return document => checks.every(check => check(document));
+}
+
+module.exports = { compileFilters };
@@ -0,0 +1,118 @@
+/**
+ * Highlighter
+ * Wraps matched spans of a hadith text in tags and cuts keyword-in-context
+ * snippets around the densest cluster of matches
+ */
+
+const DEFAULT_TAGS = { preTag: '<mark>', postTag: '</mark>' };
+const ELLIPSIS = '…';
+const WHITESPACE = /\s/;
+
+/**
+ * Fill in the default tags for any tag left unset
+ */
+function resolveTags(tags = {}) {
+  return {
+    preTag: typeof tags.preTag === 'string' ? tags.preTag : DEFAULT_TAGS.preTag,
+    postTag: typeof tags.postTag === 'string' ? tags.postTag : DEFAULT_TAGS.postTag
+  };
+}
+
+/**
+ * Wrap the spans falling inside [from, to) in tags
+ * @param {string} text - Original text
+ * @param {Array<Object>} spans - Sorted, non-overlapping { start, end } offsets
+ * @param {Object} tags - { preTag, postTag }
+ * @returns {string} - text.slice(from, to) with tagged matches
+ */
+function insertTags(text, spans, tags, from = 0, to = text.length) {
+  let result = '';
+  let cursor = from;
+
+  for (const span of spans) {
+    if (span.end <= from || span.start >= to) continue;
+
+    const start = Math.max(span.start, from);
+    const end = Math.min(span.end, to);
+    result += text.slice(cursor, start) + tags.preTag + text.slice(start, end) + tags.postTag;
+    cursor = end;
+  }
+
+  return result + text.slice(cursor, to);
+}
+
+/**
+ * Highlight every match in the full text
+ * @param {string} text - Original text
+ * @param {Array<Object>} spans - Sorted, non-overlapping { start, end } offsets
+ * @param {Object} tags - { preTag, postTag }
+ * @returns {string}
+ */
+function highlight(text, spans, tags) {
+  return insertTags(text, spans, resolveTags(tags));
+}
+
+/**
+ * Choose the window of at most `size` characters holding the most matches,
+ * centred on them and trimmed to whole words where that does not cut a match
+ * @returns {Object} - { start, end } offsets of the window
+ */
+function selectWindow(text, spans, size) {
+  if (text.length <= size) {
+    return { start: 0, end: text.length };
+  }
+
+  let best = 0;
+  let bestCount = 0;
+  for (let i = 0; i < spans.length; i++) {
+    let count = 1;
+    while (i + count < spans.length && spans[i + count].end - spans[i].start <= size) count++;
+    if (count > bestCount) {
+      best = i;
+      bestCount = count;
+    }
+  }
+
+  const first = spans[best] || { start: 0, end: 0 };
+  const last = spans[best + bestCount - 1] || first;
+
+  // Share the remaining room between the context before and after the matches
+  const room = Math.max(0, size - (last.end - first.start));
+  let end = Math.min(text.length, first.start - Math.floor(room / 2) + size);
+  let start = Math.max(0, end - size);
+  end = Math.min(text.length, start + size);
+
+  // Do not start or end in the middle of a word
+  if (start > 0 && !WHITESPACE.test(text[start - 1])) {
+    let k = start;
+    while (k < first.start && !WHITESPACE.test(text[k])) k++;
+    if (k < first.start) start = k + 1;
+  }
+  if (end < text.length && !WHITESPACE.test(text[end])) {
+    let k = end - 1;
+    while (k >= last.end && !WHITESPACE.test(text[k])) k--;
+    if (k >= last.end) end = k;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Cut a snippet of about `size` characters around the matches
+ * @param {string} text - Original text
+ * @param {Array<Object>} spans - Sorted, non-overlapping { start, end } offsets
+ * @param {Object} options - { size, highlight, preTag, postTag }
+ * @returns {string} - Snippet with … marking cut text, and tagged matches when highlight is set
+ */
+function buildSnippet(text, spans, options = {}) {
+  const { size, highlight: withTags = false } = options;
+  const { start, end } = selectWindow(text, spans, size);
+
+  const body = withTags
+    ? insertTags(text, spans, resolveTags(options), start, end)
+    : text.slice(start, end);
+
+  return (start > 0 ? ELLIPSIS : '') + body.trim() + (end < text.length ? ELLIPSIS : '');
+}
+
+module.exports = { highlight, buildSnippet, DEFAULT_TAGS };
@@ -0,0 +1,159 @@
+/**
+ * Index Artifact
+ * Reads and writes the prebuilt search index made by scripts/build-index.js.
+ * The file starts with a JSON header (data hash, term dictionary, variant
+ * keys, suggestions, narrators) followed by the index's number tables as raw 32-bit
+ * integers, which are read as views over the file buffer without parsing.
+ * An artifact is only used when it was built from the files the hadith data
+ * was loaded from: files of the recorded sizes and modification times, or
+ * failing that, files with the recorded content hash.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump whenever the layout or the way the index is built changes
+// (tokenizing, normalization, stemming, isnad/matn segmentation, narrator
+// extraction), so older artifacts are rebuilt
+const FORMAT_VERSION = 5;
+
+const MAGIC = 'HIDX';
+const PREFIX_LENGTH = 8;
+
+const DEFAULT_ARTIFACT_PATH = path.join(__dirname, '../../data/search-index.bin');
+
+/**
+ * Hash the contents of the data files an index is built from
+ * @param {Array<string>} files - Paths of the manifest and collection files
+ * @returns {Promise<string>} - Hex sha256 digest
+ */
+async function computeDataHash(files) {
+  const hash = crypto.createHash('sha256');
+
+  for (const file of files) {
+    hash.update(`${path.basename(file)}\n`);
+    hash.update(await fs.readFile(file));
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Name, size and modification time of each data file, a cheap check that
+ * the files have not changed since something was built from them
+ * @param {Array<string>} files - Paths of the manifest and collection files
+ * @returns {Promise<Array<Object>>} - { name, size, mtimeMs } per file
+ */
+async function describeSourceFiles(files) {
+  return Promise.all(files.map(async file => {
+    const { size, mtimeMs } = await fs.stat(file);
+    return { name: path.basename(file), size, mtimeMs };
+  }));
+}
+
+/**
+ * Whether two descriptions from describeSourceFiles name the same files
+ */
+function sameSourceFiles(recorded, current) {
+  return Array.isArray(recorded) &&
+    recorded.length === current.length &&
+    recorded.every((file, index) =>
+      file.name === current[index].name &&
+      file.size === current[index].size &&
+      file.mtimeMs === current[index].mtimeMs
+    );
+}
+
+/**
+ * Write an artifact
+ * @param {string} filePath - Output path
+ * @param {Object} artifact - { header, tables } where header is JSON-serializable
+ * and tables maps names to Uint32Arrays
+ * @returns {Promise<number>} - Size of the written file in bytes
+ */
+async function writeArtifact(filePath, artifact) {
+  const layout = {};
+  let offset = 0;
+  for (const [name, table] of Object.entries(artifact.tables)) {
+    layout[name] = [offset, table.length];
+    offset += table.length;
+  }
+
+  const header = Buffer.from(JSON.stringify({
+    ...artifact.header,
+    formatVersion: FORMAT_VERSION,
+    endianness: os.endianness(),
+    tables: layout
+  }), 'utf8');
+
+  // Pad the header so the tables start on a 4-byte boundary
+  const padding = (4 - (header.length % 4)) % 4;
+  const prefix = Buffer.alloc(PREFIX_LENGTH);
+  prefix.write(MAGIC, 0, 'ascii');
+  prefix.writeUInt32LE(header.length + padding, 4);
+
+  const chunks = [prefix, header, Buffer.alloc(padding, ' ')];
+  for (const table of Object.values(artifact.tables)) {
+    chunks.push(Buffer.from(table.buffer, table.byteOffset, table.byteLength));
+  }
+
+  const buffer = Buffer.concat(chunks);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  return buffer.length;
+}
+
+/**
+ * Read an artifact
+ * @param {string} filePath - Artifact path
+ * @returns {Promise<Object|null>} - { header, tables } with tables as Uint32Array
+ * views, or null when the file does not exist
+ * @throws {Error} - When the file is not an index artifact or was written on a
+ * machine with a different byte order
+ */
+async function readArtifact(filePath) {
+  let buffer;
+  try {
+    buffer = await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  if (buffer.length < PREFIX_LENGTH || buffer.toString('ascii', 0, 4) !== MAGIC) {
+    throw new Error(`${filePath} is not a search index artifact`);
+  }
+
+  const headerLength = buffer.readUInt32LE(4);
+  const header = JSON.parse(buffer.toString('utf8', PREFIX_LENGTH, PREFIX_LENGTH + headerLength));
+  if (header.endianness !== os.endianness()) {
+    throw new Error('Search index artifact was built with a different byte order');
+  }
+
+  // Typed array views need an aligned start; copy the tables otherwise
+  let start = buffer.byteOffset + PREFIX_LENGTH + headerLength;
+  let body = buffer.buffer;
+  if (start % 4 !== 0) {
+    body = buffer.buffer.slice(start, buffer.byteOffset + buffer.length);
+    start = 0;
+  }
+
+  const tables = {};
+  for (const [name, [offset, length]] of Object.entries(header.tables)) {
+    tables[name] = new Uint32Array(body, start + offset * 4, length);
+  }
+
+  return { header, tables };
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  DEFAULT_ARTIFACT_PATH,
+  computeDataHash,
+  describeSourceFiles,
+  sameSourceFiles,
+  writeArtifact,
+  readArtifact
+};
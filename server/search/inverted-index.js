@@ -0,0 +1,490 @@
+/**
+ * Inverted Index
+ * Maps each term to a sorted posting list of the document ids containing it,
+ * with the term's frequency and word positions in each document and
+ * per-document lengths for ranking.
+ * Postings, frequencies and positions of all terms are stored back to back in
+ * flat typed arrays, the layout of the prebuilt index artifact: term i's
+ * postings are postings[termOffsets[i]..termOffsets[i + 1]), and posting p's
+ * positions are positions[positionOffsets[p]..positionOffsets[p + 1])
+ */
+
+const EMPTY_POSTINGS = Object.freeze([]);
+
+/**
+ * Growable list of unsigned 32-bit integers
+ */
+class UintBuffer {
+  constructor() {
+    this.values = new Uint32Array(1024);
+    this.length = 0;
+  }
+
+  push(value) {
+    if (this.length === this.values.length) {
+      const grown = new Uint32Array(this.values.length * 2);
+      grown.set(this.values);
+      this.values = grown;
+    }
+    this.values[this.length++] = value;
+  }
+}
+
+class InvertedIndex {
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Remove all terms and documents
+   */
+  clear() {
+    this.terms = [];
+    this.termIds = new Map();
+    this.termOffsets = new Uint32Array(1);
+    this.postings = new Uint32Array(0);
+    this.frequencies = new Uint32Array(0);
+    this.positionOffsets = new Uint32Array(1);
+    this.positions = new Uint32Array(0);
+    this.variants = new Map();
+    this.documentLengths = new Uint32Array(0);
+    this.totalLength = 0;
+    this.documentCount = 0;
+    // Postings of added documents in document order, until finalize()
+    this.pending = null;
+  }
+
+  /**
+   * Add a document's terms to the index
+   * Documents must be added in increasing docId order to keep posting lists
+   * sorted, and finalize() called once all are added
+   * @param {number} docId - Numeric document id
+   * @param {Array<string>} terms - Terms of the document in reading order
+   */
+  addDocument(docId, terms) {
+    if (!this.pending) {
+      this.pending = {
+        termIds: new UintBuffer(),
+        docIds: new UintBuffer(),
+        frequencies: new UintBuffer(),
+        positions: new UintBuffer(),
+        documentLengths: []
+      };
+    }
+    const pending = this.pending;
+
+    // term -> word positions in this document
+    const occurrences = new Map();
+    terms.forEach((term, position) => {
+      const list = occurrences.get(term);
+      if (list) {
+        list.push(position);
+      } else {
+        occurrences.set(term, [position]);
+      }
+    });
+
+    for (const [term, termPositions] of occurrences) {
+      let termId = this.termIds.get(term);
+      if (termId === undefined) {
+        termId = this.terms.length;
+        this.terms.push(term);
+        this.termIds.set(term, termId);
+      }
+      pending.termIds.push(termId);
+      pending.docIds.push(docId);
+      pending.frequencies.push(termPositions.length);
+      for (const position of termPositions) pending.positions.push(position);
+    }
+
+    pending.documentLengths[docId] = terms.length;
+    this.totalLength += terms.length;
+    this.documentCount++;
+  }
+
+  /**
+   * Sort the postings added since the last finalize() into the flat tables,
+   * grouped by term in order of first occurrence
+   */
+  finalize() {
+    const pending = this.pending;
+    if (!pending) return;
+    this.pending = null;
+
+    const count = pending.termIds.length;
+    const termIds = pending.termIds.values;
+
+    // Count postings per term, then turn the counts into start offsets
+    const termOffsets = new Uint32Array(this.terms.length + 1);
+    for (let i = 0; i < count; i++) termOffsets[termIds[i] + 1]++;
+    for (let id = 0; id < this.terms.length; id++) termOffsets[id + 1] += termOffsets[id];
+
+    // Place each posting after the earlier postings of its term, which keeps docIds sorted
+    const cursors = termOffsets.slice(0, this.terms.length);
+    const targets = new Uint32Array(count);
+    const postings = new Uint32Array(count);
+    const frequencies = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+      const target = cursors[termIds[i]]++;
+      targets[i] = target;
+      postings[target] = pending.docIds.values[i];
+      frequencies[target] = pending.frequencies.values[i];
+    }
+
+    const positionOffsets = InvertedIndex.positionOffsets(frequencies);
+    const positions = new Uint32Array(pending.positions.length);
+    let source = 0;
+    for (let i = 0; i < count; i++) {
+      const frequency = pending.frequencies.values[i];
+      positions.set(pending.positions.values.subarray(source, source + frequency), positionOffsets[targets[i]]);
+      source += frequency;
+    }
+
+    this.termOffsets = termOffsets;
+    this.postings = postings;
+    this.frequencies = frequencies;
+    this.positionOffsets = positionOffsets;
+    this.positions = positions;
+    this.documentLengths = Uint32Array.from(pending.documentLengths, length => length || 0);
+  }
+
+  /**
+   * Where each posting's positions start, from the posting frequencies
+   * @param {Uint32Array} frequencies - Frequency of each posting
+   * @returns {Uint32Array} - One offset per posting and the total at the end
+   */
+  static positionOffsets(frequencies) {
+    const offsets = new Uint32Array(frequencies.length + 1);
+    for (let i = 0; i < frequencies.length; i++) offsets[i + 1] = offsets[i] + frequencies[i];
+    return offsets;
+  }
+
+  /**
+   * Average number of terms per document
+   */
+  get averageDocumentLength() {
+    return this.documentCount > 0 ? this.totalLength / this.documentCount : 0;
+  }
+
+  /**
+   * Number of terms in a document
+   * @param {number} docId - Numeric document id
+   */
+  getDocumentLength(docId) {
+    return this.documentLengths[docId] || 0;
+  }
+
+  /**
+   * Sum the frequencies of several indexed terms per document
+   * Used to treat all spellings of a query term as one term when ranking
+   * @param {Array<string>} terms - Indexed terms
+   * @param {Map<string, number>} weights - Optional term -> weight applied to its occurrences (default 1)
+   * @param {Function} accept - Optional (docId, position) => boolean; only accepted occurrences
+   *   are counted and documents without any are left out
+   * @returns {Map<number, number>} - docId -> combined term frequency
+   */
+  getTermFrequencies(terms, weights = null, accept = null) {
+    const result = new Map();
+
+    for (const term of terms) {
+      const termId = this.termIds.get(term);
+      if (termId === undefined) continue;
+      const weight = weights && weights.has(term) ? weights.get(term) : 1;
+
+      for (let i = this.termOffsets[termId]; i < this.termOffsets[termId + 1]; i++) {
+        const docId = this.postings[i];
+        let count = this.frequencies[i];
+        if (accept) {
+          count = 0;
+          for (let j = this.positionOffsets[i]; j < this.positionOffsets[i + 1]; j++) {
+            if (accept(docId, this.positions[j])) count++;
+          }
+          if (count === 0) continue;
+        }
+        result.set(docId, (result.get(docId) || 0) + count * weight);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the posting list for a term
+   * @param {string} term - Indexed term
+   * @returns {Uint32Array|Array<number>} - Sorted document ids, a view into the posting table
+   */
+  getPostings(term) {
+    const termId = this.termIds.get(term);
+    if (termId === undefined) return EMPTY_POSTINGS;
+    return this.postings.subarray(this.termOffsets[termId], this.termOffsets[termId + 1]);
+  }
+
+  /**
+   * Get the word positions of a term in a document
+   * @param {string} term - Indexed term
+   * @param {number} docId - Numeric document id
+   * @returns {Array<number>} - Sorted word positions, empty if the term does not occur
+   */
+  getPositions(term, docId) {
+    const termId = this.termIds.get(term);
+    if (termId === undefined) return [];
+
+    let low = this.termOffsets[termId];
+    let high = this.termOffsets[termId + 1] - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (this.postings[middle] === docId) {
+        return Array.from(this.positions.subarray(this.positionOffsets[middle], this.positionOffsets[middle + 1]));
+      }
+      if (this.postings[middle] < docId) {
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Get the word positions of any of several indexed terms in a document
+   * @param {Array<string>} terms - Indexed terms
+   * @param {number} docId - Numeric document id
+   * @returns {Array<number>} - Sorted word positions
+   */
+  getVariantPositions(terms, docId) {
+    if (terms.length === 1) return this.getPositions(terms[0], docId);
+
+    const merged = [];
+    for (const term of terms) {
+      for (const position of this.getPositions(term, docId)) merged.push(position);
+    }
+    return merged.sort((a, b) => a - b);
+  }
+
+  /**
+   * Group indexed terms under a normalized key so a query term can match
+   * every spelling that normalizes to the same form
+   * @param {string} name - Name of the variant table (e.g. normalization mode)
+   * @param {Function} normalize - Maps an indexed term to its key
+   */
+  buildVariants(name, normalize) {
+    const table = new Map();
+
+    for (const term of this.terms) {
+      const key = normalize(term);
+      if (!key) continue;
+
+      const terms = table.get(key);
+      if (terms) {
+        terms.push(term);
+      } else {
+        table.set(key, [term]);
+      }
+    }
+
+    this.variants.set(name, table);
+  }
+
+  /**
+   * Get the indexed terms grouped under a key
+   * @param {string} name - Variant table name, or null for the raw terms
+   * @param {string} key - Normalized term
+   * @returns {Array<string>} - Indexed terms
+   */
+  getVariants(name, key) {
+    if (!name) {
+      return this.termIds.has(key) ? [key] : [];
+    }
+
+    const table = this.variants.get(name);
+    return (table && table.get(key)) || [];
+  }
+
+  /**
+   * Find the keys of a variant table accepted by a predicate
+   * @param {string} name - Variant table name, or null for the raw terms
+   * @param {Function} predicate - Called with each key
+   * @returns {Array<string>} - Matching keys
+   */
+  findKeys(name, predicate) {
+    const keys = name ? (this.variants.get(name) || new Map()).keys() : this.terms;
+    const result = [];
+
+    for (const key of keys) {
+      if (predicate(key)) result.push(key);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the documents containing any indexed spelling of a term
+   * @param {string} key - Normalized term
+   * @param {string} name - Variant table name, or null for the raw terms
+   * @returns {Array<number>} - Sorted document ids
+   */
+  getVariantPostings(key, name) {
+    const terms = this.getVariants(name, key);
+    if (terms.length === 1) return this.getPostings(terms[0]);
+    return InvertedIndex.union(terms.map(term => this.getPostings(term)));
+  }
+
+  /**
+   * Export the index as a term list and flat number tables, for the
+   * prebuilt index artifact. Variant groups refer to terms by their index
+   * @returns {Object} - { terms, variantKeys, tables } with Uint32Array tables
+   */
+  serialize() {
+    const terms = this.terms;
+    const termIds = this.termIds;
+
+    // termOffsets[i] is where term i's postings start in postings/frequencies;
+    // positions follow posting order, so their offsets are not stored
+    const tables = {
+      termOffsets: this.termOffsets,
+      postings: this.postings,
+      frequencies: this.frequencies,
+      positions: this.positions,
+      documentLengths: this.documentLengths
+    };
+
+    // Each variant table: its keys, and the term ids of each key's group
+    const variantKeys = {};
+    for (const [name, table] of this.variants) {
+      const offsets = new Uint32Array(table.size + 1);
+      const ids = [];
+      let index = 0;
+
+      for (const group of table.values()) {
+        offsets[index++] = ids.length;
+        for (const term of group) ids.push(termIds.get(term));
+      }
+      offsets[index] = ids.length;
+
+      variantKeys[name] = [...table.keys()];
+      tables[`variantOffsets.${name}`] = offsets;
+      tables[`variantTerms.${name}`] = Uint32Array.from(ids);
+    }
+
+    return { terms, variantKeys, tables };
+  }
+
+  /**
+   * Replace the index with one exported by serialize()
+   * @param {Object} data - { terms, variantKeys, tables }
+   */
+  restore(data) {
+    const { terms, variantKeys, tables } = data;
+    this.clear();
+
+    // The tables are kept as they are read: views over the artifact buffer
+    this.terms = terms;
+    this.termIds = new Map(terms.map((term, id) => [term, id]));
+    this.termOffsets = tables.termOffsets;
+    this.postings = tables.postings;
+    this.frequencies = tables.frequencies;
+    this.positions = tables.positions;
+    this.positionOffsets = InvertedIndex.positionOffsets(tables.frequencies);
+
+    for (const [name, keys] of Object.entries(variantKeys)) {
+      const offsets = tables[`variantOffsets.${name}`];
+      const ids = tables[`variantTerms.${name}`];
+      const table = new Map();
+
+      keys.forEach((key, index) => {
+        const group = [];
+        for (let i = offsets[index]; i < offsets[index + 1]; i++) group.push(terms[ids[i]]);
+        table.set(key, group);
+      });
+
+      this.variants.set(name, table);
+    }
+
+    this.documentLengths = tables.documentLengths;
+    this.documentCount = this.documentLengths.length;
+    this.totalLength = this.documentLengths.reduce((sum, length) => sum + length, 0);
+  }
+
+  /**
+   * Number of distinct terms in the index
+   */
+  get termCount() {
+    return this.terms.length;
+  }
+
+  /**
+   * Intersect sorted posting lists (documents containing every term)
+   * @param {Array<Array<number>>} lists - Sorted posting lists
+   * @returns {Array<number>} - Sorted document ids
+   */
+  static intersect(lists) {
+    if (lists.length === 0) return [];
+
+    // Start from the shortest list so the work is bounded by the rarest term
+    const ordered = [...lists].sort((a, b) => a.length - b.length);
+    let result = ordered[0];
+
+    for (let i = 1; i < ordered.length && result.length > 0; i++) {
+      const other = ordered[i];
+      const next = [];
+      let j = 0;
+
+      for (const docId of result) {
+        while (j < other.length && other[j] < docId) j++;
+        if (j === other.length) break;
+        if (other[j] === docId) next.push(docId);
+      }
+
+      result = next;
+    }
+
+    return result === ordered[0] ? [...result] : result;
+  }
+
+  /**
+   * Remove the documents of one sorted posting list from another
+   * @param {Array<number>} list - Sorted posting list
+   * @param {Array<number>} excluded - Sorted document ids to remove
+   * @returns {Array<number>} - Sorted document ids
+   */
+  static difference(list, excluded) {
+    if (excluded.length === 0) return [...list];
+
+    const result = [];
+    let j = 0;
+
+    for (const docId of list) {
+      while (j < excluded.length && excluded[j] < docId) j++;
+      if (excluded[j] !== docId) result.push(docId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Union sorted posting lists (documents containing any term)
+   * @param {Array<Array<number>>} lists - Sorted posting lists
+   * @returns {Array<number>} - Sorted document ids without duplicates
+   */
+  static union(lists) {
+    const nonEmpty = lists.filter(list => list.length > 0);
+    if (nonEmpty.length === 0) return [];
+    if (nonEmpty.length === 1) return [...nonEmpty[0]];
+
+    const merged = [];
+    for (const list of nonEmpty) {
+      for (const docId of list) merged.push(docId);
+    }
+    merged.sort((a, b) => a - b);
+
+    const result = [];
+    for (const docId of merged) {
+      if (result[result.length - 1] !== docId) result.push(docId);
+    }
+
+    return result;
+  }
+}
+
+module.exports = InvertedIndex;
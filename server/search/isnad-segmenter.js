@@ -0,0 +1,289 @@
+/**
+ * Isnad/Matn Segmenter
+ * Splits a hadith text into its chain of narrators (isnad) and its content
+ * (matn) with transmission-formula heuristics: the chain is read formula by
+ * formula (حدثنا فلان عن فلان ...) until a cue that introduces the report
+ * (قال رسول الله ﷺ, أنه قال, أن ...). Each split carries a confidence score
+ * depending on the cue it was found by
+ */
+
+const { tokenize } = require('./tokenizer');
+const { normalizeArabic } = require('./arabic-normalizer');
+
+const SEARCH_FIELDS = ['all', 'isnad', 'matn'];
+
+// Confidence of a split by the cue that ended the chain
+const CONFIDENCE = {
+  'prophetic-speech': 0.95, // ... عن أبي هريرة أن رسول الله ﷺ قال | matn
+  speech: 0.8, //              ... عن ابن عمر أنه قال | matn
+  'prophetic-report': 0.75, // ... عن ابن عمر | أن رسول الله ﷺ نهى ...
+  report: 0.6, //              ... عن نافع | أن عبد الله بن عمر كان ...
+  'no-isnad': 0.5, //          no transmission formula at the start: all matn
+  name: 0.3, //                no cue after a narrator, cut after the name
+  incomplete: 0.2 //           the chain runs to the end of the text
+};
+
+// The first formula must come within this many words
+const START_WINDOW = 4;
+
+// Longest narrator name read between two formulas
+// (عبد الرحمن بن عبد الله بن عبد الرحمن بن أبي صعصعة الأنصاري ثم المازني)
+const MAX_NAME_WORDS = 14;
+
+const loose = words => new Set(words.map(word => normalizeArabic(word, 'loose')));
+
+// Formulas linking one narrator to the next
+const FORMULAS = loose([
+  'حدثنا', 'حدثني', 'حدثناه', 'حدثنيه', 'حدثه', 'حدثها', 'حدثهم', 'حدثته', 'حدثتني', 'حدثاه', 'حدثاني', 'حدثوه',
+  'حدثتها', 'أخبرنا', 'أخبرني', 'أخبرناه', 'أخبره', 'أخبرها', 'أخبرهم', 'أخبرته', 'أخبرتني', 'أخبرتها', 'أخبراه',
+  'أنبأنا', 'أنبأني', 'نبأنا', 'ثنا', 'عن', 'عمن', 'سمعت', 'سمعنا', 'سمع', 'سمعا', 'ح'
+]);
+
+// Formulas that can follow the narrator introduced by أن (أن فلانا أخبره, أنه سمع فلانا ...)
+const REPORT_FORMULAS = loose([
+  'حدثه', 'حدثها', 'حدثهم', 'حدثته', 'حدثتها', 'حدثاه', 'حدثوه',
+  'أخبره', 'أخبرها', 'أخبرهم', 'أخبرته', 'أخبرتها', 'أخبراه', 'سمع', 'سمعت'
+]);
+
+// Formulas that can follow قال within the chain (قال حدثنا); قال عن or قال سمع starts the matn
+const SPEECH_FORMULAS = loose([
+  'حدثنا', 'حدثني', 'أخبرنا', 'أخبرني', 'أنبأنا', 'أنبأني', 'نبأنا', 'ثنا', 'سمعت', 'سمعنا', 'ح'
+]);
+
+const SPEECH_VERBS = loose(['قال', 'قالت', 'قالا', 'قالوا', 'يقول', 'تقول', 'يقولان']);
+const REPORT_PARTICLES = loose(['أن', 'أنه', 'أنها', 'أنهما', 'أنهم']);
+
+// Words that start a name and need the next word (أبو هريرة, عبد الله) and that link names (بن)
+const NAME_PREFIXES = loose(['أبو', 'أبي', 'أبا', 'أم', 'عبد', 'ذو', 'ذي']);
+const NAME_LINKS = loose(['بن', 'ابن', 'بنت']);
+
+// Honorifics skipped inside names: ﷺ, صلى الله عليه (وآله) وسلم, رضي الله عنه, عليه السلام
+const HONORIFICS = [
+  ['صلى', 'الله', 'عليه', 'وسلم'],
+  ['صلى', 'الله', 'عليه', 'وآله', 'وسلم'],
+  ['رضي', 'الله', 'عنه'],
+  ['رضي', 'الله', 'عنها'],
+  ['رضي', 'الله', 'عنهما'],
+  ['رضي', 'الله', 'عنهم'],
+  ['عليه', 'السلام'],
+  ['ﷺ'],
+  ['صلعم']
+].map(words => words.map(word => normalizeArabic(word, 'loose')));
+
+const PROPHET = normalizeArabic('النبي', 'loose');
+const MESSENGER = normalizeArabic('رسول', 'loose');
+const GOD = normalizeArabic('الله', 'loose');
+const WAS = normalizeArabic('كان', 'loose');
+
+function isFormula(word, formulas = FORMULAS) {
+  // Formulas joined to the conjunction: وحدثني, وعن
+  return formulas.has(word) || (word.length > 2 && word[0] === 'و' && formulas.has(word.slice(1)));
+}
+
+/**
+ * Number of words of the honorific starting at index, or 0
+ */
+function honorificLength(words, index) {
+  for (const honorific of HONORIFICS) {
+    if (honorific.every((word, i) => words[index + i] === word)) return honorific.length;
+  }
+  return 0;
+}
+
+/**
+ * Number of words of the reference to the Prophet starting at index
+ * (النبي, رسول الله), or 0
+ */
+function prophetLength(words, index) {
+  if (words[index] === PROPHET) return 1;
+  if (words[index] === MESSENGER && words[index + 1] === GOD) return 2;
+  return 0;
+}
+
+/**
+ * Index after the narrator name starting at index: prefixed words
+ * (أبي بكر, عبد الله) joined by بن/بنت, followed by nisbas (الأنصاري)
+ */
+function nameEnd(words, index) {
+  let end = index;
+  do {
+    if (end > index) end++; // The link
+    while (NAME_PREFIXES.has(words[end]) && end + 1 < words.length) end++;
+    end++;
+  } while (end + 1 < words.length && NAME_LINKS.has(words[end]));
+
+  while (end < words.length && /^ال.+ي$/.test(words[end])) end++;
+  return Math.min(end, words.length);
+}
+
+/**
+ * End of the chain at a reference to the Prophet after a formula
+ * (عن النبي ﷺ قال, سمعت رسول الله ﷺ يقول, عن رسول الله ﷺ أنه نهى)
+ * @returns {Object|null} - { position, cue }, or null when no reference starts at index
+ */
+function prophetEnd(words, index) {
+  const prophet = prophetLength(words, index);
+  if (prophet === 0) return null;
+
+  let after = index + prophet;
+  after += honorificLength(words, after);
+  if (REPORT_PARTICLES.has(words[after]) && SPEECH_VERBS.has(words[after + 1])) after++;
+  if (words[after] === WAS) after++;
+  if (SPEECH_VERBS.has(words[after])) return { position: after + 1, cue: 'prophetic-speech' };
+  return { position: after, cue: 'prophetic-report' };
+}
+
+/**
+ * Find the word where the matn starts
+ * @param {Array<string>} words - Loosely normalized words of the text
+ * @returns {Object} - { position, cue }
+ */
+function findMatnStart(words) {
+  let index = words.slice(0, START_WINDOW).findIndex(word => isFormula(word));
+  if (index === -1) return { position: 0, cue: 'no-isnad' };
+
+  // Index of the formula that introduced the current narrator
+  let formula = index;
+  index++;
+
+  while (index < words.length) {
+    const word = words[index];
+
+    if (isFormula(word)) {
+      formula = index++;
+      const end = prophetEnd(words, index);
+      if (end) return end;
+      continue;
+    }
+
+    // The narrator's words: قال حدثنا continues the chain, قال followed by anything else starts the matn
+    if (SPEECH_VERBS.has(word)) {
+      if (index + 1 < words.length && isFormula(words[index + 1], SPEECH_FORMULAS)) {
+        index++;
+        continue;
+      }
+      return {
+        position: index + 1,
+        cue: prophetLength(words, formula + 1) > 0 ? 'prophetic-speech' : 'speech'
+      };
+    }
+
+    if (REPORT_PARTICLES.has(word)) {
+      const next = index + 1;
+
+      // أن رسول الله ﷺ قال ... quotes the Prophet; أن رسول الله ﷺ نهى ... reports on him
+      const end = prophetEnd(words, next);
+      if (end) return end.cue === 'prophetic-speech' ? end : { position: index, cue: end.cue };
+
+      // أنه قال ... is handled as قال on the next pass
+      if (SPEECH_VERBS.has(words[next])) {
+        index = next;
+        continue;
+      }
+
+      // أن فلانا أخبره ... continues the chain
+      let lookahead = next;
+      while (lookahead < words.length && lookahead - next < MAX_NAME_WORDS &&
+        !isFormula(words[lookahead]) && !SPEECH_VERBS.has(words[lookahead]) && !REPORT_PARTICLES.has(words[lookahead])) {
+        lookahead++;
+      }
+      if (lookahead < words.length && isFormula(words[lookahead], REPORT_FORMULAS)) {
+        formula = lookahead;
+        index = lookahead + 1;
+        const end = prophetEnd(words, index);
+        if (end) return end;
+        continue;
+      }
+
+      return { position: index, cue: 'report' };
+    }
+
+    // Part of a narrator's name
+    const honorific = honorificLength(words, index);
+    if (honorific > 0) {
+      index += honorific;
+      continue;
+    }
+    if (index - formula > MAX_NAME_WORDS) break;
+    index++;
+  }
+
+  // No cue after the last narrator: the matn follows the name
+  const position = nameEnd(words, formula + 1);
+  return position < words.length ? { position, cue: 'name' } : { position, cue: 'incomplete' };
+}
+
+/**
+ * Remove spaces and direction marks around a part of the text
+ */
+function trimPart(text) {
+  return text.replace(/^[\s\u200e\u200f]+|[\s\u200e\u200f]+$/g, '');
+}
+
+/**
+ * Split a hadith text into isnad and matn
+ * @param {string} text - Hadith text, with or without diacritics
+ * @returns {Object} - { isnad, matn, matnOffset, matnPosition, confidence, cue } where
+ *   matnOffset is the character offset and matnPosition the word position where the matn starts
+ */
+function segmentHadith(text = '') {
+  const tokens = tokenize(text);
+  const { position, cue } = findMatnStart(tokens.map(token => normalizeArabic(token.term, 'loose')));
+  const matnOffset = position < tokens.length ? tokens[position].start : text.length;
+  const isnadEnd = position > 0 ? tokens[position - 1].end : 0;
+
+  return {
+    isnad: trimPart(text.slice(0, isnadEnd)),
+    matn: trimPart(text.slice(matnOffset)),
+    matnOffset,
+    matnPosition: position,
+    confidence: CONFIDENCE[cue],
+    cue
+  };
+}
+
+/**
+ * Narrator names in the isnad of a text, in chain order: the runs of words
+ * between formulas, speech verbs, report particles, honorifics and the
+ * conjunction و. References to the Prophet are left out
+ * @param {string} text - Hadith text
+ * @param {number} matnPosition - Word position where the matn starts (see segmentHadith)
+ * @returns {Array<string>} - Names as written in the text
+ */
+function extractChain(text = '', matnPosition = 0) {
+  const tokens = tokenize(text).slice(0, matnPosition);
+  const words = tokens.map(token => normalizeArabic(token.term, 'loose'));
+  const names = [];
+  let start = -1;
+
+  const close = end => {
+    if (start !== -1 && prophetLength(words, start) === 0) {
+      names.push(text.slice(tokens[start].start, tokens[end - 1].end));
+    }
+    start = -1;
+  };
+
+  for (let index = 0; index < words.length; index++) {
+    const word = words[index];
+    const honorific = honorificLength(words, index);
+
+    if (honorific > 0) {
+      close(index);
+      index += honorific - 1;
+    } else if (isFormula(word) || SPEECH_VERBS.has(word) || REPORT_PARTICLES.has(word) || word === 'و') {
+      close(index);
+    } else if (start === -1) {
+      start = index;
+    }
+  }
+  close(words.length);
+
+  return names;
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  CONFIDENCE,
+  segmentHadith,
+  extractChain
+};
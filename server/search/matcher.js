@@ -0,0 +1,85 @@
+/**
+ * Term Matcher
+ * Locates phrases and proximity matches from the word positions stored in the
+ * index. Spans are expressed in word positions (first and last word, inclusive)
+ * and mapped back to offsets in the original text by the caller.
+ */
+
+/**
+ * Spans covering each single occurrence of a term
+ * @param {Array<number>} positions - Sorted word positions of the term
+ * @returns {Array<Object>} - Spans as { first, last }
+ */
+function termSpans(positions) {
+  return positions.map(position => ({ first: position, last: position }));
+}
+
+/**
+ * Find runs of consecutive words matching the phrase terms in order
+ * @param {Array<Array<number>>} positionLists - Sorted word positions of each phrase term
+ * @returns {Array<Object>} - Phrase spans as { first, last }
+ */
+function findPhraseSpans(positionLists) {
+  if (positionLists.length === 0) return [];
+
+  const following = positionLists.slice(1).map(list => new Set(list));
+  const length = positionLists.length;
+
+  return positionLists[0]
+    .filter(position => following.every((set, i) => set.has(position + i + 1)))
+    .map(position => ({ first: position, last: position + length - 1 }));
+}
+
+/**
+ * Check whether span `next` lies within `distance` words of span `previous`
+ * Overlapping spans never satisfy the constraint
+ * @param {Object} previous - Span of the left operand
+ * @param {Object} next - Span of the right operand
+ * @param {Object} constraint - { distance, ordered }
+ */
+function isWithin(previous, next, constraint) {
+  let gap;
+  if (next.first > previous.last) {
+    gap = next.first - previous.last;
+  } else if (!constraint.ordered && previous.first > next.last) {
+    gap = previous.first - next.last;
+  } else {
+    return false;
+  }
+  return gap <= constraint.distance;
+}
+
+/**
+ * Find the operand spans taking part in a proximity match
+ * Each operand must lie within the given distance of the one before it
+ * (and, when ordered, after it). Only spans belonging to at least one
+ * complete chain are kept.
+ * @param {Array<Array<Object>>} operandSpans - Spans of each operand
+ * @param {Array<Object>} constraints - { distance, ordered } between consecutive operands
+ * @returns {Array<Array<Object>>} - Matching spans per operand, or [] when there is no match
+ */
+function findProximitySpans(operandSpans, constraints) {
+  const count = operandSpans.length;
+
+  // Forward pass: spans reachable from a valid chain over the previous operands
+  const reachable = [operandSpans[0]];
+  for (let i = 1; i < count; i++) {
+    reachable[i] = operandSpans[i].filter(span =>
+      reachable[i - 1].some(previous => isWithin(previous, span, constraints[i - 1]))
+    );
+    if (reachable[i].length === 0) return [];
+  }
+
+  // Backward pass: keep only spans that also lead to the last operand
+  const matched = new Array(count);
+  matched[count - 1] = reachable[count - 1];
+  for (let i = count - 2; i >= 0; i--) {
+    matched[i] = reachable[i].filter(span =>
+      matched[i + 1].some(next => isWithin(span, next, constraints[i]))
+    );
+  }
+
+  return matched;
+}
+
+module.exports = { termSpans, findPhraseSpans, findProximitySpans };
@@ -0,0 +1,331 @@
+/**
+ * Narrator Index
+ * Narrator entities drawn from the isnads: the names found between
+ * transmission formulas are cleaned (relations, descriptors and nisbas
+ * dropped), normalized and merged into entities that keep their spelling
+ * variants, the documents whose chains name them and per-collection counts
+ */
+
+const { tokenize } = require('./tokenizer');
+const { normalizeArabic, stripDiacritics } = require('./arabic-normalizer');
+
+// Names longer than this are taken for misread chains and skipped
+const MAX_NAME_WORDS = 8;
+
+const loose = words => new Set(words.map(word => normalizeArabic(word, 'loose')));
+
+// Narrators who are not named: عن رجل, عن مولى لفلان, عن بعض أهل العلم
+const UNNAMED = loose(['رجل', 'رجلا', 'امرأة', 'مولى', 'مولاة', 'بعض', 'ناس', 'أناس', 'من', 'غير', 'أهل', 'شيخ', 'وهو', 'يوم']);
+
+// Relations to the previous narrator: عن أبيه, or before a name: عن جده سفيان بن عبد الله
+const RELATIONS = loose([
+  'أبيه', 'أبيها', 'أبيهما', 'أبيهم', 'جده', 'جدها', 'جدته', 'عمه', 'عمها', 'عمته',
+  'خاله', 'خالته', 'خالتها', 'أمه', 'أمها', 'أخيه', 'أخته', 'أخيها', 'ابنه', 'ابنها', 'امرأته', 'زوجته'
+]);
+
+// Words ending a name: نافع مولى ابن عمر, عائشة زوج النبي, حفصة أم المؤمنين
+const DESCRIPTORS = loose(['مولى', 'مولاة', 'زوج', 'صاحب', 'أخو', 'أخي', 'أخا', 'أم', 'ثم', 'أو', 'يعني', 'يحدث']);
+
+const LINKS = loose(['بن', 'ابن', 'بنت']);
+
+// Grammatical cases of kunyas and the link ابن within a name
+const CASE_FORMS = new Map([
+  ['ابي', 'ابو'],
+  ['ابا', 'ابو'],
+  ['ذي', 'ذو'],
+  ['ذا', 'ذو'],
+  ['ابنه', 'بنت']
+]);
+const DISPLAY_CASE_FORMS = new Map([
+  ['أبي', 'أبو'],
+  ['أبا', 'أبو'],
+  ['ابي', 'أبو'],
+  ['ابا', 'أبو'],
+  ['ذي', 'ذو'],
+  ['ذا', 'ذو']
+]);
+
+/**
+ * Clean a name from a chain and compute its lookup key
+ * @param {string} text - Name as written in the isnad
+ * @returns {Object|null} - { name, key }, or null when no narrator is named
+ */
+function parseName(text) {
+  let words = tokenize(text).map(token => stripDiacritics(token.term));
+  let keys = words.map(word => normalizeArabic(word, 'loose'));
+
+  if (keys.length === 0 || UNNAMED.has(keys[0])) return null;
+
+  // ابن لعبد الله: an unnamed son
+  if (keys.length > 1 && keys[0] === 'ابن' && keys[1].startsWith('ل')) return null;
+
+  if (RELATIONS.has(keys[0])) {
+    words = words.slice(1);
+    keys = keys.slice(1);
+  }
+
+  // A descriptor or a word joined to و ends the name, except as a parent's name (بن أم مكتوم)
+  let end = keys.findIndex((key, index) =>
+    index > 0 && !LINKS.has(keys[index - 1]) && (DESCRIPTORS.has(key) || (key.length > 2 && key[0] === 'و'))
+  );
+  if (end === -1) end = keys.length;
+  while (end > 0 && LINKS.has(keys[end - 1])) end--;
+  words = words.slice(0, end);
+  keys = keys.slice(0, end);
+
+  if (keys.length === 0 || keys.length > MAX_NAME_WORDS) return null;
+
+  // Trailing nisbas are dropped from the key unless they are the whole name (الزهري)
+  let keyLength = keys.length;
+  while (keyLength > 1 && /^ال.+ي$/.test(keys[keyLength - 1])) keyLength--;
+
+  const key = keys.slice(0, keyLength)
+    .map((word, index) => (index > 0 && word === 'ابن' ? 'بن' : CASE_FORMS.get(word) || word))
+    .join(' ');
+
+  return { name: words.join(' '), key };
+}
+
+/**
+ * Nominative form of a name for display: أبي هريرة -> أبو هريرة
+ */
+function displayName(name) {
+  const words = name.split(' ');
+  words[0] = DISPLAY_CASE_FORMS.get(words[0]) || words[0];
+  return words.join(' ');
+}
+
+class NarratorIndex {
+  constructor() {
+    // docId -> narrator ids in chain order
+    this.chains = [];
+    // Narrators by id - 1, as { id, name, key, variants, collections, hadithCount, documents }
+    this.narrators = [];
+    this.pending = [];
+  }
+
+  /**
+   * Remove all narrators and chains
+   */
+  clear() {
+    this.chains = [];
+    this.narrators = [];
+    this.pending = [];
+  }
+
+  /**
+   * Record the chain of a document
+   * @param {number} docId - Numeric document id
+   * @param {Array<string>} names - Names in chain order (see extractChain)
+   */
+  addDocument(docId, names) {
+    this.pending[docId] = names.map(parseName).filter(Boolean);
+  }
+
+  /**
+   * Merge the recorded names into narrator entities
+   * Names with the same key are one narrator. An accusative spelling
+   * (جابرا) joins the plain name (جابر), and a single-word name (مالك)
+   * joins the only longer name starting with it (مالك بن أنس)
+   * @param {Function} describe - docId => { collectionId, hadithId }, to count each hadith once
+   */
+  build(describe) {
+    const groups = new Map();
+    this.pending.forEach((names, docId) => {
+      if (!names) return;
+      for (const { name, key } of names) {
+        let group = groups.get(key);
+        if (!group) {
+          group = { variants: new Map(), documents: [] };
+          groups.set(key, group);
+        }
+        group.variants.set(name, (group.variants.get(name) || 0) + 1);
+        if (group.documents[group.documents.length - 1] !== docId) group.documents.push(docId);
+      }
+    });
+
+    const aliases = new Map();
+    for (const key of groups.keys()) {
+      const [first, ...rest] = key.split(' ');
+      if (first.length > 3 && first.endsWith('ا')) {
+        const plain = [first.slice(0, -1), ...rest].join(' ');
+        if (groups.has(plain)) aliases.set(key, plain);
+      }
+    }
+    // Full names by their first word (مالك -> مالك بن أنس)
+    const fullNames = new Map();
+    for (const key of groups.keys()) {
+      const [first, link] = key.split(' ');
+      if (link !== 'بن' || aliases.has(key)) continue;
+      if (!fullNames.has(first)) fullNames.set(first, []);
+      fullNames.get(first).push(key);
+    }
+    for (const key of groups.keys()) {
+      const longer = fullNames.get(key);
+      if (longer && longer.length === 1) aliases.set(key, longer[0]);
+    }
+
+    // Combine aliased groups into entities
+    const entities = new Map();
+    for (const [key, group] of groups) {
+      let target = key;
+      while (aliases.has(target)) target = aliases.get(target);
+
+      let entity = entities.get(target);
+      if (!entity) {
+        entity = { key: target, variants: new Map(), documents: new Set() };
+        entities.set(target, entity);
+      }
+      for (const [name, count] of group.variants) {
+        entity.variants.set(name, (entity.variants.get(name) || 0) + count);
+      }
+      for (const docId of group.documents) entity.documents.add(docId);
+    }
+
+    this.narrators = [...entities.values()].map(entity => {
+      const collections = new Map();
+      for (const docId of entity.documents) {
+        const { collectionId, hadithId } = describe(docId);
+        if (!collections.has(collectionId)) collections.set(collectionId, new Set());
+        collections.get(collectionId).add(hadithId);
+      }
+
+      const variants = [...entity.variants]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([name, count]) => ({ name, count }));
+
+      return this.createNarrator(
+        entity.key,
+        displayName(variants[0].name),
+        variants,
+        [...collections].map(([collectionId, hadiths]) => ({ collectionId, hadithCount: hadiths.size }))
+      );
+    });
+
+    this.narrators.sort((a, b) => b.hadithCount - a.hadithCount || a.name.localeCompare(b.name));
+    this.narrators.forEach((narrator, index) => {
+      narrator.id = index + 1;
+    });
+
+    // Chains as narrator ids, with a name repeated in a row counted once
+    const ids = new Map();
+    for (const narrator of this.narrators) ids.set(narrator.key, narrator.id);
+    this.chains = this.pending.map(names => {
+      const chain = [];
+      for (const { key } of names || []) {
+        let target = key;
+        while (aliases.has(target)) target = aliases.get(target);
+        const id = ids.get(target);
+        if (chain[chain.length - 1] !== id) chain.push(id);
+      }
+      return chain;
+    });
+
+    this.linkDocuments();
+    this.pending = [];
+  }
+
+  /**
+   * Create a narrator entry
+   */
+  createNarrator(key, name, variants, collections) {
+    return {
+      id: 0,
+      key,
+      name,
+      variants,
+      collections,
+      hadithCount: collections.reduce((sum, collection) => sum + collection.hadithCount, 0),
+      documents: []
+    };
+  }
+
+  /**
+   * Fill each narrator's sorted document list from the chains
+   */
+  linkDocuments() {
+    for (const narrator of this.narrators) narrator.documents = [];
+    this.chains.forEach((chain, docId) => {
+      for (const id of new Set(chain)) this.narrators[id - 1].documents.push(docId);
+    });
+  }
+
+  /**
+   * Export the narrators and chains, for the prebuilt index artifact
+   * @returns {Object} - { narrators, tables: { chainOffsets, chainNarrators } }
+   */
+  serialize() {
+    const chainOffsets = new Uint32Array(this.chains.length + 1);
+    this.chains.forEach((chain, docId) => {
+      chainOffsets[docId + 1] = chainOffsets[docId] + chain.length;
+    });
+
+    const chainNarrators = new Uint32Array(chainOffsets[this.chains.length]);
+    this.chains.forEach((chain, docId) => chainNarrators.set(chain, chainOffsets[docId]));
+
+    return {
+      narrators: this.narrators.map(narrator => [
+        narrator.key,
+        narrator.name,
+        narrator.variants.map(variant => [variant.name, variant.count]),
+        narrator.collections.map(collection => [collection.collectionId, collection.hadithCount])
+      ]),
+      tables: { chainOffsets, chainNarrators }
+    };
+  }
+
+  /**
+   * Rebuild the index from data exported by serialize()
+   * @param {Object} data - { narrators, tables: { chainOffsets, chainNarrators } }
+   */
+  restore(data) {
+    const { narrators, tables } = data;
+
+    this.narrators = narrators.map(([key, name, variants, collections], index) => {
+      const narrator = this.createNarrator(
+        key,
+        name,
+        variants.map(([variantName, count]) => ({ name: variantName, count })),
+        collections.map(([collectionId, hadithCount]) => ({ collectionId, hadithCount }))
+      );
+      narrator.id = index + 1;
+      return narrator;
+    });
+
+    const { chainOffsets, chainNarrators } = tables;
+    this.chains = [];
+    for (let docId = 0; docId + 1 < chainOffsets.length; docId++) {
+      this.chains.push(Array.from(chainNarrators.subarray(chainOffsets[docId], chainOffsets[docId + 1])));
+    }
+
+    this.linkDocuments();
+    this.pending = [];
+  }
+
+  /**
+   * Get a narrator by id
+   * @param {number} id - Narrator id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.narrators[id - 1] || null;
+  }
+
+  /**
+   * Narrators whose name or a variant contains a text, ignoring diacritics
+   * and letter variants. All narrators without a text
+   * @param {string} text - Part of a name
+   * @returns {Array<Object>} - Narrators, most hadiths first
+   */
+  find(text) {
+    const query = text ? normalizeArabic(text, 'loose').trim() : '';
+    if (!query) return this.narrators;
+
+    return this.narrators.filter(narrator =>
+      narrator.variants.some(variant => normalizeArabic(variant.name, 'loose').includes(query))
+    );
+  }
+}
+
+module.exports = NarratorIndex;
+module.exports.parseName = parseName;
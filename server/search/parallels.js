@@ -0,0 +1,274 @@
+/**
+ * Parallel Narrations
+ * Finds the same report in different collections by comparing the matn of
+ * each hadith as a set of word shingles (overlapping word pairs, loosely
+ * normalized). MinHash signatures and locality-sensitive hashing pick
+ * candidate pairs without comparing every hadith with every other, and
+ * candidates are scored by the Jaccard similarity of their shingle sets.
+ * The pairs are computed offline by scripts/build-parallels.js, together
+ * with the duplicate clusters of each collection (see duplicates.js), and
+ * loaded by the server from data/parallels.json
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { tokenize } = require('./tokenizer');
+const { normalizeArabic } = require('./arabic-normalizer');
+
+const DEFAULT_PARALLELS_PATH = path.join(__dirname, '../../data/parallels.json');
+
+// Bump whenever shingling, scoring or the file layout changes, so older files are rebuilt
+const PARALLELS_VERSION = 2;
+
+const SHINGLE_SIZE = 2;
+
+// Matns with fewer words are too short to compare (مثله, نحوه)
+const MIN_WORDS = 5;
+
+// Signature of BANDS * ROWS hashes; two hadiths are compared when all rows
+// of a band agree, which finds about nine in ten pairs of 0.4 similarity
+// and nearly all pairs above 0.5
+const BANDS = 40;
+const ROWS = 3;
+
+// Lowest similarity kept in the file
+const MIN_SIMILARITY = 0.3;
+
+// Shingles found in more than this share of the hadiths (صلى الله, رسول الله)
+// say nothing about which report it is and are ignored
+const MAX_SHINGLE_SHARE = 0.01;
+
+class ParallelsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ParallelsError';
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scramble a 32-bit hash with a seed (murmur3 finalizer)
+ */
+function mix(hash, seed) {
+  let h = (hash ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// One seed per signature row, from a fixed linear congruential sequence
+const SEEDS = [];
+for (let i = 0, seed = 0x9e3779b9; i < BANDS * ROWS; i++) {
+  seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+  SEEDS.push(seed);
+}
+
+/**
+ * Hashed word shingles of a matn
+ * @param {string} text - Matn, with or without diacritics
+ * @returns {Array<number>} - Distinct shingle hashes, or none for a matn shorter than MIN_WORDS
+ */
+function shingleText(text) {
+  const words = tokenize(text).map(token => normalizeArabic(token.term, 'loose'));
+  if (words.length < MIN_WORDS) return [];
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+  return [...shingles];
+}
+
+/**
+ * MinHash signature of a shingle set
+ * @param {Array<number>} shingles - Shingle hashes
+ * @returns {Uint32Array}
+ */
+function signature(shingles) {
+  const result = new Uint32Array(SEEDS.length).fill(0xffffffff);
+  for (const shingle of shingles) {
+    for (let row = 0; row < SEEDS.length; row++) {
+      const value = mix(shingle, SEEDS[row]);
+      if (value < result[row]) result[row] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Jaccard similarity of two sorted shingle arrays
+ */
+function jaccard(a, b) {
+  let shared = 0;
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      shared++;
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * Find pairs of hadiths with similar matns
+ * @param {Array<Object>} entries - Hadiths as { collectionId, hadithId, matn }
+ * @param {Object} options - { minSimilarity, accept: (a, b) => boolean to compare
+ *   only some pairs of entry indexes }
+ * @returns {Array<Array<number>>} - Pairs as [entry index, entry index, similarity], most similar first
+ */
+function findSimilarPairs(entries, options = {}) {
+  const { minSimilarity = MIN_SIMILARITY, accept = () => true } = options;
+
+  const shingleSets = entries.map(entry => shingleText(entry.matn));
+
+  // Ignore shingles that are too common to tell reports apart
+  const counts = new Map();
+  for (const shingles of shingleSets) {
+    for (const shingle of shingles) counts.set(shingle, (counts.get(shingle) || 0) + 1);
+  }
+  const maxCount = Math.max(2, Math.floor(entries.length * MAX_SHINGLE_SHARE));
+  const filtered = shingleSets.map(shingles =>
+    shingles.filter(shingle => counts.get(shingle) <= maxCount).sort((a, b) => a - b)
+  );
+  const signatures = filtered.map(shingles => (shingles.length > 0 ? signature(shingles) : null));
+
+  // Hadiths whose signatures agree on a whole band share a bucket
+  const candidates = new Set();
+  for (let band = 0; band < BANDS; band++) {
+    const buckets = new Map();
+    signatures.forEach((rows, index) => {
+      if (!rows) return;
+      const key = rows.subarray(band * ROWS, (band + 1) * ROWS).join(',');
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+
+    for (const bucket of buckets.values()) {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          const a = bucket[i];
+          const b = bucket[j];
+          if (!accept(a, b)) continue;
+          candidates.add(a * entries.length + b);
+        }
+      }
+    }
+  }
+
+  const pairs = [];
+  for (const candidate of candidates) {
+    const a = Math.floor(candidate / entries.length);
+    const b = candidate % entries.length;
+    const similarity = jaccard(filtered[a], filtered[b]);
+    if (similarity >= minSimilarity) pairs.push([a, b, Math.round(similarity * 1000) / 1000]);
+  }
+
+  return pairs.sort((x, y) => y[2] - x[2] || x[0] - y[0] || x[1] - y[1]);
+}
+
+/**
+ * Find parallel narrations: similar hadiths of different collections
+ * @param {Array<Object>} entries - Hadiths as { collectionId, hadithId, matn }
+ * @param {Object} options - { minSimilarity }
+ * @returns {Array<Array<number>>} - Pairs as [entry index, entry index, similarity], most similar first
+ */
+function computeParallels(entries, options = {}) {
+  return findSimilarPairs(entries, {
+    ...options,
+    accept: (a, b) => entries[a].collectionId !== entries[b].collectionId
+  });
+}
+
+class ParallelIndex {
+  /**
+   * @param {Object} data - Contents of a parallels file
+   */
+  constructor(data) {
+    this.version = data.version;
+    this.dataHash = data.dataHash;
+    this.sourceFiles = data.sourceFiles;
+    this.generatedAt = data.generatedAt;
+    this.parameters = data.parameters;
+    // { collectionId, hadithIds } of each duplicate cluster, numbered from 1
+    this.clusters = data.clusters || [];
+    // "collectionId/hadithId" -> [{ collectionId, hadithId, similarity }]
+    this.parallels = new Map();
+
+    const hadiths = data.hadiths.map(key => {
+      const separator = key.indexOf('/');
+      return { key, collectionId: key.slice(0, separator), hadithId: key.slice(separator + 1) };
+    });
+
+    for (const [a, b, similarity] of data.pairs) {
+      this.add(hadiths[a], hadiths[b], similarity);
+      this.add(hadiths[b], hadiths[a], similarity);
+    }
+    for (const list of this.parallels.values()) {
+      list.sort((x, y) => y.similarity - x.similarity);
+    }
+  }
+
+  add(from, to, similarity) {
+    if (!this.parallels.has(from.key)) this.parallels.set(from.key, []);
+    this.parallels.get(from.key).push({ collectionId: to.collectionId, hadithId: to.hadithId, similarity });
+  }
+
+  /**
+   * Read a parallels file
+   * @param {string} filePath - Path of the file written by scripts/build-parallels.js
+   * @returns {Promise<ParallelIndex|null>} - null when the file does not exist
+   */
+  static async load(filePath = DEFAULT_PARALLELS_PATH) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new ParallelsError(`Cannot read parallels file: ${error.message}`);
+    }
+
+    if (!Array.isArray(data.hadiths) || !Array.isArray(data.pairs)) {
+      throw new ParallelsError('Parallels file must have "hadiths" and "pairs" arrays');
+    }
+    return new ParallelIndex(data);
+  }
+
+  /**
+   * Parallels of a hadith, most similar first
+   * @param {string} collectionId - Collection of the hadith
+   * @param {string} hadithId - Hadith id
+   * @param {number} threshold - Lowest similarity returned
+   * @returns {Array<Object>} - { collectionId, hadithId, similarity }
+   */
+  find(collectionId, hadithId, threshold = 0) {
+    return (this.parallels.get(`${collectionId}/${hadithId}`) || [])
+      .filter(parallel => parallel.similarity >= threshold);
+  }
+}
+
+module.exports = ParallelIndex;
+module.exports.ParallelsError = ParallelsError;
+module.exports.computeParallels = computeParallels;
+module.exports.findSimilarPairs = findSimilarPairs;
+module.exports.DEFAULT_PARALLELS_PATH = DEFAULT_PARALLELS_PATH;
+module.exports.PARALLELS_VERSION = PARALLELS_VERSION;
+module.exports.MIN_SIMILARITY = MIN_SIMILARITY;
+module.exports.PARAMETERS = { shingleSize: SHINGLE_SIZE, minWords: MIN_WORDS, bands: BANDS, rows: ROWS, maxShingleShare: MAX_SHINGLE_SHARE };
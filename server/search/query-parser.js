@@ -0,0 +1,327 @@
+/**
+ * Query Parser
+ * Parses the search query language into a tree of clauses:
+ *   word         plain term (required with op=and, optional with op=or)
+ *   +word        required term
+ *   -word        excluded term
+ *   "a b c"      exact phrase
+ *   ab*          prefix term (also *ab suffix, a?b single-letter wildcard)
+ *   a OR b       either term
+ *   a NEAR/n b   both terms within n words of each other, in any order
+ *   a ONEAR/n b  both terms within n words, a before b
+ *   ( ... )      grouping
+ */
+
+const { isWildcard, isValidWildcard } = require('./wildcard');
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.statusCode = 400;
+    this.position = position;
+  }
+}
+
+const WORD_BOUNDARY = /[\s()"]/;
+const PROXIMITY_OPERATOR = /^(O?NEAR)(?:\/(\d*))?$/;
+const MAX_PROXIMITY_DISTANCE = 100;
+
+/**
+ * Build a proximity operator token from NEAR/n or ONEAR/n
+ */
+function proximityToken(match, position) {
+  const [label, keyword, digits] = match;
+  const distance = Number(digits);
+
+  if (!digits || distance < 1 || distance > MAX_PROXIMITY_DISTANCE) {
+    throw new QuerySyntaxError(
+      `${keyword} needs a distance between 1 and ${MAX_PROXIMITY_DISTANCE}, e.g. ${keyword}/5`,
+      position
+    );
+  }
+
+  return { type: 'NEAR', label, distance, ordered: keyword === 'ONEAR', position };
+}
+
+/**
+ * Split the query string into operator, phrase and word tokens
+ * Words that contain no searchable characters are dropped
+ */
+function lex(input, analyze) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === '+' || char === '-') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new QuerySyntaxError('Unterminated phrase', i);
+      }
+      tokens.push({ type: 'phrase', terms: analyze(input.slice(i + 1, end)), position: i });
+      i = end + 1;
+    } else {
+      let end = i;
+      while (end < input.length && !WORD_BOUNDARY.test(input[end])) end++;
+
+      const value = input.slice(i, end);
+      const proximity = PROXIMITY_OPERATOR.exec(value);
+      if (value === 'OR') {
+        tokens.push({ type: 'OR', position: i });
+      } else if (proximity) {
+        tokens.push(proximityToken(proximity, i));
+      } else if (isWildcard(value)) {
+        if (!isValidWildcard(value)) {
+          throw new QuerySyntaxError('Wildcards must be used inside a single word with at least one letter', i);
+        }
+        tokens.push({ type: 'word', terms: [value.toLowerCase()], position: i });
+      } else {
+        const terms = analyze(value);
+        if (terms.length > 0) {
+          tokens.push({ type: 'word', terms, position: i });
+        }
+      }
+      i = end;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Build a term node, or a phrase node when the text yields several terms
+ */
+function leafNode(terms, position) {
+  return terms.length === 1
+    ? { type: 'term', term: terms[0], position }
+    : { type: 'phrase', terms, position };
+}
+
+/**
+ * Parse a query string
+ * @param {string} input - Raw query string
+ * @param {Object} options - { defaultOperator: 'and'|'or', analyze: text => terms }
+ * @returns {Object} - Query tree of term, phrase, near, or and group nodes
+ * @throws {QuerySyntaxError} - When the query is malformed
+ */
+function parseQuery(input, options = {}) {
+  const { defaultOperator = 'or', analyze } = options;
+  const defaultOccur = defaultOperator === 'and' ? 'must' : 'should';
+  const tokens = lex(input, analyze);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const positionOf = token => (token ? token.position : input.length);
+  const unexpected = token => new QuerySyntaxError(`Unexpected '${token.label || token.type}'`, token.position);
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (!token) {
+      throw new QuerySyntaxError('Expected a search term', input.length);
+    }
+
+    if (token.type === '(') {
+      index++;
+      const group = parseSequence();
+      if (!peek() || peek().type !== ')') {
+        throw new QuerySyntaxError('Missing closing parenthesis for group', token.position);
+      }
+      index++;
+      return group;
+    }
+
+    if (token.type === 'phrase') {
+      index++;
+      if (token.terms.length === 0) {
+        throw new QuerySyntaxError('Empty phrase', token.position);
+      }
+      return leafNode(token.terms, token.position);
+    }
+
+    if (token.type === 'word') {
+      index++;
+      return leafNode(token.terms, token.position);
+    }
+
+    throw unexpected(token);
+  }
+
+  function parseProximity() {
+    const first = parsePrimary();
+    if (!peek() || peek().type !== 'NEAR') {
+      return first;
+    }
+
+    const operands = [first];
+    const constraints = [];
+
+    while (peek() && peek().type === 'NEAR') {
+      const operator = tokens[index++];
+      if (!peek() || [')', 'OR', 'NEAR', '+', '-'].includes(peek().type)) {
+        throw new QuerySyntaxError(`Expected a search term after ${operator.label}`, operator.position);
+      }
+      operands.push(parsePrimary());
+      constraints.push({ distance: operator.distance, ordered: operator.ordered });
+
+      if (operands.some(operand => operand.type !== 'term' && operand.type !== 'phrase')) {
+        throw new QuerySyntaxError(`${operator.label} only accepts terms and phrases`, operator.position);
+      }
+    }
+
+    return { type: 'near', operands, constraints, position: first.position };
+  }
+
+  function parseOr() {
+    const children = [parseProximity()];
+
+    while (peek() && peek().type === 'OR') {
+      const operator = tokens[index++];
+      if (!peek() || [')', 'OR', 'NEAR'].includes(peek().type)) {
+        throw new QuerySyntaxError('Expected a search term after OR', operator.position);
+      }
+      children.push(parseProximity());
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseClause() {
+    const token = peek();
+    let occur = defaultOccur;
+
+    if (token.type === '+' || token.type === '-') {
+      index++;
+      occur = token.type === '+' ? 'must' : 'not';
+      const next = peek();
+      if (!next || [')', 'OR', 'NEAR', '+', '-'].includes(next.type)) {
+        throw new QuerySyntaxError(`Expected a search term after '${token.type}'`, token.position);
+      }
+    }
+
+    return { occur, node: parseOr() };
+  }
+
+  function parseSequence() {
+    const start = positionOf(peek());
+    const clauses = [];
+
+    while (peek() && peek().type !== ')') {
+      clauses.push(parseClause());
+    }
+
+    if (clauses.length === 0) {
+      throw new QuerySyntaxError('Expected a search term', positionOf(peek()));
+    }
+
+    if (clauses.every(clause => clause.occur === 'not')) {
+      throw new QuerySyntaxError('A query needs at least one term that is not excluded', start);
+    }
+
+    if (clauses.length === 1) {
+      return clauses[0].node;
+    }
+
+    return { type: 'group', clauses };
+  }
+
+  const tree = parseSequence();
+
+  if (index < tokens.length) {
+    throw unexpected(tokens[index]);
+  }
+
+  return tree;
+}
+
+/**
+ * Collect the term, phrase and proximity nodes that can contribute to a match
+ * (everything except excluded clauses)
+ * @param {Object} node - Query tree
+ * @returns {Array<Object>} - Term, phrase and near nodes
+ */
+function collectLeaves(node, leaves = []) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+    case 'near':
+      leaves.push(node);
+      break;
+    case 'or':
+      node.children.forEach(child => collectLeaves(child, leaves));
+      break;
+    case 'group':
+      node.clauses
+        .filter(clause => clause.occur !== 'not')
+        .forEach(clause => collectLeaves(clause.node, leaves));
+      break;
+  }
+
+  return leaves;
+}
+
+/**
+ * Terms of a leaf node in query order
+ * @param {Object} leaf - Term, phrase or near node
+ * @returns {Array<string>} - Terms
+ */
+function leafTerms(leaf) {
+  switch (leaf.type) {
+    case 'term':
+      return [leaf.term];
+    case 'phrase':
+      return leaf.terms;
+    default:
+      return leaf.operands.flatMap(leafTerms);
+  }
+}
+
+/**
+ * Write a query node back in the query language, with required and
+ * excluded clauses marked + and -
+ * @param {Object} node - Query tree node
+ * @returns {string}
+ */
+function formatNode(node) {
+  switch (node.type) {
+    case 'term':
+      return node.term;
+    case 'phrase':
+      return `"${node.terms.join(' ')}"`;
+    case 'near':
+      return node.operands.map((operand, i) => {
+        if (i === 0) return formatNode(operand);
+        const { distance, ordered } = node.constraints[i - 1];
+        return `${ordered ? 'ONEAR' : 'NEAR'}/${distance} ${formatNode(operand)}`;
+      }).join(' ');
+    case 'or':
+      return node.children.map(formatNode).join(' OR ');
+    default:
+      return `(${node.clauses.map(formatClause).join(' ')})`;
+  }
+}
+
+/**
+ * Write a clause of a group with its + or - marker
+ */
+function formatClause(clause) {
+  const marker = { must: '+', not: '-', should: '' }[clause.occur];
+  return marker + formatNode(clause.node);
+}
+
+module.exports = {
+  QuerySyntaxError,
+  parseQuery,
+  leafNode,
+  collectLeaves,
+  leafTerms,
+  formatNode,
+  formatClause
+};
@@ -0,0 +1,329 @@
+/**
+ * Regex Search
+ * Validates user regular expressions and runs them in a worker thread with a
+ * time budget. Patterns prone to catastrophic backtracking are rejected up
+ * front; anything that still runs too long is stopped by terminating the
+ * worker, which is started again on the next search.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const MAX_PATTERN_LENGTH = 256;
+const MAX_QUANTIFIERS = 20;
+
+// Matches reported per hadith
+const MAX_MATCHES_PER_DOCUMENT = 100;
+
+const DEFAULT_TIME_BUDGET_MS = 1000;
+
+const WORKER_PATH = path.join(__dirname, 'regex-worker.js');
+
+// Letters, marks and digits of any script; JavaScript's \w and \b only know ASCII
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+const WORD_BOUNDARY = `(?:(?<=${WORD_CHAR})(?!${WORD_CHAR})|(?<!${WORD_CHAR})(?=${WORD_CHAR}))`;
+const NOT_WORD_BOUNDARY = `(?:(?<=${WORD_CHAR})(?=${WORD_CHAR})|(?<!${WORD_CHAR})(?!${WORD_CHAR}))`;
+
+class RegexSearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RegexSearchError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Read the quantifier starting at index i, if any
+ * @returns {Object|null} - { length, unbounded, repeats } where repeats is
+ * false for quantifiers that match at most once (?, {0,1})
+ */
+function readQuantifier(pattern, i) {
+  const char = pattern[i];
+  if (char === '*' || char === '+') return { length: 1, unbounded: true, repeats: true };
+  if (char === '?') return { length: 1, unbounded: false, repeats: false };
+  if (char !== '{') return null;
+
+  const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+  if (!match) return null;
+
+  const max = match[2] ? (match[3] === '' ? Infinity : Number(match[3])) : Number(match[1]);
+  return { length: match[0].length, unbounded: max === Infinity, repeats: max > 1 };
+}
+
+/**
+ * Scan a pattern for constructs that make matching slow: backreferences,
+ * quantified groups that themselves contain unbounded quantifiers ((a+)+,
+ * (\w*x)*) and too many quantifiers overall
+ * @throws {RegexSearchError}
+ */
+function checkComplexity(pattern) {
+  // One entry per open group: does it contain an unbounded quantifier?
+  const groups = [];
+  let quantifiers = 0;
+  let lastGroup = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) {
+        throw new RegexSearchError('Backreferences are not supported');
+      }
+      // Skip escapes with a braced argument (\p{L}, \u{...}) as a whole
+      const braced = /^\\[pPu]\{[^}]*\}/.exec(pattern.slice(i));
+      i += braced ? braced[0].length - 1 : 1;
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === '[') {
+      // Skip the character class
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') i++;
+        i++;
+      }
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === '(') {
+      groups.push(false);
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === ')') {
+      lastGroup = { nestedUnbounded: groups.pop() };
+      // The groups around it contain the same quantifier
+      if (lastGroup.nestedUnbounded && groups.length > 0) groups[groups.length - 1] = true;
+      continue;
+    }
+
+    const quantifier = readQuantifier(pattern, i);
+    if (quantifier) {
+      quantifiers++;
+      if (quantifiers > MAX_QUANTIFIERS) {
+        throw new RegexSearchError(`Pattern has more than ${MAX_QUANTIFIERS} quantifiers`);
+      }
+      if (lastGroup && lastGroup.nestedUnbounded && quantifier.repeats) {
+        throw new RegexSearchError('Nested quantifiers such as (a+)+ are not allowed');
+      }
+
+      // A quantified group counts as unbounded for the groups around it
+      const unbounded = quantifier.unbounded || Boolean(lastGroup && lastGroup.nestedUnbounded);
+      if (unbounded && groups.length > 0) groups[groups.length - 1] = true;
+
+      i += quantifier.length - 1;
+      // Lazy quantifier suffix
+      if (pattern[i + 1] === '?') i++;
+      lastGroup = null;
+      continue;
+    }
+
+    lastGroup = null;
+  }
+}
+
+/**
+ * Replace the word boundary assertions \b and \B outside character classes
+ * with lookarounds that treat Arabic letters and diacritics as word characters
+ * @param {string} pattern - Regular expression source
+ * @returns {string}
+ */
+function rewriteWordBoundaries(pattern) {
+  let result = '';
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      const next = pattern[i + 1];
+      if (!inClass && next === 'b') {
+        result += WORD_BOUNDARY;
+      } else if (!inClass && next === 'B') {
+        result += NOT_WORD_BOUNDARY;
+      } else {
+        result += char + (next === undefined ? '' : next);
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '[') inClass = true;
+    if (char === ']') inClass = false;
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Check a user pattern and build the source run by the worker
+ * @param {string} pattern - User regular expression (without delimiters or flags)
+ * @param {Object} options - { wholeWords } to only match whole words
+ * @returns {string} - Regular expression source, compiled with the u flag
+ * @throws {RegexSearchError} - When the pattern is invalid or too complex
+ */
+function compilePattern(pattern, options = {}) {
+  if (!pattern) {
+    throw new RegexSearchError('Pattern cannot be empty');
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new RegexSearchError(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  checkComplexity(pattern);
+
+  const rewritten = rewriteWordBoundaries(pattern);
+  const source = options.wholeWords
+    ? `(?<!${WORD_CHAR})(?:${rewritten})(?!${WORD_CHAR})`
+    : rewritten;
+
+  let regex;
+  try {
+    regex = new RegExp(source, 'u');
+  } catch (error) {
+    throw new RegexSearchError(error.message);
+  }
+
+  if (regex.test('')) {
+    throw new RegexSearchError('Pattern matches the empty string');
+  }
+
+  return source;
+}
+
+class RegexSearcher {
+  /**
+   * @param {Array<string>} texts - Document texts, indexed by document id
+   */
+  constructor(texts) {
+    this.texts = texts;
+    this.worker = null;
+    this.ready = null;
+    this.normalized = null;
+    this.queue = Promise.resolve();
+    this.nextJobId = 0;
+  }
+
+  /**
+   * Start the worker if needed and wait until it is ready
+   */
+  start() {
+    if (this.ready) return this.ready;
+
+    const worker = new Worker(WORKER_PATH, { workerData: { texts: this.texts } });
+    worker.unref();
+    this.worker = worker;
+    this.ready = new Promise((resolve, reject) => {
+      worker.once('message', resolve);
+      worker.once('error', reject);
+    });
+
+    // A worker that dies is started again on the next search
+    worker.once('exit', () => {
+      if (this.worker === worker) this.reset();
+    });
+
+    return this.ready;
+  }
+
+  /**
+   * Have the worker normalize its texts, once, for searches over normalized text
+   */
+  prepareNormalized() {
+    if (this.normalized) return this.normalized;
+
+    const { worker } = this;
+    this.normalized = new Promise((resolve, reject) => {
+      const onMessage = message => {
+        if (!message.prepared) return;
+        worker.off('message', onMessage);
+        worker.off('error', reject);
+        resolve();
+      };
+      worker.on('message', onMessage);
+      worker.once('error', reject);
+    });
+    worker.postMessage({ prepare: 'normalized' });
+
+    return this.normalized;
+  }
+
+  /**
+   * Forget the current worker, stopping it if it is running
+   */
+  reset() {
+    const { worker } = this;
+    this.worker = null;
+    this.ready = null;
+    this.normalized = null;
+    if (worker) worker.terminate();
+  }
+
+  /**
+   * Run a compiled pattern over the documents. Searches run one at a time
+   * @param {string} source - Source returned by compilePattern
+   * @param {Object} options - { textMode: 'normalized'|'raw', docIds, timeBudget }
+   * @returns {Promise<Array<Object>>} - { docId, matches: [[start, end]] } per matching document
+   * @throws {RegexSearchError} - When the search exceeds the time budget
+   */
+  search(source, options = {}) {
+    const run = this.queue.then(() => this.run(source, options));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async run(source, options) {
+    const { textMode = 'normalized', docIds = null, timeBudget = DEFAULT_TIME_BUDGET_MS } = options;
+
+    await this.start();
+    // Normalizing the texts is not part of the time budget
+    if (textMode === 'normalized') await this.prepareNormalized();
+    const { worker } = this;
+    const id = this.nextJobId++;
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        clearTimeout(timer);
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+      };
+
+      const onMessage = message => {
+        if (message.id !== id) return;
+        finish();
+        if (message.error) {
+          reject(new RegexSearchError(message.error));
+        } else {
+          resolve(message.results);
+        }
+      };
+
+      const onError = error => {
+        finish();
+        reject(error);
+      };
+
+      const timer = setTimeout(() => {
+        finish();
+        this.reset();
+        reject(new RegexSearchError(`Pattern exceeded the time budget of ${timeBudget} ms`));
+      }, timeBudget);
+
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.postMessage({ id, source, textMode, docIds, maxMatches: MAX_MATCHES_PER_DOCUMENT });
+    });
+  }
+}
+
+module.exports = {
+  RegexSearchError,
+  RegexSearcher,
+  compilePattern,
+  DEFAULT_TIME_BUDGET_MS,
+  MAX_PATTERN_LENGTH
+};
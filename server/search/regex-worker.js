@@ -0,0 +1,66 @@
+/**
+ * Regex Search Worker
+ * Runs user regular expressions over the hadith texts off the main event
+ * loop, so a pathological pattern can be stopped by terminating the worker.
+ * The texts arrive once through workerData and the worker posts a ready
+ * message before accepting searches. Their normalized forms are only made
+ * when the first search over normalized text asks for them, with
+ * normalizeWithOffsets so that match offsets map back to the original text.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { normalizeWithOffsets } = require('./arabic-normalizer');
+
+const { texts } = workerData;
+let normalizedTexts = null;
+
+/**
+ * Find the matches of a pattern in the selected documents
+ * @param {Object} job - { source, textMode, docIds, maxMatches }
+ * @returns {Array<Object>} - { docId, matches: [[start, end]] } for each matching document
+ */
+function runJob(job) {
+  const regex = new RegExp(job.source, 'gu');
+  const corpus = job.textMode === 'normalized' ? normalizedTexts : texts;
+  const docIds = job.docIds || corpus.keys();
+  const results = [];
+
+  for (const docId of docIds) {
+    const matches = [];
+    regex.lastIndex = 0;
+
+    let match;
+    while (matches.length < job.maxMatches && (match = regex.exec(corpus[docId])) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      matches.push([match.index, match.index + match[0].length]);
+    }
+
+    if (matches.length > 0) {
+      results.push({ docId, matches });
+    }
+  }
+
+  return results;
+}
+
+parentPort.postMessage({ ready: true });
+
+parentPort.on('message', job => {
+  if (job.prepare === 'normalized') {
+    if (!normalizedTexts) {
+      const cache = new Map();
+      normalizedTexts = texts.map(text => normalizeWithOffsets(text, cache).text);
+    }
+    parentPort.postMessage({ prepared: job.prepare });
+    return;
+  }
+
+  try {
+    parentPort.postMessage({ id: job.id, results: runJob(job) });
+  } catch (error) {
+    parentPort.postMessage({ id: job.id, error: error.message });
+  }
+});
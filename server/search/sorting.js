@@ -0,0 +1,103 @@
+/**
+ * Result Sorting
+ * Parses sort specifications such as "relevance", "length:desc" or
+ * "collection,id" and turns them into comparators over result entries
+ * ({ document, relevanceScore }). Hadith ids are compared numerically, so
+ * "10" comes after "9".
+ */
+
+const ID_COLLATOR = new Intl.Collator('en', { numeric: true });
+
+// Sort field -> ascending comparison and default direction
+const SORT_FIELDS = {
+  relevance: {
+    compare: (a, b) => a.relevanceScore - b.relevanceScore,
+    direction: 'desc'
+  },
+  collection: {
+    compare: (a, b) => a.document.collectionIndex - b.document.collectionIndex,
+    direction: 'asc'
+  },
+  id: {
+    compare: (a, b) => ID_COLLATOR.compare(a.document.hadith.id, b.document.hadith.id),
+    direction: 'asc'
+  },
+  length: {
+    compare: (a, b) => a.document.hadith.textLength - b.document.hadith.textLength,
+    direction: 'asc'
+  },
+  fileType: {
+    compare: (a, b) => a.document.fileIndex - b.document.fileIndex,
+    direction: 'asc'
+  }
+};
+
+const DIRECTIONS = ['asc', 'desc'];
+
+// Fields accepted by search results and by collection listings
+const SEARCH_SORT_FIELDS = ['relevance', 'collection', 'id', 'length', 'fileType'];
+const LISTING_SORT_FIELDS = ['id', 'length', 'fileType'];
+
+class SortError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SortError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Parse a sort specification: comma-separated fields, each optionally
+ * followed by :asc or :desc
+ * @param {string} spec - Sort specification, e.g. "length:desc,id"
+ * @param {Array<string>} allowed - Field names accepted by the endpoint
+ * @returns {Array<Object>} - Sort keys as { field, direction }
+ * @throws {SortError} - On unknown fields, directions or repeated fields
+ */
+function parseSort(spec, allowed) {
+  const keys = [];
+
+  for (const part of spec.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [field, requested, extra] = part.split(':');
+
+    if (!allowed.includes(field)) {
+      throw new SortError(`Unknown sort field '${field}'. Available fields: ${allowed.join(', ')}`);
+    }
+
+    const direction = requested === undefined ? SORT_FIELDS[field].direction : requested;
+    if (extra !== undefined || !DIRECTIONS.includes(direction)) {
+      throw new SortError(`Invalid sort direction in '${part}'. Use ${field}:asc or ${field}:desc`);
+    }
+    if (keys.some(key => key.field === field)) {
+      throw new SortError(`Sort field '${field}' is given more than once`);
+    }
+
+    keys.push({ field, direction });
+  }
+
+  return keys;
+}
+
+/**
+ * Build a comparator applying sort keys in order
+ * @param {Array<Object>} keys - Sort keys from parseSort
+ * @param {Function} tieBreaker - Comparator used when all keys are equal
+ * @returns {Function} - Comparator over result entries
+ */
+function compileSort(keys, tieBreaker = () => 0) {
+  return (a, b) => {
+    for (const { field, direction } of keys) {
+      const order = SORT_FIELDS[field].compare(a, b);
+      if (order !== 0) return direction === 'asc' ? order : -order;
+    }
+    return tieBreaker(a, b);
+  };
+}
+
+module.exports = {
+  SEARCH_SORT_FIELDS,
+  LISTING_SORT_FIELDS,
+  SortError,
+  parseSort,
+  compileSort
+};
@@ -0,0 +1,141 @@
+/**
+ * Spelling Corrector
+ * Finds vocabulary words close to a misspelled query word using a weighted
+ * Damerau–Levenshtein distance. Confusions typical of Arabic typing cost less
+ * than other edits: letters differing only by their dots (ب ت ث ن ي, ج ح خ, …)
+ * and the forms of hamza.
+ */
+
+// Letters written with the same base shape, differing only by dots
+const DOT_FAMILIES = ['بتثني', 'جحخ', 'دذ', 'رز', 'سش', 'صض', 'طظ', 'عغ', 'فق', 'هة', 'يى'];
+
+// Hamza and its seats
+const HAMZA_FORMS = 'ءأإآٱاؤئ';
+const HAMZA_SEATS = { 'ؤ': 'و', 'ئ': 'ي' };
+
+const DOT_COST = 0.5;
+const HAMZA_COST = 0.25;
+const HAMZA_INDEL_COST = 0.5;
+const EDIT_COST = 1;
+
+// Letter -> the other letters of its dot families (ي belongs to two)
+const DOT_SIBLINGS = new Map();
+for (const family of DOT_FAMILIES) {
+  for (const letter of family) {
+    DOT_SIBLINGS.set(letter, (DOT_SIBLINGS.get(letter) || '') + family.replace(letter, ''));
+  }
+}
+
+/**
+ * Cost of replacing one letter with another
+ */
+function substitutionCost(a, b) {
+  if (a === b) return 0;
+  if (HAMZA_FORMS.includes(a) && HAMZA_FORMS.includes(b)) return HAMZA_COST;
+  if (HAMZA_SEATS[a] === b || HAMZA_SEATS[b] === a) return HAMZA_COST;
+  if ((DOT_SIBLINGS.get(a) || '').includes(b)) return DOT_COST;
+  return EDIT_COST;
+}
+
+/**
+ * Cost of inserting or deleting a letter (a lone hamza is often left out)
+ */
+function indelCost(letter) {
+  return letter === 'ء' ? HAMZA_INDEL_COST : EDIT_COST;
+}
+
+/**
+ * Weighted edit distance with adjacent transpositions
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} maxCost - Stop early and return Infinity once the distance must exceed this
+ * @returns {number}
+ */
+function weightedDistance(a, b, maxCost = Infinity) {
+  let previousRow = null;
+  let row = [0];
+  for (let j = 1; j <= b.length; j++) row[j] = row[j - 1] + indelCost(b[j - 1]);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [row[0] + indelCost(a[i - 1])];
+    let rowMin = nextRow[0];
+
+    for (let j = 1; j <= b.length; j++) {
+      let cost = Math.min(
+        row[j] + indelCost(a[i - 1]),
+        nextRow[j - 1] + indelCost(b[j - 1]),
+        row[j - 1] + substitutionCost(a[i - 1], b[j - 1])
+      );
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cost = Math.min(cost, previousRow[j - 2] + EDIT_COST);
+      }
+
+      nextRow[j] = cost;
+      if (cost < rowMin) rowMin = cost;
+    }
+
+    if (rowMin > maxCost) return Infinity;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Largest distance accepted for a word: short words allow fewer edits
+ */
+function maxCostFor(word) {
+  return word.length <= 4 ? 1 : 2;
+}
+
+class SpellingCorrector {
+  /**
+   * @param {Iterable<Array>} vocabulary - [word, frequency] pairs
+   */
+  constructor(vocabulary) {
+    // word length -> [{ word, frequency }]
+    this.byLength = new Map();
+
+    for (const [word, frequency] of vocabulary) {
+      const bucket = this.byLength.get(word.length);
+      if (bucket) {
+        bucket.push({ word, frequency });
+      } else {
+        this.byLength.set(word.length, [{ word, frequency }]);
+      }
+    }
+  }
+
+  /**
+   * Vocabulary words close to a word, closest first, then most frequent
+   * @param {string} word - Normalized word
+   * @param {Object} options - { limit, maxCost, includeSelf: also return the word
+   *   itself at distance 0 when it is in the vocabulary }
+   * @returns {Array<Object>} - Candidates as { word, frequency, distance }
+   */
+  candidates(word, options = {}) {
+    const { limit = 3, maxCost = maxCostFor(word), includeSelf = false } = options;
+    const found = [];
+
+    // Only words whose length differs by at most maxCost letters can be close enough
+    for (let length = word.length - Math.floor(maxCost); length <= word.length + Math.floor(maxCost); length++) {
+      for (const entry of this.byLength.get(length) || []) {
+        if (entry.word === word && !includeSelf) continue;
+
+        const distance = weightedDistance(word, entry.word, maxCost);
+        if (distance <= maxCost) {
+          found.push({ word: entry.word, frequency: entry.frequency, distance });
+        }
+      }
+    }
+
+    return found
+      .sort((a, b) => a.distance - b.distance || b.frequency - a.frequency)
+      .slice(0, limit);
+  }
+}
+
+module.exports = SpellingCorrector;
+module.exports.weightedDistance = weightedDistance;
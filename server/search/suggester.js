@@ -0,0 +1,231 @@
+/**
+ * Suggester
+ * Corpus-driven autocomplete: counts the hadiths containing each normalized
+ * word and each frequent 2–3 word phrase, per collection and overall, and
+ * serves them by prefix from suggestion tries
+ */
+
+const SuggestionTrie = require('./suggestion-trie');
+
+const MIN_WORD_COUNT = 2;
+const MIN_PHRASE_COUNT = 5;
+const MAX_PHRASE_WORDS = 3;
+const MAX_PHRASES_PER_COLLECTION = 50000;
+
+// Single letters (the conjunction و written apart) do not start or continue phrases
+const MIN_PHRASE_WORD_LENGTH = 2;
+
+// Documents per bucket when approximating phrase counts (lossy counting)
+const BUCKET_SIZE = 2000;
+
+/**
+ * Distinct phrases of 2 to MAX_PHRASE_WORDS consecutive words in a document
+ * @param {Array<string>} words - Normalized words in reading order
+ * @returns {Set<string>}
+ */
+function documentPhrases(words) {
+  const phrases = new Set();
+
+  for (let i = 0; i < words.length; i++) {
+    if (words[i].length < MIN_PHRASE_WORD_LENGTH) continue;
+
+    let phrase = words[i];
+    for (let n = 1; n < MAX_PHRASE_WORDS && i + n < words.length; n++) {
+      if (words[i + n].length < MIN_PHRASE_WORD_LENGTH) break;
+      phrase += ` ${words[i + n]}`;
+      phrases.add(phrase);
+    }
+  }
+
+  return phrases;
+}
+
+/**
+ * Find the phrases occurring in at least MIN_PHRASE_COUNT documents
+ * A lossy counting pass bounds memory by dropping rare phrases as it goes.
+ * Phrases it never dropped are counted exactly; the others are recounted
+ * @param {Array<Array<string>>} documents - Normalized words of each document
+ * @returns {Map<string, number>} - phrase -> number of documents
+ */
+function countPhrases(documents) {
+  const approximate = new Map();
+
+  documents.forEach((words, index) => {
+    const bucket = Math.floor(index / BUCKET_SIZE) + 1;
+
+    for (const phrase of documentPhrases(words)) {
+      const entry = approximate.get(phrase);
+      if (entry) {
+        entry.count++;
+      } else {
+        approximate.set(phrase, { count: 1, error: bucket - 1 });
+      }
+    }
+
+    if ((index + 1) % BUCKET_SIZE === 0) {
+      for (const [phrase, entry] of approximate) {
+        if (entry.count + entry.error <= bucket) approximate.delete(phrase);
+      }
+    }
+  });
+
+  // A phrase's true count is at most count + error
+  const counts = new Map();
+  const uncertain = new Set();
+  for (const [phrase, entry] of approximate) {
+    if (entry.count + entry.error < MIN_PHRASE_COUNT) continue;
+    counts.set(phrase, entry.error === 0 ? entry.count : 0);
+    if (entry.error > 0) uncertain.add(phrase);
+  }
+  approximate.clear();
+
+  if (uncertain.size > 0) {
+    for (const words of documents) {
+      for (const phrase of documentPhrases(words)) {
+        if (uncertain.has(phrase)) counts.set(phrase, counts.get(phrase) + 1);
+      }
+    }
+  }
+
+  const frequent = [...counts]
+    .filter(([, count]) => count >= MIN_PHRASE_COUNT)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_PHRASES_PER_COLLECTION);
+
+  return new Map(frequent);
+}
+
+class Suggester {
+  /**
+   * @param {Function} normalize - Maps an index term to its suggestion key
+   */
+  constructor(normalize) {
+    this.normalize = normalize;
+    this.normalizedTerms = new Map();
+    this.collectionCounts = new Map();
+    this.tries = new Map();
+    this.globalTrie = new SuggestionTrie();
+    this.current = null;
+  }
+
+  /**
+   * Start counting the documents of a collection
+   * @param {string} collectionId - Collection id
+   */
+  beginCollection(collectionId) {
+    this.current = { collectionId, documents: [], words: new Map() };
+  }
+
+  /**
+   * Count a document of the current collection
+   * @param {Array<string>} terms - Index terms in reading order
+   */
+  addDocument(terms) {
+    const words = terms.map(term => {
+      let key = this.normalizedTerms.get(term);
+      if (key === undefined) {
+        key = this.normalize(term);
+        this.normalizedTerms.set(term, key);
+      }
+      return key;
+    });
+
+    for (const word of new Set(words)) {
+      if (word) this.current.words.set(word, (this.current.words.get(word) || 0) + 1);
+    }
+
+    this.current.documents.push(words);
+  }
+
+  /**
+   * Finish the current collection: keep its frequent words and phrases
+   */
+  endCollection() {
+    const { collectionId, documents, words } = this.current;
+
+    for (const [word, count] of words) {
+      if (count < MIN_WORD_COUNT) words.delete(word);
+    }
+
+    this.collectionCounts.set(collectionId, { words, phrases: countPhrases(documents) });
+    this.current = null;
+  }
+
+  /**
+   * Build the per-collection and overall tries from the counted collections
+   */
+  build() {
+    const overall = new Map();
+
+    for (const [collectionId, { words, phrases }] of this.collectionCounts) {
+      const trie = new SuggestionTrie();
+
+      for (const [type, counts] of [['word', words], ['phrase', phrases]]) {
+        for (const [key, count] of counts) {
+          trie.insert({ key, count, type });
+
+          const total = overall.get(key);
+          if (total) {
+            total.count += count;
+          } else {
+            overall.set(key, { key, count, type });
+          }
+        }
+      }
+
+      trie.finalize();
+      this.tries.set(collectionId, trie);
+    }
+
+    this.globalTrie = new SuggestionTrie();
+    for (const entry of overall.values()) this.globalTrie.insert(entry);
+    this.globalTrie.finalize();
+
+    this.collectionCounts.clear();
+    this.normalizedTerms.clear();
+  }
+
+  /**
+   * Export the built per-collection suggestions, for the prebuilt index artifact
+   * @returns {Array<Array>} - [collectionId, [[key, count, type]]] per collection
+   */
+  serialize() {
+    return [...this.tries].map(([collectionId, trie]) => [
+      collectionId,
+      trie.collect(trie.root).map(entry => [entry.key, entry.count, entry.type])
+    ]);
+  }
+
+  /**
+   * Rebuild the tries from suggestions exported by serialize()
+   * @param {Array<Array>} collections - [collectionId, [[key, count, type]]] per collection
+   */
+  restore(collections) {
+    this.tries.clear();
+
+    for (const [collectionId, entries] of collections) {
+      const words = new Map();
+      const phrases = new Map();
+      for (const [key, count, type] of entries) {
+        (type === 'phrase' ? phrases : words).set(key, count);
+      }
+      this.collectionCounts.set(collectionId, { words, phrases });
+    }
+
+    this.build();
+  }
+
+  /**
+   * Most popular words and phrases starting with a normalized prefix
+   * @param {string} prefix - Normalized prefix (words separated by single spaces)
+   * @param {Object} options - { collectionId, limit }
+   * @returns {Array<Object>} - Entries as { key, count, type }
+   */
+  suggest(prefix, options = {}) {
+    const { collectionId, limit = 10 } = options;
+    const trie = collectionId ? this.tries.get(collectionId) : this.globalTrie;
+    return trie ? trie.search(prefix, limit) : [];
+  }
+}
+
+module.exports = Suggester;
@@ -0,0 +1,140 @@
+/**
+ * Suggestion Trie
+ * Compressed prefix trie mapping normalized words and phrases to their hit
+ * counts. Large subtrees cache their most popular entries so short prefixes,
+ * which match most of the dictionary, are answered without a traversal.
+ */
+
+// Most suggestions a lookup can return
+const MAX_RESULTS = 20;
+
+// Subtrees with more entries than this keep a cached top list
+const CACHE_THRESHOLD = 256;
+
+function createNode(label, entry = null) {
+  return { label, entry, children: new Map(), top: null };
+}
+
+function commonPrefixLength(a, b) {
+  const length = Math.min(a.length, b.length);
+  let i = 0;
+  while (i < length && a[i] === b[i]) i++;
+  return i;
+}
+
+const byPopularity = (a, b) => b.count - a.count || (a.key < b.key ? -1 : 1);
+
+class SuggestionTrie {
+  constructor() {
+    this.root = createNode('');
+    this.size = 0;
+  }
+
+  /**
+   * Add an entry under its key
+   * @param {Object} entry - { key, count, type }
+   */
+  insert(entry) {
+    let node = this.root;
+    let rest = entry.key;
+
+    while (rest.length > 0) {
+      const child = node.children.get(rest[0]);
+
+      if (!child) {
+        node.children.set(rest[0], createNode(rest, entry));
+        this.size++;
+        return;
+      }
+
+      const common = commonPrefixLength(child.label, rest);
+
+      // Split the edge where the new key branches off
+      if (common < child.label.length) {
+        const branch = createNode(child.label.slice(0, common));
+        child.label = child.label.slice(common);
+        branch.children.set(child.label[0], child);
+        node.children.set(branch.label[0], branch);
+      }
+
+      node = node.children.get(rest[0]);
+      rest = rest.slice(common);
+    }
+
+    if (!node.entry) this.size++;
+    node.entry = entry;
+  }
+
+  /**
+   * Cache the top entries of large subtrees. Call once after all inserts
+   * @returns {Object} - { size, entries } for the subtree of node
+   */
+  finalize(node = this.root) {
+    let size = node.entry ? 1 : 0;
+    const candidates = node.entry ? [node.entry] : [];
+
+    for (const child of node.children.values()) {
+      const result = this.finalize(child);
+      size += result.size;
+      for (const entry of result.entries) candidates.push(entry);
+    }
+
+    // A parent's best entries are always among its children's best entries
+    if (size > CACHE_THRESHOLD) {
+      node.top = candidates.sort(byPopularity).slice(0, MAX_RESULTS);
+      return { size, entries: node.top };
+    }
+
+    return { size, entries: candidates };
+  }
+
+  /**
+   * Find the node covering every key that starts with prefix
+   */
+  findNode(prefix) {
+    let node = this.root;
+    let rest = prefix;
+
+    while (rest.length > 0) {
+      const child = node.children.get(rest[0]);
+      if (!child) return null;
+
+      if (rest.length <= child.label.length) {
+        return child.label.startsWith(rest) ? child : null;
+      }
+      if (!rest.startsWith(child.label)) return null;
+
+      node = child;
+      rest = rest.slice(child.label.length);
+    }
+
+    return node;
+  }
+
+  /**
+   * Collect every entry below a node
+   */
+  collect(node, entries = []) {
+    if (node.entry) entries.push(node.entry);
+    for (const child of node.children.values()) this.collect(child, entries);
+    return entries;
+  }
+
+  /**
+   * Most popular entries whose key starts with prefix
+   * @param {string} prefix - Normalized prefix
+   * @param {number} limit - Number of entries (at most MAX_RESULTS)
+   * @returns {Array<Object>} - Entries ordered by count
+   */
+  search(prefix, limit = MAX_RESULTS) {
+    const node = this.findNode(prefix);
+    if (!node) return [];
+
+    const entries = node.top || this.collect(node).sort(byPopularity);
+    return entries.slice(0, Math.min(limit, MAX_RESULTS));
+  }
+}
+
+SuggestionTrie.MAX_RESULTS = MAX_RESULTS;
+
+module.exports = SuggestionTrie;
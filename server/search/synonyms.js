@@ -0,0 +1,128 @@
+/**
+ * Synonym Dictionary
+ * Groups of equivalent words and phrases (النبي / رسول الله, ﷺ / صلعم,
+ * archaic spellings such as الصلوة) read from data/synonyms.json. A query
+ * word or phrase listed in a group also matches the group's other forms.
+ * Forms are compared word by word after loose normalization
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { tokenize } = require('./tokenizer');
+const { normalizeArabic } = require('./arabic-normalizer');
+
+const DEFAULT_SYNONYMS_PATH = path.join(__dirname, '../../data/synonyms.json');
+
+class SynonymError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SynonymError';
+  }
+}
+
+/**
+ * Lowercased words of a form
+ */
+function formWords(form) {
+  return tokenize(form.toLowerCase()).map(token => token.term);
+}
+
+/**
+ * Lookup key of a word sequence
+ */
+function formKey(words) {
+  return words.map(word => normalizeArabic(word, 'loose')).join(' ');
+}
+
+/**
+ * Check the parsed contents of a synonym file
+ * @throws {SynonymError}
+ */
+function validateGroups(data) {
+  if (!data || !Array.isArray(data.groups)) {
+    throw new SynonymError('Synonym file must be an object with a "groups" array');
+  }
+
+  data.groups.forEach((group, index) => {
+    const label = group && typeof group.name === 'string' ? `'${group.name}'` : `#${index + 1}`;
+    if (!group || !Array.isArray(group.terms)) {
+      throw new SynonymError(`Synonym group ${label} needs a "terms" array`);
+    }
+    if (group.terms.some(term => typeof term !== 'string' || formWords(term).length === 0)) {
+      throw new SynonymError(`Synonym group ${label} contains a term without words`);
+    }
+    if (group.terms.length < 2) {
+      throw new SynonymError(`Synonym group ${label} needs at least two terms`);
+    }
+  });
+}
+
+class SynonymDictionary {
+  /**
+   * @param {Array<Object>} groups - Groups as { name, terms: [word or phrase] }
+   */
+  constructor(groups = []) {
+    this.groups = groups;
+    // key -> forms of every group containing it, as { form, words, key }
+    this.forms = new Map();
+
+    for (const group of groups) {
+      const forms = group.terms.map(form => {
+        const words = formWords(form);
+        return { form, words, key: formKey(words) };
+      });
+
+      for (const form of forms) {
+        const known = this.forms.get(form.key) || [];
+        for (const other of forms) {
+          if (!known.some(entry => entry.key === other.key)) known.push(other);
+        }
+        this.forms.set(form.key, known);
+      }
+    }
+  }
+
+  /**
+   * Read a dictionary from a JSON file
+   * @param {string} filePath - Path of the synonym file
+   * @returns {Promise<SynonymDictionary>}
+   * @throws {SynonymError} - When the file is missing or invalid
+   */
+  static async load(filePath = DEFAULT_SYNONYMS_PATH) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new SynonymError(`Synonym file not found: ${filePath}`);
+      }
+      throw new SynonymError(`Cannot read synonym file: ${error.message}`);
+    }
+
+    validateGroups(data);
+    return new SynonymDictionary(data.groups);
+  }
+
+  /**
+   * Number of distinct words and phrases in the dictionary
+   */
+  get size() {
+    return this.forms.size;
+  }
+
+  /**
+   * Other forms of a word or phrase
+   * @param {Array<string>} words - Lowercased query words
+   * @returns {Array<Object>} - Forms as { form, words }, not including the query itself
+   */
+  alternatives(words) {
+    const key = formKey(words);
+    return (this.forms.get(key) || [])
+      .filter(form => form.key !== key)
+      .map(({ form, words: alternativeWords }) => ({ form, words: alternativeWords }));
+  }
+}
+
+module.exports = SynonymDictionary;
+module.exports.SynonymError = SynonymError;
+module.exports.DEFAULT_SYNONYMS_PATH = DEFAULT_SYNONYMS_PATH;
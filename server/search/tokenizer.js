@@ -0,0 +1,32 @@
+/**
+ * Tokenizer for Hadith text
+ * Splits Arabic (and Latin) text into word tokens with their positions
+ */
+
+// Letters, combining marks (harakat) and digits form a word; anything else
+// (spaces, punctuation, RLM marks in the mushakkala files) separates words
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+/**
+ * Split text into word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<Object>} - Tokens as { term, position, start, end }
+ */
+function tokenize(text) {
+  const tokens = [];
+  if (!text) return tokens;
+
+  let position = 0;
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    tokens.push({
+      term: match[0],
+      position: position++,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+}
+
+module.exports = { tokenize };
@@ -0,0 +1,237 @@
+/**
+ * Transliterator
+ * Maps Latin transliterations of Arabic words (ALA-LC "ṣalāh", simplified
+ * "salah", chat Arabic "3umar") to the corpus words they may stand for.
+ * Each Latin letter or digraph has a few candidate Arabic letters; spellings
+ * are built left to right and pruned as soon as no vocabulary word starts
+ * with them. Output uses loosely normalized spelling (ة → ه, أ → ا, …)
+ */
+
+// Latin -> Arabic candidates, most likely first. `initial`/`final` replace
+// the candidates at the start/end of a word; '' drops short vowels
+const RULES = {
+  // Digraphs
+  sh: { arabic: ['ش'] },
+  th: { arabic: ['ث', 'ذ'] },
+  dh: { arabic: ['ذ', 'ض', 'ظ'] },
+  kh: { arabic: ['خ'] },
+  gh: { arabic: ['غ'] },
+  ch: { arabic: ['ش'] },
+  ph: { arabic: ['ف'] },
+  aa: { arabic: ['ا'] },
+  ee: { arabic: ['ي'] },
+  ii: { arabic: ['ي'] },
+  oo: { arabic: ['و'] },
+  uu: { arabic: ['و'] },
+  ou: { arabic: ['و'] },
+  ai: { arabic: ['ي', 'اي'] },
+
+  // Vowels
+  a: { arabic: ['', 'ا'], initial: ['ا', 'ع', 'عا'], final: ['', 'ا', 'ه', 'ي'] },
+  e: { arabic: ['', 'ي'], initial: ['ا', 'ع'], final: ['', 'ي', 'ه'] },
+  i: { arabic: ['', 'ي'], initial: ['ا', 'ع'], final: ['ي', ''] },
+  o: { arabic: ['', 'و'], initial: ['ا', 'ع'], final: ['و', ''] },
+  u: { arabic: ['', 'و'], initial: ['ا', 'ع'], final: ['و', ''] },
+
+  // Consonants
+  b: { arabic: ['ب'] },
+  c: { arabic: ['ك', 'س'] },
+  d: { arabic: ['د', 'ض'] },
+  f: { arabic: ['ف'] },
+  g: { arabic: ['غ', 'ج'] },
+  h: { arabic: ['ه', 'ح'] },
+  j: { arabic: ['ج'] },
+  k: { arabic: ['ك', 'ق'] },
+  l: { arabic: ['ل'] },
+  m: { arabic: ['م'] },
+  n: { arabic: ['ن'] },
+  p: { arabic: ['ب'] },
+  q: { arabic: ['ق'] },
+  r: { arabic: ['ر'] },
+  s: { arabic: ['س', 'ص'] },
+  t: { arabic: ['ت', 'ط'], final: ['ت', 'ه', 'ط'] },
+  v: { arabic: ['ف'] },
+  w: { arabic: ['و'] },
+  x: { arabic: ['كس'] },
+  y: { arabic: ['ي'] },
+  z: { arabic: ['ز', 'ظ', 'ذ'] },
+
+  // ALA-LC and other scholarly letters
+  'ā': { arabic: ['ا', 'ي'] },
+  'ī': { arabic: ['ي'] },
+  'ū': { arabic: ['و'] },
+  'ḥ': { arabic: ['ح'] },
+  'ṣ': { arabic: ['ص'] },
+  'ḍ': { arabic: ['ض'] },
+  'ṭ': { arabic: ['ط'] },
+  'ẓ': { arabic: ['ظ'] },
+  'ṯ': { arabic: ['ث'] },
+  'ḏ': { arabic: ['ذ'] },
+  'š': { arabic: ['ش'] },
+  'ǧ': { arabic: ['ج'] },
+  'ḫ': { arabic: ['خ'] },
+  'ẖ': { arabic: ['خ'] },
+  'ġ': { arabic: ['غ'] },
+  'ʿ': { arabic: ['ع'] },
+  'ʾ': { arabic: ['', 'ء', 'ا', 'ع', 'و', 'ي'] },
+
+  // Chat Arabic digits (ʾ stands for the apostrophe in 3', 7', …)
+  2: { arabic: ['ء', 'ا', 'و', 'ي'] },
+  3: { arabic: ['ع'] },
+  5: { arabic: ['خ'] },
+  6: { arabic: ['ط'] },
+  7: { arabic: ['ح'] },
+  8: { arabic: ['ق', 'غ'] },
+  9: { arabic: ['ص', 'ق'] },
+  '3ʾ': { arabic: ['غ'] },
+  '6ʾ': { arabic: ['ظ'] },
+  '7ʾ': { arabic: ['خ'] },
+  '9ʾ': { arabic: ['ض'] }
+};
+
+// Rules by their first character, longest first
+const RULES_BY_FIRST = new Map();
+for (const latin of Object.keys(RULES).sort((a, b) => b.length - a.length)) {
+  const rules = RULES_BY_FIRST.get(latin[0]) || [];
+  rules.push({ latin, ...RULES[latin] });
+  RULES_BY_FIRST.set(latin[0], rules);
+}
+
+const VOWELS = 'aeiouāīū';
+
+// Each less likely candidate, and an article the query left out, adds this cost
+const CANDIDATE_COST = 0.5;
+const IMPLICIT_ARTICLE_COST = 1;
+
+// A spelling's score is its corpus frequency times COST_DECAY ^ cost
+const COST_DECAY = 0.5;
+
+// Partial spellings kept per Latin position
+const BEAM_WIDTH = 500;
+
+// Assimilated article: as-salah, ash-shams, an-nabi (hyphen already removed)
+const ASSIMILATED_ARTICLE = /^[ae](sh|th|dh|[tdsrzln])(?=\1)/;
+
+const LATIN_LETTER = /[a-zÀ-ɏḀ-ỿʾʿ]/i;
+const ARABIC_LETTER = /[؀-ۿ]/;
+
+// Apostrophes and hyphens inside Latin words, which the tokenizer would split on
+const LATIN_WORD_JOINER = /(?<=[a-z0-9À-ɏḀ-ỿʾʿ])(['’‘`]|-)(?=[a-zÀ-ɏḀ-ỿʾʿ]|\s|$)/gi;
+
+/**
+ * Check whether a query term is a Latin transliteration
+ * @param {string} term - Query term
+ * @returns {boolean}
+ */
+function isTransliteration(term) {
+  return LATIN_LETTER.test(term) && !ARABIC_LETTER.test(term);
+}
+
+/**
+ * Keep transliterated words in one piece before tokenizing: hyphens are
+ * dropped (al-salah) and apostrophes become the letters ʾ/ʿ (qur'an, sa‘d, 3'ali)
+ * @param {string} query - Query string
+ * @returns {string}
+ */
+function prepareQuery(query) {
+  return query
+    .normalize('NFC')
+    .replace(LATIN_WORD_JOINER, mark => {
+      if (mark === '-') return '';
+      return mark === '‘' || mark === '`' ? 'ʿ' : 'ʾ';
+    });
+}
+
+class Transliterator {
+  /**
+   * @param {Iterable<Array>} vocabulary - [word, frequency] pairs of loosely normalized words
+   */
+  constructor(vocabulary) {
+    this.frequencies = new Map(vocabulary);
+    this.sortedWords = [...this.frequencies.keys()].sort();
+  }
+
+  /**
+   * Check whether any vocabulary word starts with prefix
+   */
+  hasPrefix(prefix) {
+    if (prefix === '') return true;
+
+    let low = 0;
+    let high = this.sortedWords.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.sortedWords[middle] < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low < this.sortedWords.length && this.sortedWords[low].startsWith(prefix);
+  }
+
+  /**
+   * Vocabulary words a Latin word may transliterate, best first
+   * @param {string} word - Lowercased Latin word (see prepareQuery)
+   * @param {Object} options - { limit }
+   * @returns {Array<Object>} - Candidates as { word, frequency, cost }
+   */
+  candidates(word, options = {}) {
+    const { limit = 5 } = options;
+    const latin = word.normalize('NFC').toLowerCase();
+
+    // frontier[i]: Arabic spelling -> lowest cost after reading i Latin characters
+    const frontier = Array.from({ length: latin.length + 1 }, () => new Map());
+    const advance = (position, arabic, cost) => {
+      const states = frontier[position];
+      if (states.has(arabic) && states.get(arabic) <= cost) return;
+      if (!this.hasPrefix(arabic)) return;
+      states.set(arabic, cost);
+    };
+
+    advance(0, '', 0);
+    advance(0, 'ال', IMPLICIT_ARTICLE_COST);
+
+    const article = ASSIMILATED_ARTICLE.exec(latin);
+    if (article) advance(1 + article[1].length, 'ال', 0);
+
+    for (let i = 0; i < latin.length; i++) {
+      const states = [...frontier[i]]
+        .sort((a, b) => a[1] - b[1])
+        .slice(0, BEAM_WIDTH);
+
+      for (const [arabic, cost] of states) {
+        // A doubled consonant is one letter with shadda
+        if (i > 0 && latin[i] === latin[i - 1] && !VOWELS.includes(latin[i])) {
+          advance(i + 1, arabic, cost);
+        }
+
+        for (const rule of RULES_BY_FIRST.get(latin[i]) || []) {
+          if (!latin.startsWith(rule.latin, i)) continue;
+
+          const end = i + rule.latin.length;
+          let letters = rule.arabic;
+          if (i === 0 && rule.initial) letters = rule.initial;
+          if (end === latin.length && rule.final) letters = rule.final;
+
+          letters.forEach((letter, rank) => {
+            advance(end, arabic + letter, cost + rank * CANDIDATE_COST);
+          });
+        }
+      }
+    }
+
+    return [...frontier[latin.length]]
+      .filter(([arabic]) => this.frequencies.has(arabic))
+      .map(([arabic, cost]) => ({ word: arabic, frequency: this.frequencies.get(arabic), cost }))
+      .sort((a, b) =>
+        b.frequency * COST_DECAY ** b.cost - a.frequency * COST_DECAY ** a.cost || a.cost - b.cost
+      )
+      .slice(0, limit);
+  }
+}
+
+module.exports = Transliterator;
+module.exports.isTransliteration = isTransliteration;
+module.exports.prepareQuery = prepareQuery;
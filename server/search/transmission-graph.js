@@ -0,0 +1,201 @@
+/**
+ * Transmission Graph
+ * Directed teacher -> student graph of the narrators: in each isnad a
+ * narrator heard the hadith from the one named after them (حدثني يحيى عن
+ * مالك: مالك taught يحيى). Edges are weighted by the number of hadiths
+ * transmitted along them
+ */
+
+const GRAPHML_NAMESPACE = 'http://graphml.graphdrawing.org/xmlns';
+
+class TransmissionGraph {
+  constructor() {
+    // narrator id -> Map(student id -> weight)
+    this.students = new Map();
+    // narrator id -> Map(teacher id -> weight)
+    this.teachers = new Map();
+    this.edgeCount = 0;
+  }
+
+  /**
+   * Build the graph from narrator chains
+   * @param {Array<Array<number>>} chains - docId -> narrator ids in chain order (see NarratorIndex)
+   * @param {Function} hadithKey - docId => key of the hadith, so that a hadith
+   *   present in several file types is counted once
+   */
+  build(chains, hadithKey) {
+    const edges = new Map();
+
+    chains.forEach((chain, docId) => {
+      for (let i = 0; i + 1 < chain.length; i++) {
+        const student = chain[i];
+        const teacher = chain[i + 1];
+        if (student === teacher) continue;
+
+        const edge = `${teacher}:${student}`;
+        if (!edges.has(edge)) edges.set(edge, new Set());
+        edges.get(edge).add(hadithKey(docId));
+      }
+    });
+
+    this.students = new Map();
+    this.teachers = new Map();
+    for (const [edge, hadiths] of edges) {
+      const [teacher, student] = edge.split(':').map(Number);
+      this.link(this.students, teacher, student, hadiths.size);
+      this.link(this.teachers, student, teacher, hadiths.size);
+    }
+    this.edgeCount = edges.size;
+  }
+
+  /**
+   * Add a weighted neighbour to an adjacency map
+   */
+  link(adjacency, from, to, weight) {
+    if (!adjacency.has(from)) adjacency.set(from, new Map());
+    adjacency.get(from).set(to, weight);
+  }
+
+  /**
+   * Neighbours of a narrator, heaviest edges first
+   * @returns {Array<Object>} - { id, weight }
+   */
+  neighbours(adjacency, id) {
+    return [...(adjacency.get(id) || [])]
+      .map(([neighbour, weight]) => ({ id: neighbour, weight }))
+      .sort((a, b) => b.weight - a.weight || a.id - b.id);
+  }
+
+  /**
+   * Narrators a narrator transmitted from
+   * @param {number} id - Narrator id
+   * @returns {Array<Object>} - { id, weight }, most hadiths first
+   */
+  getTeachers(id) {
+    return this.neighbours(this.teachers, id);
+  }
+
+  /**
+   * Narrators who transmitted from a narrator
+   * @param {number} id - Narrator id
+   * @returns {Array<Object>} - { id, weight }, most hadiths first
+   */
+  getStudents(id) {
+    return this.neighbours(this.students, id);
+  }
+
+  /**
+   * Weight of the edge between two narrators, in either direction
+   */
+  getWeight(a, b) {
+    return this.students.get(a)?.get(b) || this.students.get(b)?.get(a) || 0;
+  }
+
+  /**
+   * Shortest transmission path between two narrators, found breadth-first
+   * so that it has the fewest links; among equally short paths the
+   * heaviest edges are followed first
+   * @param {number} from - Narrator id where the path starts
+   * @param {number} to - Narrator id where the path ends
+   * @param {Object} options - { directed: true } to only go from teacher to
+   *   student, false to also follow edges backwards
+   * @returns {Array<number>|null} - Narrator ids from `from` to `to`, or null without a path
+   */
+  findPath(from, to, options = {}) {
+    const { directed = true } = options;
+    if (from === to) return [from];
+
+    const previous = new Map([[from, null]]);
+    let frontier = [from];
+
+    while (frontier.length > 0) {
+      const next = [];
+      for (const id of frontier) {
+        const neighbours = directed
+          ? this.getStudents(id)
+          : [...this.getStudents(id), ...this.getTeachers(id)].sort((a, b) => b.weight - a.weight || a.id - b.id);
+
+        for (const neighbour of neighbours) {
+          if (previous.has(neighbour.id)) continue;
+          previous.set(neighbour.id, id);
+          if (neighbour.id === to) {
+            const path = [to];
+            while (previous.get(path[0]) !== null) path.unshift(previous.get(path[0]));
+            return path;
+          }
+          next.push(neighbour.id);
+        }
+      }
+      frontier = next;
+    }
+
+    return null;
+  }
+
+  /**
+   * All edges of the graph
+   * @param {number} minWeight - Leave out edges with fewer hadiths
+   * @returns {Array<Object>} - { source: teacher id, target: student id, weight }
+   */
+  getEdges(minWeight = 1) {
+    const edges = [];
+    for (const [teacher, students] of this.students) {
+      for (const [student, weight] of students) {
+        if (weight >= minWeight) edges.push({ source: teacher, target: student, weight });
+      }
+    }
+    return edges.sort((a, b) => a.source - b.source || a.target - b.target);
+  }
+}
+
+/**
+ * Escape text for an XML document
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    '"': '&quot;',
+    "'": '&apos;'
+  })[char]);
+}
+
+/**
+ * Serialize a graph as GraphML
+ * @param {Object} graph - { nodes: [{ id, name, hadithCount }], edges: [{ source, target, weight }] }
+ * @returns {string}
+ */
+function toGraphML(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<graphml xmlns="${GRAPHML_NAMESPACE}">`,
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    '  <key id="hadithCount" for="node" attr.name="hadithCount" attr.type="int"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="int"/>',
+    '  <graph id="transmission" edgedefault="directed">'
+  ];
+
+  for (const node of graph.nodes) {
+    lines.push(
+      `    <node id="n${node.id}">`,
+      `      <data key="name">${escapeXml(node.name)}</data>`,
+      `      <data key="hadithCount">${node.hadithCount}</data>`,
+      '    </node>'
+    );
+  }
+
+  graph.edges.forEach((edge, index) => {
+    lines.push(
+      `    <edge id="e${index}" source="n${edge.source}" target="n${edge.target}">`,
+      `      <data key="weight">${edge.weight}</data>`,
+      '    </edge>'
+    );
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = TransmissionGraph;
+module.exports.toGraphML = toGraphML;
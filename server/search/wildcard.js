@@ -0,0 +1,49 @@
+/**
+ * Wildcard Terms
+ * `*` matches any run of characters and `?` exactly one letter (with its
+ * diacritics). Patterns are anchored to whole words, so حدث* is a prefix
+ * query, *ون a suffix query and ح?ث matches حدث but not محدث.
+ */
+
+const WILDCARD_CHARACTERS = /[*?]/;
+const WILDCARD_PATTERN = /^[\p{L}\p{M}\p{N}*?]+$/u;
+const HAS_LETTER = /[\p{L}\p{N}]/u;
+
+/**
+ * Whether a query word uses wildcards
+ * @param {string} term - Query word
+ */
+function isWildcard(term) {
+  return WILDCARD_CHARACTERS.test(term);
+}
+
+/**
+ * Whether a wildcard word can be expanded: a single word with at least one letter
+ * @param {string} pattern - Query word containing * or ?
+ */
+function isValidWildcard(pattern) {
+  return WILDCARD_PATTERN.test(pattern) && HAS_LETTER.test(pattern);
+}
+
+/**
+ * Compile a wildcard pattern into an anchored regular expression
+ * @param {string} pattern - Query word containing * or ?
+ * @param {Function} normalizeLiteral - Normalizes the literal parts of the pattern
+ *   the same way as the dictionary keys they are matched against
+ * @returns {RegExp}
+ */
+function compileWildcard(pattern, normalizeLiteral = literal => literal) {
+  // Literal parts only contain letters, marks and digits, so they need no escaping
+  const source = pattern
+    .split(/([*?])/)
+    .map(part => {
+      if (part === '*') return '.*';
+      if (part === '?') return '[\\p{L}\\p{N}]\\p{M}*';
+      return normalizeLiteral(part);
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`, 'u');
+}
+
+module.exports = { isWildcard, isValidWildcard, compileWildcard };
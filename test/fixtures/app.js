@@ -0,0 +1,47 @@
+/**
+ * Test Application
+ * Builds a data manager over the test corpus and a Fastify instance serving
+ * the API routes from it, without reading the data files
+ */
+
+const fastify = require('fastify');
+const { HadithDataManager } = require('../../server/plugins/dataLoader');
+const { createHadithData } = require('./hadith-data');
+
+/**
+ * Create a data manager with the test corpus indexed
+ * @returns {HadithDataManager}
+ */
+function createManager() {
+  const manager = new HadithDataManager();
+  manager.data = createHadithData();
+  manager.buildCollectionIndex();
+  manager.buildSearchIndex();
+  manager.loaded = true;
+  return manager;
+}
+
+/**
+ * Build the API under /api/v1, with the server's error format
+ * @param {HadithDataManager} manager - Defaults to a new manager over the test corpus
+ * @returns {Promise<Object>} - Ready Fastify instance; close it to stop the regex worker
+ */
+async function buildApp(manager = createManager()) {
+  const app = fastify({ logger: false, maxParamLength: 500 });
+
+  app.setErrorHandler(async (error, request, reply) => {
+    const statusCode = error.statusCode || 500;
+    reply.status(statusCode).send({ error: true, message: error.message, statusCode });
+  });
+
+  app.decorate('hadithData', manager);
+  app.addHook('onClose', async () => {
+    manager.regexSearcher.reset();
+  });
+
+  await app.register(require('../../server/routes/api'), { prefix: '/api/v1' });
+  await app.ready();
+  return app;
+}
+
+module.exports = { createManager, buildApp };
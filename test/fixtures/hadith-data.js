@@ -0,0 +1,86 @@
+/**
+ * Test Hadith Data
+ * A small corpus in the shape the data loader produces: two collections,
+ * one with a vowelled (mushakkala) file, with repeated and parallel reports
+ */
+
+const { hasDiacritics } = require('../../server/search/arabic-normalizer');
+
+const BUKHARI_REGULAR = [
+  ['1', 'حدثنا الحميدي عبد الله بن الزبير قال حدثنا سفيان قال حدثنا يحيى بن سعيد الأنصاري قال أخبرني محمد بن إبراهيم التيمي أنه سمع علقمة بن وقاص الليثي يقول سمعت عمر بن الخطاب على المنبر قال سمعت رسول الله صلى الله عليه وسلم يقول إنما الأعمال بالنيات وإنما لكل امرئ ما نوى فمن كانت هجرته إلى دنيا يصيبها أو إلى امرأة ينكحها فهجرته إلى ما هاجر إليه'],
+  ['2', 'حدثنا أبو اليمان قال أخبرنا شعيب عن الزهري قال أخبرني أنس بن مالك أن رسول الله صلى الله عليه وسلم قال لا يؤمن أحدكم حتى يحب لأخيه ما يحب لنفسه من الخير'],
+  ['3', 'حدثنا مسدد قال حدثنا يحيى عن شعبة عن قتادة عن أنس بن مالك عن النبي صلى الله عليه وسلم قال لا يؤمن أحدكم حتى يحب لأخيه ما يحب لنفسه من الخير'],
+  ['4', 'حدثنا عبد الله بن يوسف قال أخبرنا مالك عن نافع عن عبد الله بن عمر أن رسول الله صلى الله عليه وسلم قال صلاة الجماعة تفضل صلاة الفذ بسبع وعشرين درجة'],
+  ['5', 'حدثنا آدم قال حدثنا شعبة عن قتادة عن أنس بن مالك عن النبي صلى الله عليه وسلم قال المسلم من سلم المسلمون من لسانه ويده والمهاجر من هجر ما نهى الله عنه']
+];
+
+const BUKHARI_VOWELLED = [
+  ['1', 'حَدَّثَنَا الْحُمَيْدِيُّ عَبْدُ اللَّهِ بْنُ الزُّبَيْرِ قَالَ حَدَّثَنَا سُفْيَانُ قَالَ سَمِعْتُ رَسُولَ اللَّهِ صلى الله عليه وسلم يَقُولُ إِنَّمَا الأَعْمَالُ بِالنِّيَّاتِ'],
+  ['2', 'حَدَّثَنَا أَبُو الْيَمَانِ قَالَ أَخْبَرَنَا شُعَيْبٌ عَنِ الزُّهْرِيِّ قَالَ أَخْبَرَنِي أَنَسُ بْنُ مَالِكٍ أَنَّ رَسُولَ اللَّهِ صلى الله عليه وسلم قَالَ لاَ يُؤْمِنُ أَحَدُكُمْ حَتَّى يُحِبَّ لأَخِيهِ مَا يُحِبُّ لِنَفْسِهِ مِنَ الْخَيْرِ']
+];
+
+const MUSLIM_REGULAR = [
+  ['1', 'حدثنا محمد بن المثنى قال حدثنا محمد بن جعفر قال حدثنا شعبة قال سمعت قتادة يحدث عن أنس بن مالك عن النبي صلى الله عليه وسلم قال لا يؤمن أحدكم حتى يحب لأخيه أو قال لجاره ما يحب لنفسه'],
+  ['2', 'حدثنا زهير بن حرب قال حدثنا إسماعيل بن إبراهيم عن عبد العزيز بن صهيب عن أنس قال قال رسول الله صلى الله عليه وسلم لا يؤمن أحدكم حتى أكون أحب إليه من ولده ووالده والناس أجمعين'],
+  ['3', 'حدثنا يحيى بن يحيى قال قرأت على مالك عن نافع عن ابن عمر أن رسول الله صلى الله عليه وسلم قال صلاة الجماعة أفضل من صلاة الفذ بسبع وعشرين درجة'],
+  ['4', 'حدثنا قتيبة قال حدثنا الليث عن ابن شهاب عن سالم عن أبيه قال رأيت النبي صلى الله عليه وسلم يرفع يديه إذا افتتح الصلاه']
+];
+
+function hadiths(entries) {
+  return entries.map(([id, text]) => ({
+    id,
+    text,
+    textLength: text.length,
+    hasFullDiacritics: hasDiacritics(text)
+  }));
+}
+
+/**
+ * Build a fresh copy of the test corpus
+ * @returns {Object} - { collections, metadata }
+ */
+function createHadithData() {
+  return {
+    collections: [
+      {
+        collectionId: 'sahih_al_bukhari',
+        collectionName: 'Sahih Al-Bukhari',
+        collectionNameArabic: 'صحيح البخاري',
+        files: [
+          { fileType: 'regular', fileName: 'sahih_al_bukhari_ahadith.utf8.csv', hadiths: hadiths(BUKHARI_REGULAR) },
+          { fileType: 'mushakkala_mufassala', fileName: 'sahih_al_bukhari_ahadith_mushakkala_mufassala.utf8.csv', hadiths: hadiths(BUKHARI_VOWELLED) }
+        ]
+      },
+      {
+        collectionId: 'sahih_muslim',
+        collectionName: 'Sahih Muslim',
+        collectionNameArabic: 'صحيح مسلم',
+        files: [
+          { fileType: 'regular', fileName: 'sahih_muslim_ahadith.utf8.csv', hadiths: hadiths(MUSLIM_REGULAR) }
+        ]
+      }
+    ],
+    metadata: {
+      loadedFrom: 'test',
+      totalCollections: 2,
+      totalHadiths: BUKHARI_REGULAR.length + BUKHARI_VOWELLED.length + MUSLIM_REGULAR.length
+    }
+  };
+}
+
+const LETTERS = 'ابتثجحخدذرزسشصضطظعغفقكلمنهوي';
+
+/**
+ * Entries of unrelated made-up words, for similarity tests that need enough
+ * hadiths for the shingles of the others not to count as too common
+ * @param {number} count - Number of entries
+ * @returns {Array<Object>} - Entries as { collectionId, hadithId, matn }
+ */
+function unrelatedEntries(count) {
+  return Array.from({ length: count }, (_, index) => {
+    const word = offset => LETTERS[(index + offset) % 28] + LETTERS[Math.floor(index / 28) % 28] + LETTERS[offset];
+    return { collectionId: 'filler', hadithId: String(index), matn: [0, 1, 2, 3, 4].map(word).join(' ') };
+  });
+}
+
+module.exports = { createHadithData, unrelatedEntries };
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fastify = require('fastify');
+const { createManager } = require('../fixtures/app');
+
+let app;
+let manager;
+let tmpDir;
+let adminSession;
+let userSession;
+
+function writeSynonyms(groups) {
+  fs.writeFileSync(manager.synonymsPath, JSON.stringify({ groups }));
+}
+
+/**
+ * Sign in through the Google callback with the token and profile requests
+ * answered locally
+ */
+async function googleSession(email) {
+  const start = await app.inject({ url: '/auth/google' });
+  const state = new URL(start.headers.location).searchParams.get('state');
+  const fetchSpy = jest.spyOn(global, 'fetch')
+    .mockResolvedValueOnce(new Response(JSON.stringify({ access_token: 'token' })))
+    .mockResolvedValueOnce(new Response(JSON.stringify({ id: '1', email, name: 'Reader' })));
+
+  const callback = await app.inject({ url: '/auth/google/callback', query: { code: 'code', state } });
+  fetchSpy.mockRestore();
+  return new URL(callback.headers.location, 'http://localhost').searchParams.get('sessionId');
+}
+
+beforeAll(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-'));
+  manager = createManager();
+  manager.synonymsPath = path.join(tmpDir, 'synonyms.json');
+  writeSynonyms([{ name: 'prophet', terms: ['النبي', 'رسول الله'] }]);
+  await manager.loadSynonyms();
+
+  app = fastify({ logger: false });
+  app.decorate('hadithData', manager);
+  await app.register(require('../../server/routes/auth'), { prefix: '/auth' });
+  await app.ready();
+
+  const login = await app.inject({
+    method: 'POST',
+    url: '/auth/login',
+    payload: { email: 'admin@example.com', password: 'admin123' }
+  });
+  adminSession = login.json().sessionId;
+  userSession = await googleSession('reader@example.com');
+});
+
+afterAll(async () => {
+  await app.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('admin synonym routes', () => {
+  const listSynonyms = sessionId => app.inject({
+    url: '/auth/admin/synonyms',
+    headers: sessionId ? { 'x-session-id': sessionId } : {}
+  });
+  const reloadSynonyms = sessionId => app.inject({
+    method: 'POST',
+    url: '/auth/admin/synonyms/reload',
+    headers: sessionId ? { 'x-session-id': sessionId } : {}
+  });
+
+  test.each([
+    ['GET /synonyms', listSynonyms],
+    ['POST /synonyms/reload', reloadSynonyms]
+  ])('%s requires authentication', async (name, request) => {
+    const response = await request();
+
+    expect(response.statusCode).toBe(401);
+    expect(response.json()).toEqual({ error: true, message: 'Authentication required', statusCode: 401 });
+  });
+
+  test.each([
+    ['GET /synonyms', listSynonyms],
+    ['POST /synonyms/reload', reloadSynonyms]
+  ])('%s requires the admin role', async (name, request) => {
+    const response = await request(userSession);
+
+    expect(response.statusCode).toBe(403);
+    expect(response.json()).toEqual({ error: true, message: 'Admin access required', statusCode: 403 });
+  });
+
+  test('lists the dictionary in use', async () => {
+    const response = await listSynonyms(adminSession);
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toEqual({
+      path: manager.synonymsPath,
+      loadedAt: manager.synonymsLoadedAt,
+      groupCount: 1,
+      termCount: 2,
+      groups: [{ name: 'prophet', terms: ['النبي', 'رسول الله'] }]
+    });
+  });
+
+  test('reloads the dictionary and uses the new expansions', async () => {
+    const search = () => manager.searchHadiths('الصلاة', { synonyms: true });
+    expect(search().synonyms).toEqual([]);
+
+    writeSynonyms([{ name: 'prayer', terms: ['الصلاة', 'الصلوة'] }]);
+    const response = await reloadSynonyms(adminSession);
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({ groupCount: 1, termCount: 2, groups: [{ name: 'prayer' }] });
+    expect(search().synonyms).toEqual([{ term: 'الصلاة', alternatives: ['الصلوة'] }]);
+  });
+
+  test('keeps the previous dictionary when the file is invalid', async () => {
+    const before = (await listSynonyms(adminSession)).json();
+    fs.writeFileSync(manager.synonymsPath, '{ "groups": [');
+
+    const response = await reloadSynonyms(adminSession);
+
+    expect(response.statusCode).toBe(500);
+    expect(response.json()).toMatchObject({ error: true, statusCode: 500 });
+    expect(response.json().message).toMatch(/^Failed to reload synonyms: Cannot read synonym file: .*The previous dictionary is still in use$/);
+    expect((await listSynonyms(adminSession)).json()).toEqual(before);
+  });
+});
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildApp, createManager } = require('../fixtures/app');
+const { describeSourceFiles } = require('../../server/search/index-artifact');
+const { PARALLELS_VERSION } = require('../../server/search/parallels');
+
+let app;
+
+beforeAll(async () => {
+  const manager = createManager();
+  manager.applyDuplicateClusters([{ collectionId: 'sahih_al_bukhari', hadithIds: ['2', '3'] }]);
+  app = await buildApp(manager);
+});
+
+afterAll(async () => {
+  await app.close();
+});
+
+describe('GET /api/v1/collections', () => {
+  test('lists the collections with their hadith counts and file types', async () => {
+    const response = await app.inject({ url: '/api/v1/collections' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toEqual({
+      collections: [
+        {
+          collectionId: 'sahih_al_bukhari',
+          collectionName: 'Sahih Al-Bukhari',
+          collectionNameArabic: 'صحيح البخاري',
+          totalHadiths: 7,
+          fileTypes: ['regular', 'mushakkala_mufassala']
+        },
+        {
+          collectionId: 'sahih_muslim',
+          collectionName: 'Sahih Muslim',
+          collectionNameArabic: 'صحيح مسلم',
+          totalHadiths: 4,
+          fileTypes: ['regular']
+        }
+      ],
+      total: 2
+    });
+  });
+
+  test('returns 404 for an unknown collection', async () => {
+    const response = await app.inject({ url: '/api/v1/collections/unknown' });
+
+    expect(response.statusCode).toBe(404);
+    expect(response.json()).toEqual({ error: true, message: "Collection 'unknown' not found", statusCode: 404 });
+  });
+});
+
+describe('GET /api/v1/collections/:collectionId/hadiths', () => {
+  const list = (collectionId, query) => app.inject({ url: `/api/v1/collections/${collectionId}/hadiths`, query });
+  const ids = body => body.hadiths.map(hadith => `${hadith.id}/${hadith.fileType}`);
+
+  test('lists only the hadiths of the collection, in file order', async () => {
+    const body = (await list('sahih_muslim', { limit: 2, offset: 1 })).json();
+
+    expect(ids(body)).toEqual(['2/regular', '3/regular']);
+    expect(body.hadiths.every(hadith => hadith.collectionId === 'sahih_muslim')).toBe(true);
+    expect(body.pagination).toEqual({ total: 4, limit: 2, offset: 1, hasMore: true });
+  });
+
+  test('filters by file type', async () => {
+    const body = (await list('sahih_al_bukhari', { fileType: 'mushakkala_mufassala' })).json();
+
+    expect(ids(body)).toEqual(['1/mushakkala_mufassala', '2/mushakkala_mufassala']);
+  });
+
+  test('marks the hadiths of a duplicate cluster', async () => {
+    const body = (await list('sahih_al_bukhari', { fileType: 'regular' })).json();
+
+    expect(body.hadiths.map(hadith => [hadith.id, hadith.clusterId, hadith.duplicateCount])).toEqual([
+      ['1', null, 0],
+      ['2', 1, 1],
+      ['3', 1, 1],
+      ['4', null, 0],
+      ['5', null, 0]
+    ]);
+  });
+
+  test('keeps the first hadith of each cluster with dedupe', async () => {
+    const body = (await list('sahih_al_bukhari', { dedupe: true })).json();
+
+    expect(ids(body)).toEqual([
+      '1/regular',
+      '2/regular',
+      '4/regular',
+      '5/regular',
+      '1/mushakkala_mufassala',
+      '2/mushakkala_mufassala'
+    ]);
+    expect(body.pagination.total).toBe(6);
+  });
+});
+
+describe('GET /api/v1/collections/:collectionId/hadiths/:hadithId', () => {
+  test('returns the hadith with its isnad, matn and cluster', async () => {
+    const response = await app.inject({ url: '/api/v1/collections/sahih_al_bukhari/hadiths/3' });
+
+    expect(response.json()).toMatchObject({
+      id: '3',
+      collectionId: 'sahih_al_bukhari',
+      fileType: 'regular',
+      matn: 'لا يؤمن أحدكم حتى يحب لأخيه ما يحب لنفسه من الخير',
+      clusterId: 1,
+      duplicateCount: 1,
+      segmentation: { matnOffset: 90, confidence: 0.95, cue: 'prophetic-speech' }
+    });
+  });
+});
+
+describe('GET /api/v1/collections/:collectionId/hadiths sorting', () => {
+  const list = query => app.inject({ url: '/api/v1/collections/sahih_al_bukhari/hadiths', query });
+  const ids = body => body.hadiths.map(hadith => `${hadith.id}/${hadith.fileType}`);
+
+  test('sorts by the given keys', async () => {
+    const body = (await list({ sort: 'length:desc,id', limit: 3 })).json();
+
+    expect(ids(body)).toEqual(['1/regular', '2/mushakkala_mufassala', '1/mushakkala_mufassala']);
+    expect(body.pagination).toMatchObject({ total: 7, limit: 3, hasMore: true });
+  });
+
+  test('rejects fields listings cannot sort by', async () => {
+    const response = await list({ sort: 'relevance' });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toEqual({
+      error: true,
+      message: "Unknown sort field 'relevance'. Available fields: id, length, fileType",
+      statusCode: 400
+    });
+  });
+});
+
+describe('GET /api/v1/collections/:collectionId/hadiths/:hadithId/parallels', () => {
+  let directory;
+  let manager;
+  let parallelApp;
+
+  // Write a parallels file for a data file and load it
+  const loadParallels = async data => {
+    manager.parallelsPath = path.join(directory, 'parallels.json');
+    fs.writeFileSync(manager.parallelsPath, JSON.stringify({
+      version: PARALLELS_VERSION,
+      sourceFiles: await describeSourceFiles(manager.dataLoader.getSourceFiles()),
+      ...data
+    }));
+    return manager.loadParallels();
+  };
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'parallels-route-'));
+    const dataFile = path.join(directory, 'hadiths.json');
+    fs.writeFileSync(dataFile, '{}');
+
+    manager = createManager();
+    jest.spyOn(manager.dataLoader, 'getSourceFiles').mockReturnValue([dataFile]);
+    parallelApp = await buildApp(manager);
+  });
+
+  beforeEach(async () => {
+    await loadParallels({
+      hadiths: ['sahih_al_bukhari/2', 'sahih_muslim/1', 'sahih_al_bukhari/3', 'sahih_al_bukhari/4', 'sahih_muslim/3'],
+      pairs: [[0, 1, 0.8], [2, 1, 0.6], [3, 4, 0.35]],
+      clusters: []
+    });
+  });
+
+  afterAll(async () => {
+    await parallelApp.close();
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const parallels = (collectionId, hadithId, query) =>
+    parallelApp.inject({ url: `/api/v1/collections/${collectionId}/hadiths/${hadithId}/parallels`, query });
+
+  test('lists parallels above the threshold, most similar first', async () => {
+    const body = (await parallels('sahih_muslim', '1')).json();
+
+    expect(body.hadith).toEqual({ collectionId: 'sahih_muslim', hadithId: '1' });
+    expect(body.threshold).toBe(0.5);
+    expect(body.parallels.map(parallel => [parallel.hadithId, parallel.similarity])).toEqual([['2', 0.8], ['3', 0.6]]);
+    expect(body.parallels[0]).toMatchObject({
+      collectionId: 'sahih_al_bukhari',
+      collectionName: 'Sahih Al-Bukhari',
+      fileType: 'regular',
+      matn: 'لا يؤمن أحدكم حتى يحب لأخيه ما يحب لنفسه من الخير'
+    });
+    expect((await parallels('sahih_muslim', '3')).json().parallels).toEqual([]);
+    expect((await parallels('sahih_muslim', '3', { threshold: 0.3 })).json().parallels).toHaveLength(1);
+  });
+
+  test('lists parallels in the requested file type where the collection has it', async () => {
+    const body = (await parallels('sahih_muslim', '1', { fileType: 'regular' })).json();
+    const vowelled = (await parallels('sahih_al_bukhari', '2', { fileType: 'mushakkala_mufassala' })).json();
+
+    expect(body.parallels.map(parallel => parallel.fileType)).toEqual(['regular', 'regular']);
+    expect(vowelled.parallels.map(parallel => [parallel.hadithId, parallel.fileType])).toEqual([['1', 'regular']]);
+  });
+
+  test('rejects thresholds below the lowest similarity in the file', async () => {
+    const response = await parallels('sahih_muslim', '1', { threshold: 0.2 });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().message).toBe('querystring/threshold must be >= 0.3');
+  });
+
+  test('returns 404 for an unknown hadith', async () => {
+    const response = await parallels('sahih_muslim', '99');
+
+    expect(response.statusCode).toBe(404);
+    expect(response.json().message).toBe("Hadith '99' not found in collection 'sahih_muslim' with file type 'regular'");
+  });
+
+  test('returns 503 without parallels for the loaded data', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    expect(await loadParallels({ version: 1, hadiths: [], pairs: [] })).toBe(false);
+    expect(log).toHaveBeenCalledWith('⚠️  Parallels file does not match the data, run npm run build:parallels to update it');
+    log.mockRestore();
+
+    const response = await parallels('sahih_muslim', '1');
+    expect(response.statusCode).toBe(503);
+    expect(response.json().message).toBe('Parallels have not been computed for this data, run npm run build:parallels');
+  });
+});
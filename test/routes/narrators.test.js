@@ -0,0 +1,141 @@
+const { buildApp } = require('../fixtures/app');
+
+let app;
+
+beforeAll(async () => {
+  app = await buildApp();
+});
+
+afterAll(async () => {
+  await app.close();
+});
+
+describe('GET /api/v1/narrators', () => {
+  test('lists narrators, most hadiths first', async () => {
+    const response = await app.inject({ url: '/api/v1/narrators', query: { limit: 2 } });
+
+    expect(response.statusCode).toBe(200);
+    const body = response.json();
+    expect(body.narrators).toEqual([
+      { id: 1, name: 'أنس بن مالك', hadithCount: 5 },
+      { id: 2, name: 'شعبة', hadithCount: 3 }
+    ]);
+    expect(body.pagination).toMatchObject({ total: 29, hasMore: true });
+  });
+
+  test('finds narrators by name', async () => {
+    const response = await app.inject({ url: '/api/v1/narrators', query: { q: 'انس' } });
+
+    expect(response.json().narrators).toEqual([{ id: 1, name: 'أنس بن مالك', hadithCount: 5 }]);
+  });
+});
+
+describe('GET /api/v1/narrators/:id', () => {
+  test('returns a narrator with spellings and collections', async () => {
+    const response = await app.inject({ url: '/api/v1/narrators/1' });
+
+    expect(response.json()).toEqual({
+      id: 1,
+      name: 'أنس بن مالك',
+      variants: [{ name: 'أنس بن مالك', count: 5 }, { name: 'أنس', count: 1 }],
+      hadithCount: 5,
+      collections: [
+        { collectionId: 'sahih_al_bukhari', collectionName: 'Sahih Al-Bukhari', hadithCount: 3 },
+        { collectionId: 'sahih_muslim', collectionName: 'Sahih Muslim', hadithCount: 2 }
+      ]
+    });
+  });
+
+  test('returns 404 for an unknown narrator', async () => {
+    const response = await app.inject({ url: '/api/v1/narrators/999' });
+
+    expect(response.statusCode).toBe(404);
+    expect(response.json()).toEqual({ error: true, message: "Narrator '999' not found", statusCode: 404 });
+  });
+});
+
+describe('GET /api/v1/narrators/:id/hadiths', () => {
+  const ids = body => body.hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}/${hadith.fileType}`);
+
+  test('lists the hadiths whose chain names the narrator', async () => {
+    const body = (await app.inject({ url: '/api/v1/narrators/2/hadiths' })).json();
+
+    expect(body.narrator).toEqual({ id: 2, name: 'شعبة' });
+    expect(ids(body)).toEqual(['sahih_al_bukhari/3/regular', 'sahih_al_bukhari/5/regular', 'sahih_muslim/1/regular']);
+  });
+
+  test('filters by collection', async () => {
+    const body = (await app.inject({ url: '/api/v1/narrators/1/hadiths', query: { collectionId: 'sahih_muslim' } })).json();
+
+    expect(ids(body)).toEqual(['sahih_muslim/1/regular', 'sahih_muslim/2/regular']);
+  });
+
+  test('rejects an unknown collection', async () => {
+    const response = await app.inject({ url: '/api/v1/narrators/1/hadiths', query: { collectionId: 'unknown' } });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().message).toBe("Collection 'unknown' not found");
+  });
+});
+
+describe('GET /api/v1/narrators/:id/teachers and students', () => {
+  test('list the narrators transmitted from and to', async () => {
+    const students = (await app.inject({ url: '/api/v1/narrators/1/students' })).json();
+    const teachers = (await app.inject({ url: '/api/v1/narrators/3/teachers' })).json();
+
+    expect(students.students[0]).toEqual({ id: 3, name: 'قتادة', weight: 3 });
+    expect(students.pagination.total).toBe(3);
+    expect(teachers.teachers).toEqual([{ id: 1, name: 'أنس بن مالك', weight: 3 }]);
+  });
+});
+
+describe('GET /api/v1/narrators/path', () => {
+  test('returns the shortest path from teacher to student', async () => {
+    const body = (await app.inject({ url: '/api/v1/narrators/path', query: { from: 1, to: 2 } })).json();
+
+    expect(body).toMatchObject({ directed: true, length: 2 });
+    expect(body.path).toEqual([
+      { id: 1, name: 'أنس بن مالك', weight: null },
+      { id: 3, name: 'قتادة', weight: 3 },
+      { id: 2, name: 'شعبة', weight: 3 }
+    ]);
+  });
+
+  test('follows transmission backwards when undirected', async () => {
+    const response = await app.inject({ url: '/api/v1/narrators/path', query: { from: 3, to: 1 } });
+    const undirected = await app.inject({ url: '/api/v1/narrators/path', query: { from: 3, to: 1, directed: false } });
+
+    expect(response.statusCode).toBe(404);
+    expect(response.json().message).toBe("No transmission path from narrator '3' to narrator '1'");
+    expect(undirected.json()).toMatchObject({ directed: false, length: 1 });
+  });
+});
+
+describe('GET /api/v1/narrators/graph', () => {
+  test('exports the graph as JSON', async () => {
+    const body = (await app.inject({ url: '/api/v1/narrators/graph', query: { minWeight: 3 } })).json();
+
+    expect(body).toEqual({
+      directed: true,
+      nodeCount: 3,
+      edgeCount: 2,
+      nodes: [
+        { id: 1, name: 'أنس بن مالك', hadithCount: 5 },
+        { id: 2, name: 'شعبة', hadithCount: 3 },
+        { id: 3, name: 'قتادة', hadithCount: 3 }
+      ],
+      edges: [
+        { source: 1, target: 3, weight: 3 },
+        { source: 3, target: 2, weight: 3 }
+      ]
+    });
+  });
+
+  test('exports the graph as a GraphML download', async () => {
+    const response = await app.inject({ url: '/api/v1/narrators/graph', query: { minWeight: 3, format: 'graphml' } });
+
+    expect(response.headers['content-type']).toBe('application/graphml+xml; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="transmission-graph.graphml"');
+    expect(response.body).toContain('<edge id="e1" source="n3" target="n2">');
+  });
+});
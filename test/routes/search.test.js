@@ -0,0 +1,684 @@
+const { buildApp, createManager } = require('../fixtures/app');
+const SynonymDictionary = require('../../server/search/synonyms');
+
+let app;
+
+beforeAll(async () => {
+  app = await buildApp();
+});
+
+afterAll(async () => {
+  await app.close();
+});
+
+describe('GET /api/v1/search', () => {
+  test('returns the hadiths containing every query word', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'صلاة الجماعة' } });
+
+    expect(response.statusCode).toBe(200);
+    const body = response.json();
+    expect(body.hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}`).sort())
+      .toEqual(['sahih_al_bukhari/4', 'sahih_muslim/3']);
+    expect(body.pagination).toMatchObject({ total: 2, limit: 20, offset: 0, hasMore: false });
+  });
+
+  test('limits results to a collection', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'صلاة', collection: 'sahih_muslim' } });
+
+    expect(response.json().hadiths.every(hadith => hadith.collectionId === 'sahih_muslim')).toBe(true);
+  });
+
+  test('rejects a missing query', async () => {
+    const response = await app.inject({ url: '/api/v1/search' });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toMatchObject({ error: true, statusCode: 400 });
+  });
+});
+
+describe('GET /api/v1/search normalization', () => {
+  const search = async query => {
+    const response = await app.inject({ url: '/api/v1/search', query });
+    return response.json().hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}`);
+  };
+
+  test('matches other spellings of the query words by default', async () => {
+    expect(await search({ q: 'الصلاة' })).toEqual(['sahih_muslim/4']);
+  });
+
+  test('matches only the exact spelling with normalize=none', async () => {
+    expect(await search({ q: 'الصلاة', normalize: 'none' })).toEqual([]);
+    expect(await search({ q: 'الصلاه', normalize: 'none' })).toEqual(['sahih_muslim/4']);
+  });
+
+  test('rejects unknown normalization modes', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'الصلاة', normalize: 'aggressive' } });
+
+    expect(response.statusCode).toBe(400);
+  });
+});
+
+describe('GET /api/v1/search diacritics', () => {
+  const search = async query => {
+    const response = await app.inject({ url: '/api/v1/search', query });
+    return response.json().hadiths;
+  };
+  const keys = hadiths => hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}/${hadith.fileType}`).sort();
+
+  test('ignores harakat by default', async () => {
+    expect(await search({ q: 'يُؤْمَنُ' })).toHaveLength(5);
+  });
+
+  test('requires compatible vowelling with diacritics=compatible', async () => {
+    const hadiths = await search({ q: 'يُؤْمَنُ', diacritics: 'compatible' });
+
+    expect(keys(hadiths)).not.toContain('sahih_al_bukhari/2/mushakkala_mufassala');
+    expect(hadiths).toHaveLength(4);
+  });
+
+  test('requires the same harakat with diacritics=exact', async () => {
+    expect(keys(await search({ q: 'يُؤْمِنُ', diacritics: 'exact' }))).toEqual(['sahih_al_bukhari/2/mushakkala_mufassala']);
+  });
+
+  test('returns match offsets into the original text', async () => {
+    const [hadith] = (await search({ q: 'يُؤْمِنُ', diacritics: 'exact' }));
+    const [match] = hadith.matches;
+
+    expect(match.text).toBe('يُؤْمِنُ');
+    expect(hadith.text.slice(match.start, match.end)).toBe(match.text);
+  });
+});
+
+describe('GET /api/v1/search modes', () => {
+  const matchedWords = async query => {
+    const response = await app.inject({ url: '/api/v1/search', query });
+    return new Set(response.json().hadiths.flatMap(hadith => hadith.matches.map(match => match.text)));
+  };
+
+  test('matches inflected forms with mode=stem', async () => {
+    expect(await matchedWords({ q: 'المسلم', mode: 'stem' })).toEqual(new Set(['المسلم', 'المسلمون']));
+  });
+
+  test('matches words of the same root with mode=root', async () => {
+    expect(await matchedWords({ q: 'هاجر', mode: 'root' })).toEqual(new Set(['والمهاجر', 'هجر', 'هجرته', 'فهجرته', 'هاجر']));
+  });
+});
+
+describe('GET /api/v1/search ranking', () => {
+  const scores = async query => {
+    const response = await app.inject({ url: '/api/v1/search', query });
+    return response.json().hadiths.map(hadith => hadith.relevanceScore);
+  };
+
+  test('orders results by relevance score', async () => {
+    const result = await scores({ q: 'أنس مالك' });
+
+    expect(result.length).toBeGreaterThan(2);
+    expect([...result].sort((a, b) => b - a)).toEqual(result);
+  });
+
+  test('applies the k1 and b parameters', async () => {
+    const [first, second] = await scores({ q: 'صلاة', k1: 0 });
+
+    expect(first).toBe(second);
+  });
+
+  test('rejects parameters out of range', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'صلاة', b: 2 } });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().message).toBe('querystring/b must be <= 1');
+  });
+});
+
+describe('GET /api/v1/search ranking with BM25_K1 and BM25_B', () => {
+  let manager;
+  let tunedApp;
+
+  beforeAll(async () => {
+    process.env.BM25_K1 = '3';
+    process.env.BM25_B = '0.2';
+    manager = createManager();
+    tunedApp = await buildApp(manager);
+  });
+
+  afterAll(async () => {
+    delete process.env.BM25_K1;
+    delete process.env.BM25_B;
+    await tunedApp.close();
+  });
+
+  const scores = async (target, query) => {
+    const response = await target.inject({ url: '/api/v1/search', query });
+    return response.json().hadiths.map(hadith => hadith.relevanceScore);
+  };
+
+  test('uses the environment parameters by default', async () => {
+    expect(manager.compileQuery('صلاة').parameters).toEqual({ k1: 3, b: 0.2 });
+    expect(manager.compileQuery('صلاة', { k1: 1 }).parameters).toEqual({ k1: 1, b: 0.2 });
+
+    const tuned = await scores(tunedApp, { q: 'أنس مالك' });
+    expect(tuned).toEqual(await scores(app, { q: 'أنس مالك', k1: 3, b: 0.2 }));
+    expect(tuned).not.toEqual(await scores(app, { q: 'أنس مالك' }));
+  });
+
+  test('explains scores with the environment parameters', async () => {
+    const response = await tunedApp.inject({
+      url: '/api/v1/search/explain',
+      query: { q: 'صلاة الجماعة', collection: 'sahih_muslim', hadithId: '3' }
+    });
+
+    expect(response.json().ranking).toMatchObject({ k1: 3, b: 0.2 });
+  });
+});
+
+describe('GET /api/v1/search query syntax', () => {
+  const search = async query => {
+    const response = await app.inject({ url: '/api/v1/search', query });
+    return response.json().hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}`).sort();
+  };
+
+  test('evaluates OR, exclusions and groups', async () => {
+    expect(await search({ q: 'صلاة OR هجرته' })).toEqual(['sahih_al_bukhari/1', 'sahih_al_bukhari/4', 'sahih_muslim/3']);
+    expect(await search({ q: '(صلاة OR هجرته) -الجماعة' })).toEqual(['sahih_al_bukhari/1']);
+  });
+
+  test('requires every plain term with op=and', async () => {
+    expect(await search({ q: 'يؤمن لجاره', op: 'and' })).toEqual(['sahih_muslim/1']);
+  });
+
+  test('reports syntax errors with their position', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'صلاة (الفذ' } });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toEqual({
+      error: true,
+      message: 'Invalid search query: Missing closing parenthesis for group at position 5',
+      statusCode: 400,
+      position: 5
+    });
+  });
+});
+
+describe('GET /api/v1/search proximity', () => {
+  const search = async q => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q } });
+    return response.json().hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}`).sort();
+  };
+
+  test('matches terms within n words in any order with NEAR/n', async () => {
+    expect(await search('الجماعة NEAR/3 الفذ')).toEqual(['sahih_al_bukhari/4']);
+    expect(await search('الفذ NEAR/4 الجماعة')).toEqual(['sahih_al_bukhari/4', 'sahih_muslim/3']);
+  });
+
+  test('requires the order with ONEAR/n', async () => {
+    expect(await search('الجماعة ONEAR/4 الفذ')).toEqual(['sahih_al_bukhari/4', 'sahih_muslim/3']);
+    expect(await search('الفذ ONEAR/4 الجماعة')).toEqual([]);
+  });
+});
+
+describe('GET /api/v1/search wildcards', () => {
+  const search = async q => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q } });
+    return response.json();
+  };
+
+  test('expands prefix and suffix terms and reports the expansions', async () => {
+    const body = await search('هجر*');
+
+    expect(body.expansions).toEqual([{ pattern: 'هجر*', terms: ['هجر', 'هجرته'], total: 2, truncated: false }]);
+    expect(body.pagination.total).toBe(2);
+    expect((await search('*هجرته')).expansions[0].terms).toEqual(['فهجرته', 'هجرته']);
+  });
+
+  test('matches one letter with ?', async () => {
+    expect((await search('صل?ة')).hadiths.map(hadith => hadith.id).sort()).toEqual(['3', '4']);
+  });
+
+  test('rejects wildcards without a letter next to other words', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'صلاة *' } });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().position).toBe(5);
+  });
+});
+
+describe('GET /api/v1/search highlighting', () => {
+  test('returns the highlighted text', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'قتادة', highlight: true, collection: 'sahih_muslim' } });
+    const [hadith] = response.json().hadiths;
+
+    expect(hadith.highlightedText).toBe(hadith.text.replace('قتادة', '<mark>قتادة</mark>'));
+    expect(hadith.snippet).toBeUndefined();
+  });
+
+  test('returns a highlighted snippet with custom tags', async () => {
+    const response = await app.inject({
+      url: '/api/v1/search',
+      query: { q: 'قتادة', highlight: true, snippet: 40, preTag: '<b>', postTag: '</b>', collection: 'sahih_muslim' }
+    });
+    const [hadith] = response.json().hadiths;
+
+    expect(hadith.snippet).toBe('…شعبة قال سمعت <b>قتادة</b> يحدث عن أنس بن…');
+    expect(hadith.highlightedText).toBeUndefined();
+  });
+
+  test('rejects snippets shorter than 20 characters', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'قتادة', snippet: 10 } });
+
+    expect(response.statusCode).toBe(400);
+  });
+});
+
+describe('GET /api/v1/search facets', () => {
+  test('counts all matches, not just the returned page', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'قال', facets: 'collection,fileType', limit: 1 } });
+    const body = response.json();
+
+    expect(body.hadiths).toHaveLength(1);
+    expect(body.facets).toEqual({
+      collection: { sahih_al_bukhari: 7, sahih_muslim: 4 },
+      fileType: { regular: 9, mushakkala_mufassala: 2 }
+    });
+  });
+
+  test('rejects unknown facets', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'قال', facets: 'bogus' } });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().message).toBe("Unknown facet 'bogus'. Available facets: collection, fileType, length, diacritics");
+  });
+});
+
+describe('GET /api/v1/search/suggestions', () => {
+  const suggest = async query => {
+    const response = await app.inject({ url: '/api/v1/search/suggestions', query });
+    return response.json().suggestions;
+  };
+
+  test('completes words and phrases with their hadith counts', async () => {
+    expect(await suggest({ q: 'يح' })).toEqual([
+      { text: 'يحب', type: 'word', count: 3 },
+      { text: 'يحيى', type: 'word', count: 2 }
+    ]);
+    expect((await suggest({ q: 'رسول ا' }))[0]).toEqual({ text: 'رسول الله', type: 'phrase', count: 5 });
+  });
+
+  test('suggests only words of the requested collection', async () => {
+    expect(await suggest({ q: 'يح', collection: 'sahih_muslim' })).toEqual([]);
+  });
+
+  test('shows the corpus spelling of a suggestion', async () => {
+    expect((await suggest({ q: 'ان' })).map(suggestion => suggestion.text)).toContain('إنما');
+  });
+});
+
+describe('GET /api/v1/search spelling corrections', () => {
+  const search = async query => {
+    const response = await app.inject({ url: '/api/v1/search', query });
+    return response.json();
+  };
+
+  test('suggests a corrected query when nothing is found', async () => {
+    const body = await search({ q: 'قتادع' });
+
+    expect(body.pagination.total).toBe(0);
+    expect(body.suggestions).toEqual([
+      { query: 'قتادة', hits: 3, corrections: [{ term: 'قتادع', correction: 'قتادة' }] }
+    ]);
+  });
+
+  test('suggests the spelling found in the corpus for an exact search', async () => {
+    const body = await search({ q: 'الصلاة', normalize: 'none' });
+
+    expect(body.suggestions[0]).toEqual({
+      query: 'الصلاه',
+      hits: 1,
+      corrections: [{ term: 'الصلاة', correction: 'الصلاه' }]
+    });
+  });
+
+  test('does not suggest corrections when enough hadiths are found', async () => {
+    expect((await search({ q: 'قتادة' })).suggestions).toBeUndefined();
+  });
+});
+
+describe('GET /api/v1/search/regex', () => {
+  const regex = query => app.inject({ url: '/api/v1/search/regex', query });
+  const ids = body => body.hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}/${hadith.fileType}`);
+
+  test('matches the normalized text and reports offsets into the original', async () => {
+    const response = await regex({ pattern: 'الاعمال' });
+
+    expect(response.statusCode).toBe(200);
+    const body = response.json();
+    expect(ids(body)).toEqual(['sahih_al_bukhari/1/regular', 'sahih_al_bukhari/1/mushakkala_mufassala']);
+    expect(body.hadiths[0].matches).toEqual([{ start: 227, end: 234, text: 'الأعمال' }]);
+  });
+
+  test('matches the raw text', async () => {
+    const body = (await regex({ pattern: 'الاعمال', text: 'raw' })).json();
+
+    expect(body.pagination.total).toBe(0);
+  });
+
+  test('treats Arabic letters as word characters in \\b', async () => {
+    const body = (await regex({ pattern: '\\bيحب\\b', collection: 'sahih_al_bukhari', fileType: 'regular' })).json();
+
+    expect(ids(body)).toEqual(['sahih_al_bukhari/2/regular', 'sahih_al_bukhari/3/regular']);
+  });
+
+  test.each([
+    ['(ا+)+', 'Nested quantifiers such as (a+)+ are not allowed'],
+    ['[', 'Invalid regular expression: /[/u: Unterminated character class']
+  ])('rejects the pattern %j', async (pattern, message) => {
+    const response = await regex({ pattern });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toEqual({ error: true, message, statusCode: 400 });
+  });
+
+  test('rejects an unknown collection', async () => {
+    const response = await regex({ pattern: 'قال', collection: 'unknown' });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().message).toBe("Collection 'unknown' not found");
+  });
+});
+
+describe('GET /api/v1/search transliterated', () => {
+  test('searches the corpus words Latin query words stand for', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'qatada anas', transliterated: true } });
+
+    const body = response.json();
+    expect(body.transliterations).toEqual([
+      { term: 'qatada', candidates: ['قتادة'] },
+      { term: 'anas', candidates: ['أنس'] }
+    ]);
+    expect(body.pagination.total).toBe(6);
+    expect(body.hadiths[0].matches.map(match => match.text)).toEqual(['قتادة', 'أنس']);
+  });
+
+  test('leaves Latin words alone by default', async () => {
+    const body = (await app.inject({ url: '/api/v1/search', query: { q: 'qatada anas' } })).json();
+
+    expect(body.pagination.total).toBe(0);
+    expect(body.transliterations).toBeUndefined();
+  });
+});
+
+describe('GET /api/v1/search fuzziness', () => {
+  const search = async query => (await app.inject({ url: '/api/v1/search', query })).json();
+
+  test('matches words within the edit distance, ranked below exact matches', async () => {
+    const fuzzy = await search({ q: 'قتادع', fuzziness: 1 });
+    const exact = await search({ q: 'قتادة' });
+
+    expect(fuzzy.expansions).toEqual([{ pattern: 'قتادع', terms: ['قتاده'], total: 1, truncated: false }]);
+    expect(fuzzy.pagination.total).toBe(3);
+    expect(fuzzy.hadiths[0].relevanceScore).toBeLessThan(exact.hadiths[0].relevanceScore);
+  });
+
+  test('tolerates no edits in short words with fuzziness=auto', async () => {
+    expect((await search({ q: 'حب', fuzziness: 'auto' })).pagination.total).toBe(0);
+  });
+
+  test('leaves the article out of the word length with fuzziness=auto', async () => {
+    expect((await search({ q: 'الصلاع', fuzziness: 'auto' })).pagination.total).toBe(1);
+    expect((await search({ q: 'الصلعع', fuzziness: 'auto' })).pagination.total).toBe(0);
+    expect((await search({ q: 'الصلعع', fuzziness: 2 })).pagination.total).toBe(1);
+  });
+
+  test('rejects other fuzziness values', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'قتادة', fuzziness: 3 } });
+
+    expect(response.statusCode).toBe(400);
+  });
+});
+
+describe('POST /api/v1/search/advanced', () => {
+  const advanced = payload => app.inject({ method: 'POST', url: '/api/v1/search/advanced', payload });
+  const ids = body => body.hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}/${hadith.fileType}`).sort();
+
+  test('applies the filters before counting and paginating', async () => {
+    const body = (await advanced({ query: 'أنس', collections: ['sahih_muslim'], facets: ['collection'], limit: 1 })).json();
+
+    expect(body.hadiths).toHaveLength(1);
+    expect(body.pagination).toMatchObject({ total: 2, hasMore: true });
+    expect(body.facets).toEqual({ collection: { sahih_muslim: 2 } });
+    expect(body.filters).toEqual({
+      applied: {
+        collections: 1,
+        fileTypes: 0,
+        sources: 0,
+        idRanges: 0,
+        lengthFilter: false,
+        diacriticsFilter: false
+      },
+      resultsBeforeFiltering: 6,
+      resultsAfterFiltering: 2
+    });
+  });
+
+  test('passes a hadith matching any source', async () => {
+    const body = (await advanced({
+      query: 'أنس',
+      sources: [{ collection: 'sahih_muslim' }, { collection: 'sahih_al_bukhari', fileType: 'mushakkala_mufassala' }]
+    })).json();
+
+    expect(ids(body)).toEqual([
+      'sahih_al_bukhari/2/mushakkala_mufassala',
+      'sahih_muslim/1/regular',
+      'sahih_muslim/2/regular'
+    ]);
+  });
+
+  test('filters by id range, length and diacritics', async () => {
+    expect(ids((await advanced({ query: 'أنس', idRanges: [{ from: 3, to: 5 }] })).json()))
+      .toEqual(['sahih_al_bukhari/3/regular', 'sahih_al_bukhari/5/regular']);
+    expect(ids((await advanced({ query: 'أنس', minLength: 150, maxLength: 200 })).json()))
+      .toEqual(['sahih_al_bukhari/2/regular', 'sahih_muslim/1/regular', 'sahih_muslim/2/regular']);
+    expect(ids((await advanced({ query: 'أنس', hasFullDiacritics: true })).json()))
+      .toEqual(['sahih_al_bukhari/2/mushakkala_mufassala']);
+  });
+
+  test.each([
+    [{ idRanges: [{ from: 5, to: 3 }] }, 'Invalid id range: from (5) is greater than to (3)'],
+    [{ minLength: 5, maxLength: 3 }, 'minLength cannot be greater than maxLength'],
+    [{ sources: [{ collection: 'unknown' }] }, "Collection 'unknown' not found"]
+  ])('rejects %j', async (filters, message) => {
+    const response = await advanced({ query: 'أنس', ...filters });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toEqual({ error: true, message, statusCode: 400 });
+  });
+});
+
+describe('GET /api/v1/search sorting', () => {
+  test('sorts results by the given keys', async () => {
+    const body = (await app.inject({ url: '/api/v1/search', query: { q: 'أنس', sort: 'id:desc,fileType' } })).json();
+
+    expect(body.hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}/${hadith.fileType}`)).toEqual([
+      'sahih_al_bukhari/5/regular',
+      'sahih_al_bukhari/3/regular',
+      'sahih_al_bukhari/2/regular',
+      'sahih_muslim/2/regular',
+      'sahih_al_bukhari/2/mushakkala_mufassala',
+      'sahih_muslim/1/regular'
+    ]);
+  });
+
+  test('rejects an invalid sort with a 400 error', async () => {
+    const response = await app.inject({ url: '/api/v1/search', query: { q: 'أنس', sort: 'length:up' } });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toEqual({
+      error: true,
+      message: "Invalid sort direction in 'length:up'. Use length:asc or length:desc",
+      statusCode: 400
+    });
+  });
+});
+
+describe('GET /api/v1/search/explain', () => {
+  const explain = query => app.inject({ url: '/api/v1/search/explain', query });
+
+  test('breaks the search score of a hadith down by term', async () => {
+    const response = await explain({ q: 'صلاة الجماعة', collection: 'sahih_muslim', hadithId: '3' });
+    const search = (await app.inject({ url: '/api/v1/search', query: { q: 'صلاة الجماعة', collection: 'sahih_muslim' } })).json();
+
+    expect(response.statusCode).toBe(200);
+    const body = response.json();
+    expect(body.hadith).toMatchObject({ id: '3', collectionId: 'sahih_muslim', fileType: 'regular' });
+    expect(body.matched).toBe(true);
+    expect(body.score).toBeCloseTo(search.hadiths[0].relevanceScore, 10);
+    expect(body.score).toBeCloseTo(body.terms[0].score + body.terms[1].score, 10);
+    expect(body.ranking).toMatchObject({ k1: 1.2, b: 0.75, documentLength: 30, documentCount: 11 });
+    expect(body.clauses.map(clause => [clause.clause, clause.occur, clause.matches.length]))
+      .toEqual([['صلاة', 'should', 2], ['الجماعة', 'should', 1]]);
+    expect(body.terms[0]).toMatchObject({
+      term: 'صلاة',
+      normalization: { table: 'loose', key: 'صلاه' },
+      occurrences: [{ term: 'صلاة', count: 2, weight: 1 }],
+      termFrequency: 2,
+      documentFrequency: 2
+    });
+  });
+
+  test('explains a hadith the query does not match', async () => {
+    const body = (await explain({ q: 'قتادة', collection: 'sahih_muslim', hadithId: '3' })).json();
+
+    expect(body.matched).toBe(false);
+    expect(body.score).toBe(0);
+    expect(body.terms[0]).toMatchObject({ termFrequency: 0, documentFrequency: 3, score: 0 });
+  });
+
+  test.each([
+    [{ collection: 'unknown', hadithId: '3' }, "Collection 'unknown' not found"],
+    [{ collection: 'sahih_muslim', hadithId: '99' }, "Hadith '99' not found in collection 'sahih_muslim' (regular)"]
+  ])('returns 404 for %j', async (target, message) => {
+    const response = await explain({ q: 'صلاة', ...target });
+
+    expect(response.statusCode).toBe(404);
+    expect(response.json()).toEqual({ error: true, message, statusCode: 404 });
+  });
+
+  test('rejects an invalid query with its position', async () => {
+    const response = await explain({ q: '(صلاة', collection: 'sahih_muslim', hadithId: '3' });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toEqual({
+      error: true,
+      message: 'Invalid search query: Missing closing parenthesis for group at position 0',
+      statusCode: 400,
+      position: 0
+    });
+  });
+});
+
+describe('GET /api/v1/search synonyms', () => {
+  let synonymApp;
+
+  beforeAll(async () => {
+    const manager = createManager();
+    manager.synonyms = new SynonymDictionary([{ name: 'prophet', terms: ['النبي', 'رسول الله'] }]);
+    synonymApp = await buildApp(manager);
+  });
+
+  afterAll(async () => {
+    await synonymApp.close();
+  });
+
+  test('matches the other forms of a query word and lists them', async () => {
+    const body = (await synonymApp.inject({ url: '/api/v1/search', query: { q: 'النبي', synonyms: true } })).json();
+
+    expect(body.pagination.total).toBe(11);
+    expect(body.synonyms).toEqual([{ term: 'النبي', alternatives: ['رسول الله'] }]);
+  });
+
+  test('matches the other forms of a phrase', async () => {
+    const body = (await synonymApp.inject({ url: '/api/v1/search', query: { q: '"رسول الله"', synonyms: true } })).json();
+
+    expect(body.synonyms).toEqual([{ term: 'رسول الله', alternatives: ['النبي'] }]);
+  });
+
+  test('only expands synonyms when asked', async () => {
+    const body = (await synonymApp.inject({ url: '/api/v1/search', query: { q: 'النبي' } })).json();
+
+    expect(body.pagination.total).toBe(4);
+    expect(body.synonyms).toBeUndefined();
+  });
+
+  test('lists the synonyms in advanced search', async () => {
+    const response = await synonymApp.inject({
+      method: 'POST',
+      url: '/api/v1/search/advanced',
+      payload: { query: 'النبي', synonyms: true, collections: ['sahih_muslim'] }
+    });
+
+    const body = response.json();
+    expect(body.pagination.total).toBe(4);
+    expect(body.synonyms).toEqual([{ term: 'النبي', alternatives: ['رسول الله'] }]);
+  });
+});
+
+describe('GET /api/v1/search field', () => {
+  const search = async query => (await app.inject({ url: '/api/v1/search', query })).json();
+  const ids = body => body.hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}/${hadith.fileType}`).sort();
+
+  test('searches the isnad or the matn only', async () => {
+    const all = await search({ q: 'مالك' });
+    const isnad = await search({ q: 'مالك', field: 'isnad' });
+    const matn = await search({ q: 'مالك', field: 'matn' });
+
+    expect(all.pagination.total).toBe(7);
+    expect(ids(matn)).toEqual(['sahih_muslim/3/regular']);
+    expect(ids(isnad)).toEqual(ids(all).filter(id => id !== 'sahih_muslim/3/regular'));
+  });
+
+  test('returns where each hadith\'s matn starts', async () => {
+    const body = await search({ q: 'مالك', field: 'matn' });
+
+    expect(body.hadiths[0].segmentation).toEqual({ matnOffset: 23, confidence: 0.8, cue: 'speech' });
+  });
+});
+
+describe('GET /api/v1/search dedupe', () => {
+  let duplicateApp;
+
+  beforeAll(async () => {
+    const manager = createManager();
+    manager.applyDuplicateClusters([{ collectionId: 'sahih_al_bukhari', hadithIds: ['2', '3'] }]);
+    duplicateApp = await buildApp(manager);
+  });
+
+  afterAll(async () => {
+    await duplicateApp.close();
+  });
+
+  const ids = body => body.hadiths.map(hadith => `${hadith.collectionId}/${hadith.id}/${hadith.fileType}`);
+
+  test('keeps the best result of each cluster per file type', async () => {
+    const all = (await duplicateApp.inject({ url: '/api/v1/search', query: { q: 'يحب' } })).json();
+    const deduped = (await duplicateApp.inject({ url: '/api/v1/search', query: { q: 'يحب', dedupe: true } })).json();
+
+    expect(all.pagination.total).toBe(4);
+    expect(ids(deduped)).toEqual([
+      'sahih_al_bukhari/3/regular',
+      'sahih_al_bukhari/2/mushakkala_mufassala',
+      'sahih_muslim/1/regular'
+    ]);
+    expect(deduped.hadiths[0]).toMatchObject({ clusterId: 1, duplicateCount: 1 });
+    expect(deduped.pagination.total).toBe(3);
+  });
+
+  test('keeps the first regex match of each cluster', async () => {
+    const body = (await duplicateApp.inject({ url: '/api/v1/search/regex', query: { pattern: 'يحب', dedupe: true } })).json();
+
+    expect(ids(body)).toEqual([
+      'sahih_al_bukhari/2/regular',
+      'sahih_al_bukhari/2/mushakkala_mufassala',
+      'sahih_muslim/1/regular'
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+const { buildApp, createManager } = require('../fixtures/app');
+
+let app;
+
+beforeAll(async () => {
+  const manager = createManager();
+  manager.applyDuplicateClusters([{ collectionId: 'sahih_al_bukhari', hadithIds: ['2', '3'] }]);
+  app = await buildApp(manager);
+});
+
+afterAll(async () => {
+  await app.close();
+});
+
+describe('GET /api/v1/stats/distribution', () => {
+  test('returns the length buckets, statistics and percentiles', async () => {
+    const response = await app.inject({ url: '/api/v1/stats/distribution', query: { collection: 'sahih_muslim' } });
+
+    expect(response.statusCode).toBe(200);
+    const { distribution, filters } = response.json();
+    expect(distribution.ranges).toEqual({
+      '0-99': { count: 0, percentage: 0 },
+      '100-299': { count: 4, percentage: 100 },
+      '300-599': { count: 0, percentage: 0 },
+      '600-999': { count: 0, percentage: 0 },
+      '1000+': { count: 0, percentage: 0 }
+    });
+    expect(Object.keys(distribution.statistics))
+      .toEqual(['total', 'mean', 'median', 'min', 'max', 'standardDeviation']);
+    expect(distribution.statistics.total).toBe(4);
+    expect(Object.keys(distribution.percentiles)).toEqual(['p10', 'p25', 'p50', 'p75', 'p90', 'p95', 'p99']);
+    expect(filters).toEqual({ collectionId: 'sahih_muslim' });
+  });
+
+  test('filters by file type', async () => {
+    const response = await app.inject({ url: '/api/v1/stats/distribution', query: { fileType: 'mushakkala_mufassala' } });
+
+    expect(response.json().distribution.statistics.total).toBe(2);
+  });
+
+  test('notes when nothing matches the filters', async () => {
+    const response = await app.inject({ url: '/api/v1/stats/distribution', query: { collection: 'unknown' } });
+
+    expect(response.json()).toEqual({
+      distribution: { ranges: {}, statistics: {}, percentiles: {} },
+      filters: { collectionId: 'unknown' },
+      note: 'No data found for the specified filters'
+    });
+  });
+});
+
+describe('GET /api/v1/stats/frequent-terms', () => {
+  test('returns the most frequent terms of the regular texts', async () => {
+    const response = await app.inject({ url: '/api/v1/stats/frequent-terms', query: { collection: 'sahih_muslim', limit: 2 } });
+
+    const body = response.json();
+    expect(body.frequentTerms).toEqual([
+      { term: 'قال', frequency: 12, percentage: 11.32 },
+      { term: 'حدثنا', frequency: 8, percentage: 7.55 }
+    ]);
+    expect(body.analysis).toEqual({ totalTerms: 106, uniqueTerms: 62, analyzedHadiths: 4 });
+    expect(body.filters).toEqual({ collectionId: 'sahih_muslim' });
+    expect(body.note).toEqual(expect.any(String));
+  });
+});
+
+describe('GET /api/v1/stats/duplicates', () => {
+  test('reports the duplicate clusters of each collection', async () => {
+    const response = await app.inject({ url: '/api/v1/stats/duplicates' });
+
+    const body = response.json();
+    expect(body.collections).toEqual([
+      {
+        collectionId: 'sahih_al_bukhari',
+        collectionName: 'Sahih Al-Bukhari',
+        totalHadiths: 5,
+        clusterCount: 1,
+        clusteredHadiths: 2,
+        uniqueHadiths: 4
+      },
+      {
+        collectionId: 'sahih_muslim',
+        collectionName: 'Sahih Muslim',
+        totalHadiths: 4,
+        clusterCount: 0,
+        clusteredHadiths: 0,
+        uniqueHadiths: 4
+      }
+    ]);
+    expect(body.clusters).toEqual([
+      expect.objectContaining({ clusterId: 1, collectionId: 'sahih_al_bukhari', size: 2, hadithIds: ['2', '3'] })
+    ]);
+    expect(body.pagination).toMatchObject({ total: 1 });
+  });
+
+  test('reports on one collection', async () => {
+    const response = await app.inject({ url: '/api/v1/stats/duplicates', query: { collectionId: 'sahih_muslim' } });
+
+    const body = response.json();
+    expect(body.collections.map(collection => collection.collectionId)).toEqual(['sahih_muslim']);
+    expect(body.clusters).toEqual([]);
+  });
+});
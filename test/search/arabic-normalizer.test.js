@@ -0,0 +1,66 @@
+const {
+  NORMALIZATION_MODES,
+  resolveNormalization,
+  stripDiacritics,
+  normalizeArabic
+} = require('../../server/search/arabic-normalizer');
+
+describe('normalizeArabic', () => {
+  test('folds alef variants', () => {
+    expect(normalizeArabic('أحمد إبراهيم آدم ٱلله')).toBe('احمد ابراهيم ادم الله');
+  });
+
+  test('folds taa marbuta and alef maqsura', () => {
+    expect(normalizeArabic('الصلاة على موسى')).toBe('الصلاه علي موسي');
+  });
+
+  test('folds hamza seats', () => {
+    expect(normalizeArabic('مؤمن سئل')).toBe('مومن سيل');
+  });
+
+  test('removes tatweel', () => {
+    expect(normalizeArabic('محـــمد')).toBe('محمد');
+  });
+
+  test('keeps diacritics in strict mode and removes them in loose mode', () => {
+    expect(normalizeArabic('حَدَّثَنَا', 'strict')).toBe('حَدَّثَنَا');
+    expect(normalizeArabic('حَدَّثَنَا', 'loose')).toBe('حدثنا');
+  });
+
+  test('composes a combining hamza before folding the alef', () => {
+    expect(normalizeArabic('\u0627\u0654حمد', 'loose')).toBe('احمد');
+  });
+
+  test('leaves text unchanged in none mode', () => {
+    expect(normalizeArabic('أَحْمَدُ', 'none')).toBe('أَحْمَدُ');
+  });
+
+  test('accepts explicit flags', () => {
+    expect(normalizeArabic('أحمدة', { alef: true })).toBe('احمدة');
+  });
+
+  test('returns an empty string for empty text', () => {
+    expect(normalizeArabic('')).toBe('');
+    expect(normalizeArabic(undefined)).toBe('');
+  });
+});
+
+describe('resolveNormalization', () => {
+  test('defaults to strict', () => {
+    expect(resolveNormalization()).toBe(NORMALIZATION_MODES.strict);
+  });
+
+  test('fills unset flags of an object with false', () => {
+    expect(resolveNormalization({ tatweel: true })).toEqual({ ...NORMALIZATION_MODES.none, tatweel: true });
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => resolveNormalization('aggressive')).toThrow('Unknown normalization mode: aggressive');
+  });
+});
+
+describe('stripDiacritics', () => {
+  test('removes harakat, shadda, sukun and dagger alef', () => {
+    expect(stripDiacritics('الرَّحْمٰنِ')).toBe('الرحمن');
+  });
+});
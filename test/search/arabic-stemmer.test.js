@@ -0,0 +1,57 @@
+const { lightStem, extractRoot, stripArticle } = require('../../server/search/arabic-stemmer');
+
+describe('lightStem', () => {
+  test('strips the article, attached prepositions and pronouns', () => {
+    expect(lightStem('الصلاة')).toBe('صلا');
+    expect(lightStem('بالصلاة')).toBe('صلا');
+    expect(lightStem('صلاتكم')).toBe('صلا');
+  });
+
+  test('strips a conjunction and plural endings', () => {
+    expect(lightStem('والمسلمون')).toBe('مسلم');
+    expect(lightStem('المسلمين')).toBe('مسلم');
+  });
+
+  test('keeps short word endings that are part of the word', () => {
+    expect(lightStem('مالك')).toBe('مالك');
+    expect(lightStem('يصلي')).toBe('يصلي');
+  });
+});
+
+describe('extractRoot', () => {
+  test('folds hollow verb forms into one root', () => {
+    expect(extractRoot('قال')).toBe('قول');
+    expect(extractRoot('يقول')).toBe('قول');
+    expect(extractRoot('قيل')).toBe('قول');
+  });
+
+  test('folds defective forms into one root', () => {
+    expect(extractRoot('صلاة')).toBe('صلو');
+    expect(extractRoot('يصلي')).toBe('صلو');
+  });
+
+  test('matches derivation patterns', () => {
+    expect(extractRoot('المسلمين')).toBe('سلم');
+    expect(extractRoot('مستغفر')).toBe('غفر');
+    expect(extractRoot('استغفار')).toBe('غفر');
+  });
+
+  test('does not take a long alef for a radical', () => {
+    expect(extractRoot('مالك')).toBe('ملك');
+  });
+
+  test('keeps hamza as a radical', () => {
+    expect(extractRoot('مؤمن')).toBe('ءمن');
+  });
+});
+
+describe('stripArticle', () => {
+  test('removes the article with an attached conjunction or preposition', () => {
+    expect(stripArticle('والصلاه')).toBe('صلاه');
+    expect(stripArticle('للناس')).toBe('ناس');
+  });
+
+  test('leaves words too short to have an article', () => {
+    expect(stripArticle('الا')).toBe('الا');
+  });
+});
@@ -0,0 +1,48 @@
+const bm25 = require('../../server/search/bm25');
+
+describe('inverseDocumentFrequency', () => {
+  test('weighs rare terms above common ones', () => {
+    expect(bm25.inverseDocumentFrequency(1, 100)).toBeGreaterThan(bm25.inverseDocumentFrequency(50, 100));
+  });
+
+  test('stays positive for a term in every document', () => {
+    expect(bm25.inverseDocumentFrequency(100, 100)).toBeGreaterThan(0);
+  });
+
+  test('follows the BM25 formula', () => {
+    expect(bm25.inverseDocumentFrequency(2, 10)).toBeCloseTo(Math.log(1 + 8.5 / 2.5));
+  });
+});
+
+describe('termFrequencyWeight', () => {
+  test('is zero for an absent term', () => {
+    expect(bm25.termFrequencyWeight(0, 10, 10)).toBe(0);
+  });
+
+  test('saturates as the frequency grows', () => {
+    const once = bm25.termFrequencyWeight(1, 10, 10);
+    const twice = bm25.termFrequencyWeight(2, 10, 10);
+    const thrice = bm25.termFrequencyWeight(3, 10, 10);
+
+    expect(twice).toBeGreaterThan(once);
+    expect(twice - once).toBeGreaterThan(thrice - twice);
+    expect(bm25.termFrequencyWeight(1000, 10, 10)).toBeLessThan(bm25.DEFAULT_PARAMETERS.k1 + 1);
+  });
+
+  test('favours shorter documents unless b is 0', () => {
+    expect(bm25.termFrequencyWeight(1, 5, 10)).toBeGreaterThan(bm25.termFrequencyWeight(1, 20, 10));
+    expect(bm25.termFrequencyWeight(1, 5, 10, { k1: 1.2, b: 0 })).toBe(bm25.termFrequencyWeight(1, 20, 10, { k1: 1.2, b: 0 }));
+  });
+
+  test('ignores the frequency when k1 is 0', () => {
+    expect(bm25.termFrequencyWeight(7, 10, 10, { k1: 0, b: 0.75 })).toBe(1);
+  });
+});
+
+describe('resolveParameters', () => {
+  test('keeps the defaults for missing or invalid values', () => {
+    expect(bm25.resolveParameters()).toEqual(bm25.DEFAULT_PARAMETERS);
+    expect(bm25.resolveParameters({ k1: NaN, b: 0.5 })).toEqual({ k1: 1.2, b: 0.5 });
+    expect(bm25.resolveParameters({ k1: 0 })).toEqual({ k1: 0, b: 0.75 });
+  });
+});
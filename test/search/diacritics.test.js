@@ -0,0 +1,38 @@
+const { hasDiacritics, splitLetters, isDiacriticCompatible } = require('../../server/search/arabic-normalizer');
+
+describe('hasDiacritics', () => {
+  test('detects harakat', () => {
+    expect(hasDiacritics('قَالَ')).toBe(true);
+    expect(hasDiacritics('قال')).toBe(false);
+    expect(hasDiacritics('')).toBe(false);
+  });
+});
+
+describe('splitLetters', () => {
+  test('attaches each mark to the letter before it, in canonical order', () => {
+    expect(splitLetters('حَدَّ')).toEqual([
+      { letter: 'ح', marks: ['\u064E'] },
+      { letter: 'د', marks: ['\u064E', '\u0651'] }
+    ]);
+  });
+});
+
+describe('isDiacriticCompatible', () => {
+  test('accepts unvowelled letters on either side', () => {
+    expect(isDiacriticCompatible('يؤمن', 'يُؤْمِنُ')).toBe(true);
+    expect(isDiacriticCompatible('يُؤْمِنُ', 'يؤمن')).toBe(true);
+  });
+
+  test('accepts a partially vowelled query', () => {
+    expect(isDiacriticCompatible('يُؤمن', 'يُؤْمِنُ')).toBe(true);
+  });
+
+  test('rejects conflicting vowels', () => {
+    expect(isDiacriticCompatible('يُؤْمَنُ', 'يُؤْمِنُ')).toBe(false);
+  });
+
+  test('rejects different base letters', () => {
+    expect(isDiacriticCompatible('يؤمن', 'يومن')).toBe(false);
+    expect(isDiacriticCompatible('يؤمن', 'يؤمنون')).toBe(false);
+  });
+});
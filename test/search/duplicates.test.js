@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { clusterDuplicates } = require('../../server/search/duplicates');
+const { createManager } = require('../fixtures/app');
+const { unrelatedEntries } = require('../fixtures/hadith-data');
+
+const REPORT = 'إنما الأعمال بالنيات وإنما لكل امرئ ما نوى فمن كانت هجرته إلى';
+
+function entry(collectionId, hadithId, matn) {
+  return { collectionId, hadithId, matn };
+}
+
+describe('clusterDuplicates', () => {
+  test('clusters near-identical matns of a collection, numbered in entry order', () => {
+    const entries = [
+      entry('sahih_muslim', '1', 'صلاة الجماعة تفضل صلاة الفذ بسبع وعشرين درجة'),
+      entry('sahih_al_bukhari', '1', REPORT),
+      entry('sahih_al_bukhari', '2', 'المسلم من سلم المسلمون من لسانه ويده'),
+      entry('sahih_al_bukhari', '3', REPORT),
+      entry('sahih_muslim', '2', 'صلاة الجماعة تفضل صلاة الفذ بسبع وعشرين درجة')
+    ];
+
+    expect(clusterDuplicates(entries)).toEqual([1, 2, 0, 2, 1]);
+  });
+
+  test('does not cluster hadiths of different collections', () => {
+    expect(clusterDuplicates([entry('sahih_al_bukhari', '1', REPORT), entry('sahih_muslim', '1', REPORT)])).toEqual([0, 0]);
+  });
+
+  test('joins hadiths that repeat a hadith of the cluster', () => {
+    const first = REPORT.split(' ');
+    const second = [...first.slice(0, -1), 'رسوله'];
+    const third = ['قال', ...second.slice(1)];
+    const entries = [
+      entry('sahih_al_bukhari', '1', first.join(' ')),
+      entry('sahih_al_bukhari', '2', second.join(' ')),
+      entry('sahih_al_bukhari', '3', third.join(' ')),
+      ...unrelatedEntries(300)
+    ];
+
+    expect(clusterDuplicates(entries).slice(0, 3)).toEqual([1, 1, 1]);
+    expect(clusterDuplicates(entries, { minSimilarity: 0.9 }).slice(0, 3)).toEqual([0, 0, 0]);
+  });
+});
+
+describe('HadithDataManager duplicate clusters', () => {
+  let directory;
+  let manager;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-'));
+    const dataFile = path.join(directory, 'hadiths.json');
+    fs.writeFileSync(dataFile, '{}');
+
+    manager = createManager();
+    manager.parallelsPath = path.join(directory, 'parallels.json');
+    jest.spyOn(manager.dataLoader, 'getSourceFiles').mockReturnValue([dataFile]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const clusterOf = (collectionId, fileType, hadithId) =>
+    manager.searchIndex.get(`${collectionId}-${fileType}-${hadithId}`).clusterId;
+
+  test('stores the clusters with the parallels and applies them to every file type', async () => {
+    const result = await manager.saveParallels();
+
+    expect(result.clusterCount).toBe(1);
+    expect(JSON.parse(fs.readFileSync(manager.parallelsPath, 'utf8')).clusters)
+      .toEqual([{ collectionId: 'sahih_al_bukhari', hadithIds: ['2', '3'] }]);
+    expect(clusterOf('sahih_al_bukhari', 'regular', '2')).toBe(1);
+    expect(clusterOf('sahih_al_bukhari', 'mushakkala_mufassala', '2')).toBe(1);
+    expect(clusterOf('sahih_al_bukhari', 'regular', '3')).toBe(1);
+    expect(clusterOf('sahih_al_bukhari', 'regular', '1')).toBe(0);
+  });
+
+  test('loads the clusters from the parallels file', async () => {
+    await manager.saveParallels();
+    manager.applyDuplicateClusters([]);
+    expect(clusterOf('sahih_al_bukhari', 'regular', '2')).toBe(0);
+
+    expect(await manager.loadParallels()).toBe(true);
+    expect(clusterOf('sahih_al_bukhari', 'regular', '2')).toBe(1);
+    expect(manager.duplicateFields(manager.searchIndex.get('sahih_al_bukhari-regular-3')))
+      .toEqual({ clusterId: 1, duplicateCount: 1 });
+  });
+});
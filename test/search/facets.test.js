@@ -0,0 +1,35 @@
+const { lengthBucket, computeFacets } = require('../../server/search/facets');
+
+const documents = [
+  { collectionId: 'sahih_muslim', fileType: 'regular', hadith: { textLength: 50, hasFullDiacritics: false } },
+  { collectionId: 'sahih_al_bukhari', fileType: 'regular', hadith: { textLength: 150, hasFullDiacritics: false } },
+  { collectionId: 'sahih_al_bukhari', fileType: 'mushakkala_mufassala', hadith: { textLength: 1200, hasFullDiacritics: true } }
+];
+
+describe('lengthBucket', () => {
+  test('places lengths in their bucket', () => {
+    expect(lengthBucket(0)).toBe('0-99');
+    expect(lengthBucket(99)).toBe('0-99');
+    expect(lengthBucket(100)).toBe('100-299');
+    expect(lengthBucket(5000)).toBe('1000+');
+  });
+});
+
+describe('computeFacets', () => {
+  test('lists collections by count', () => {
+    const { collection } = computeFacets(documents, ['collection']);
+
+    expect(Object.entries(collection)).toEqual([['sahih_al_bukhari', 2], ['sahih_muslim', 1]]);
+  });
+
+  test('lists every fixed value in display order, including empty ones', () => {
+    const facets = computeFacets(documents, ['fileType', 'length', 'diacritics']);
+
+    expect(facets).toEqual({
+      fileType: { regular: 2, mushakkala_mufassala: 1 },
+      length: { '0-99': 1, '100-299': 1, '300-599': 0, '600-999': 0, '1000+': 1 },
+      diacritics: { withDiacritics: 1, withoutDiacritics: 2 }
+    });
+    expect(Object.keys(computeFacets([], ['fileType']).fileType)).toEqual(['regular', 'mushakkala_mufassala']);
+  });
+});
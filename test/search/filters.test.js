@@ -0,0 +1,53 @@
+const { compileFilters } = require('../../server/search/filters');
+
+function doc(collectionId, fileType, numericId, textLength, hasFullDiacritics = false) {
+  return { collectionId, fileType, numericId, hadith: { textLength, hasFullDiacritics } };
+}
+
+describe('compileFilters', () => {
+  const documents = [
+    doc('sahih_al_bukhari', 'regular', 1, 300),
+    doc('sahih_al_bukhari', 'mushakkala_mufassala', 1, 450, true),
+    doc('sahih_al_bukhari', 'regular', 7, 120),
+    doc('sahih_muslim', 'regular', 3, 200),
+    doc('sahih_muslim', 'regular', 12, 90)
+  ];
+  const kept = filters => documents
+    .map((document, index) => [document, index])
+    .filter(([document]) => compileFilters(filters)(document))
+    .map(([, index]) => index);
+
+  test('returns null when nothing is filtered', () => {
+    expect(compileFilters()).toBeNull();
+    expect(compileFilters({ collections: [], sources: [] })).toBeNull();
+  });
+
+  test('filters by collection and file type', () => {
+    expect(kept({ collections: ['sahih_muslim'] })).toEqual([3, 4]);
+    expect(kept({ fileTypes: ['mushakkala_mufassala'] })).toEqual([1]);
+  });
+
+  test('passes a document matching any source', () => {
+    expect(kept({
+      sources: [
+        { collection: 'sahih_al_bukhari', fileType: 'mushakkala_mufassala' },
+        { collection: 'sahih_muslim' }
+      ]
+    })).toEqual([1, 3, 4]);
+  });
+
+  test('passes a document in any id range, with open bounds', () => {
+    expect(kept({ idRanges: [{ from: 2, to: 7 }] })).toEqual([2, 3]);
+    expect(kept({ idRanges: [{ from: 10 }, { to: 1, collection: 'sahih_al_bukhari' }] })).toEqual([0, 1, 4]);
+  });
+
+  test('filters by text length and diacritics', () => {
+    expect(kept({ minLength: 120, maxLength: 300 })).toEqual([0, 2, 3]);
+    expect(kept({ hasFullDiacritics: true })).toEqual([1]);
+    expect(kept({ hasFullDiacritics: false })).toEqual([0, 2, 3, 4]);
+  });
+
+  test('requires every given filter to pass', () => {
+    expect(kept({ collections: ['sahih_al_bukhari'], fileTypes: ['regular'], maxLength: 200 })).toEqual([2]);
+  });
+});
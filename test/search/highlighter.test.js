@@ -0,0 +1,43 @@
+const { highlight, buildSnippet } = require('../../server/search/highlighter');
+
+const TEXT = 'one two three four five six seven eight nine ten eleven twelve';
+
+/**
+ * Offsets of words in TEXT
+ */
+function spans(...words) {
+  return words.map(word => {
+    const start = TEXT.indexOf(word);
+    return { start, end: start + word.length };
+  });
+}
+
+describe('highlight', () => {
+  test('wraps each match in the default tags', () => {
+    expect(highlight('قال حدثنا مالك', [{ start: 4, end: 9 }])).toBe('قال <mark>حدثنا</mark> مالك');
+  });
+
+  test('uses custom tags', () => {
+    expect(highlight(TEXT, spans('two', 'four'), { preTag: '[', postTag: ']' }))
+      .toBe('one [two] three [four] five six seven eight nine ten eleven twelve');
+  });
+});
+
+describe('buildSnippet', () => {
+  test('cuts a window around the matches at word boundaries', () => {
+    expect(buildSnippet(TEXT, spans('six', 'seven'), { size: 20 })).toBe('…five six seven eight…');
+  });
+
+  test('centres the window on the densest group of matches', () => {
+    expect(buildSnippet(TEXT, spans('two', 'ten', 'eleven'), { size: 20, highlight: true, preTag: '[', postTag: ']' }))
+      .toBe('…nine [ten] [eleven]…');
+  });
+
+  test('starts at the beginning without matches', () => {
+    expect(buildSnippet(TEXT, [], { size: 20 })).toBe('one two three four…');
+  });
+
+  test('returns short texts whole', () => {
+    expect(buildSnippet('short', [{ start: 0, end: 5 }], { size: 20, highlight: true })).toBe('<mark>short</mark>');
+  });
+});
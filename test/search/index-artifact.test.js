@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  FORMAT_VERSION,
+  computeDataHash,
+  describeSourceFiles,
+  sameSourceFiles,
+  writeArtifact,
+  readArtifact
+} = require('../../server/search/index-artifact');
+const { createManager } = require('../fixtures/app');
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'index-artifact-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('writeArtifact and readArtifact', () => {
+  test('round-trip the header and tables', async () => {
+    const filePath = path.join(directory, 'nested', 'index.bin');
+    const tables = {
+      postings: new Uint32Array([0, 2, 5]),
+      positions: new Uint32Array([]),
+      documents: new Uint32Array([1, 4294967295])
+    };
+
+    const size = await writeArtifact(filePath, { header: { terms: ['قال', 'حدثنا'] }, tables });
+    const artifact = await readArtifact(filePath);
+
+    expect(size).toBe(fs.statSync(filePath).size);
+    expect(artifact.header).toMatchObject({
+      terms: ['قال', 'حدثنا'],
+      formatVersion: FORMAT_VERSION,
+      endianness: os.endianness(),
+      tables: { postings: [0, 3], positions: [3, 0], documents: [3, 2] }
+    });
+    expect(artifact.tables.postings).toBeInstanceOf(Uint32Array);
+    expect([...artifact.tables.postings]).toEqual([0, 2, 5]);
+    expect([...artifact.tables.positions]).toEqual([]);
+    expect([...artifact.tables.documents]).toEqual([1, 4294967295]);
+  });
+
+  test('returns null for a missing file', async () => {
+    expect(await readArtifact(path.join(directory, 'missing.bin'))).toBeNull();
+  });
+
+  test('rejects files that are not artifacts', async () => {
+    const filePath = path.join(directory, 'index.bin');
+    fs.writeFileSync(filePath, '{"terms":[]}');
+
+    await expect(readArtifact(filePath)).rejects.toThrow(`${filePath} is not a search index artifact`);
+  });
+});
+
+describe('source file checks', () => {
+  test('describe files by name, size and modification time', async () => {
+    const filePath = path.join(directory, 'collection.json');
+    fs.writeFileSync(filePath, '[]');
+    fs.utimesSync(filePath, 1000, 1000);
+
+    expect(await describeSourceFiles([filePath])).toEqual([{ name: 'collection.json', size: 2, mtimeMs: 1000000 }]);
+  });
+
+  test('compare descriptions', () => {
+    const files = [{ name: 'a.json', size: 2, mtimeMs: 1 }];
+
+    expect(sameSourceFiles(files, [{ name: 'a.json', size: 2, mtimeMs: 1 }])).toBe(true);
+    expect(sameSourceFiles(files, [{ name: 'a.json', size: 2, mtimeMs: 2 }])).toBe(false);
+    expect(sameSourceFiles(files, [])).toBe(false);
+    expect(sameSourceFiles(undefined, files)).toBe(false);
+  });
+
+  test('hash file names and contents', async () => {
+    const first = path.join(directory, 'a.json');
+    const second = path.join(directory, 'b.json');
+    fs.writeFileSync(first, '[]');
+    fs.writeFileSync(second, '[]');
+
+    const hash = await computeDataHash([first]);
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(await computeDataHash([first])).toBe(hash);
+    expect(await computeDataHash([second])).not.toBe(hash);
+  });
+});
+
+describe('HadithDataManager search index artifact', () => {
+  let dataFile;
+  let artifactPath;
+
+  // A manager over the test corpus, loaded from a data file in the temporary directory
+  const managerFor = () => {
+    const manager = createManager();
+    manager.indexArtifactPath = artifactPath;
+    jest.spyOn(manager.dataLoader, 'getSourceFiles').mockReturnValue([dataFile]);
+    return manager;
+  };
+
+  beforeEach(() => {
+    dataFile = path.join(directory, 'hadiths.json');
+    artifactPath = path.join(directory, 'search-index.bin');
+    fs.writeFileSync(dataFile, '{"collections":[]}');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('restores an index that searches like the built one', async () => {
+    const built = managerFor();
+    const { dataHash } = await built.saveSearchIndex();
+    const restored = managerFor();
+
+    expect(await restored.loadSearchIndex()).toBe(true);
+    expect(restored.indexSource).toBe('artifact');
+    expect(dataHash).toBe(await computeDataHash([dataFile]));
+    expect(restored.documents.map(document => [document.docId, document.collectionId, document.fileType, document.hadith.id, document.matnPosition]))
+      .toEqual(built.documents.map(document => [document.docId, document.collectionId, document.fileType, document.hadith.id, document.matnPosition]));
+    expect(restored.invertedIndex.postings).toBeInstanceOf(Uint32Array);
+
+    const search = manager => manager.searchHadiths('أنس NEAR/3 مالك', { field: 'isnad', facets: ['collection'] });
+    expect(search(restored).pagination.total).toBe(5);
+    expect(search(restored)).toEqual(search(built));
+    expect(restored.suggester.suggest('يح', {})).toEqual(built.suggester.suggest('يح', {}));
+    expect(restored.narratorIndex.narrators).toEqual(built.narratorIndex.narrators);
+  });
+
+  test('accepts touched data files with the same contents', async () => {
+    await managerFor().saveSearchIndex();
+    fs.utimesSync(dataFile, 1000, 1000);
+
+    expect(await managerFor().loadSearchIndex()).toBe(true);
+  });
+
+  test('rebuilds for changed data files', async () => {
+    await managerFor().saveSearchIndex();
+    fs.writeFileSync(dataFile, '{"collections":[{}]}');
+
+    expect(await managerFor().loadSearchIndex()).toBe(false);
+  });
+
+  test('rebuilds without an artifact', async () => {
+    expect(await managerFor().loadSearchIndex()).toBe(false);
+  });
+});
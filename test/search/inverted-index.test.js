@@ -0,0 +1,107 @@
+const InvertedIndex = require('../../server/search/inverted-index');
+
+function buildIndex(documents) {
+  const index = new InvertedIndex();
+  documents.forEach((terms, docId) => index.addDocument(docId, terms));
+  index.finalize();
+  return index;
+}
+
+describe('InvertedIndex', () => {
+  const documents = [
+    ['انما', 'الاعمال', 'بالنيات'],
+    ['صلاة', 'الجماعة', 'تفضل', 'صلاة', 'الفذ'],
+    ['الاعمال', 'صلاة']
+  ];
+
+  test('lists the documents of a term in docId order', () => {
+    const index = buildIndex(documents);
+
+    expect([...index.getPostings('صلاة')]).toEqual([1, 2]);
+    expect([...index.getPostings('الاعمال')]).toEqual([0, 2]);
+    expect([...index.getPostings('مفقود')]).toEqual([]);
+  });
+
+  test('stores postings and positions in flat typed arrays', () => {
+    const index = buildIndex(documents);
+
+    expect(index.postings).toBeInstanceOf(Uint32Array);
+    expect(index.positions).toBeInstanceOf(Uint32Array);
+    expect(index.getPostings('صلاة')).toBeInstanceOf(Uint32Array);
+    expect(index.getPostings('صلاة').buffer).toBe(index.postings.buffer);
+  });
+
+  test('records word positions and term frequencies per document', () => {
+    const index = buildIndex(documents);
+
+    expect(index.getPositions('صلاة', 1)).toEqual([0, 3]);
+    expect(index.getPositions('صلاة', 2)).toEqual([1]);
+    expect(index.getPositions('صلاة', 0)).toEqual([]);
+    expect(index.getTermFrequencies(['صلاة'])).toEqual(new Map([[1, 2], [2, 1]]));
+  });
+
+  test('combines the frequencies of several spellings with weights', () => {
+    const index = buildIndex(documents);
+    const frequencies = index.getTermFrequencies(['صلاة', 'الاعمال'], new Map([['الاعمال', 0.5]]));
+
+    expect(frequencies).toEqual(new Map([[0, 0.5], [1, 2], [2, 1.5]]));
+  });
+
+  test('counts only occurrences accepted by a position filter', () => {
+    const index = buildIndex(documents);
+    const frequencies = index.getTermFrequencies(['صلاة'], null, (docId, position) => position > 0);
+
+    expect(frequencies).toEqual(new Map([[1, 1], [2, 1]]));
+  });
+
+  test('tracks document lengths', () => {
+    const index = buildIndex(documents);
+
+    expect(index.getDocumentLength(1)).toBe(5);
+    expect(index.documentCount).toBe(3);
+    expect(index.averageDocumentLength).toBeCloseTo(10 / 3);
+  });
+
+  test('groups spellings under variant keys', () => {
+    const index = buildIndex([['صلاة', 'صلاه'], ['الصلاة']]);
+    index.buildVariants('loose', term => term.replace(/ة/g, 'ه'));
+
+    expect(index.getVariants('loose', 'صلاه')).toEqual(['صلاة', 'صلاه']);
+    expect(index.getVariants(null, 'صلاه')).toEqual(['صلاه']);
+    expect([...index.getVariantPostings('صلاه', 'loose')]).toEqual([0]);
+    expect(index.findKeys('loose', key => key.startsWith('ال'))).toEqual(['الصلاه']);
+  });
+
+  test('restores a serialized index with the tables as views', () => {
+    const index = buildIndex(documents);
+    index.buildVariants('first', term => term[0]);
+    const { terms, variantKeys, tables } = index.serialize();
+
+    // Copy the tables into one buffer, as they are read from an artifact
+    const buffer = new ArrayBuffer(Object.values(tables).reduce((sum, table) => sum + table.byteLength, 0));
+    const views = {};
+    let offset = 0;
+    for (const [name, table] of Object.entries(tables)) {
+      views[name] = new Uint32Array(buffer, offset, table.length);
+      views[name].set(table);
+      offset += table.byteLength;
+    }
+
+    const restored = new InvertedIndex();
+    restored.restore({ terms, variantKeys, tables: views });
+
+    expect(restored.postings.buffer).toBe(buffer);
+    expect(restored.positions.buffer).toBe(buffer);
+    expect([...restored.getPostings('صلاة')]).toEqual([1, 2]);
+    expect(restored.getPositions('صلاة', 1)).toEqual([0, 3]);
+    expect(restored.getVariants('first', 'ص')).toEqual(['صلاة']);
+    expect(restored.averageDocumentLength).toBe(index.averageDocumentLength);
+  });
+
+  test('intersects, unions and subtracts posting lists', () => {
+    expect(InvertedIndex.intersect([[1, 3, 5, 7], [3, 4, 5], [3, 5, 9]])).toEqual([3, 5]);
+    expect(InvertedIndex.intersect([])).toEqual([]);
+    expect(InvertedIndex.union([[1, 4], [], [2, 4, 6]])).toEqual([1, 2, 4, 6]);
+    expect(InvertedIndex.difference([1, 2, 3, 4], [2, 4])).toEqual([1, 3]);
+  });
+});
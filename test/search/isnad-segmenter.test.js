@@ -0,0 +1,103 @@
+const { CONFIDENCE, segmentHadith, extractChain } = require('../../server/search/isnad-segmenter');
+
+describe('segmentHadith', () => {
+  test.each([
+    [
+      'prophetic-speech',
+      'حدثنا مسدد قال حدثنا يحيى عن شعبة عن قتادة عن أنس بن مالك عن النبي صلى الله عليه وسلم قال لا يؤمن أحدكم',
+      'لا يؤمن أحدكم'
+    ],
+    [
+      'speech',
+      'حدثنا يحيى بن يحيى قال قرأت على مالك عن نافع',
+      'قرأت على مالك عن نافع'
+    ],
+    [
+      'prophetic-report',
+      'حدثنا قتيبة حدثنا الليث عن نافع عن ابن عمر أن رسول الله صلى الله عليه وسلم نهى عن بيع الولاء',
+      'أن رسول الله صلى الله عليه وسلم نهى عن بيع الولاء'
+    ],
+    [
+      'report',
+      'حدثني مالك عن نافع أن عبد الله بن عمر كان إذا صلى',
+      'أن عبد الله بن عمر كان إذا صلى'
+    ],
+    [
+      'no-isnad',
+      'إنما الأعمال بالنيات',
+      'إنما الأعمال بالنيات'
+    ],
+    [
+      'name',
+      'حدثنا محمد بن بشار حدثنا شعبة عن أبي التياح عن أنس بن مالك الأنصاري يسروا ولا تعسروا',
+      'يسروا ولا تعسروا'
+    ],
+    [
+      'incomplete',
+      'حدثنا عبد الله بن يوسف أخبرنا مالك',
+      ''
+    ]
+  ])('splits at a %s cue', (cue, text, matn) => {
+    const segment = segmentHadith(text);
+
+    expect(segment.cue).toBe(cue);
+    expect(segment.confidence).toBe(CONFIDENCE[cue]);
+    expect(segment.matn).toBe(matn);
+    expect(segment.isnad).toBe(text.slice(0, text.length - matn.length).trim());
+  });
+
+  test('gives each cue its own confidence', () => {
+    expect(Object.keys(CONFIDENCE)).toHaveLength(7);
+    expect(new Set(Object.values(CONFIDENCE)).size).toBe(7);
+  });
+
+  test('reports where the matn starts in characters and words', () => {
+    const text = 'حدثني مالك عن نافع أن عبد الله بن عمر كان إذا صلى';
+
+    expect(segmentHadith(text)).toMatchObject({ matnOffset: 19, matnPosition: 4 });
+  });
+
+  test('reads vowelled texts', () => {
+    const segment = segmentHadith('حَدَّثَنَا الْحُمَيْدِيُّ قَالَ حَدَّثَنَا سُفْيَانُ قَالَ سَمِعْتُ رَسُولَ اللَّهِ صلى الله عليه وسلم يَقُولُ إِنَّمَا الأَعْمَالُ');
+
+    expect(segment.cue).toBe('prophetic-speech');
+    expect(segment.matn).toBe('إِنَّمَا الأَعْمَالُ');
+  });
+
+  test('follows a narrator introduced by أن', () => {
+    const segment = segmentHadith('حدثنا أبو اليمان أخبرنا شعيب عن الزهري أن أبا سلمة أخبره أن رسول الله صلى الله عليه وسلم قال الدين النصيحة');
+
+    expect(segment.cue).toBe('prophetic-speech');
+    expect(segment.matn).toBe('الدين النصيحة');
+  });
+
+  test('treats an empty text as all matn', () => {
+    expect(segmentHadith('')).toEqual({
+      isnad: '',
+      matn: '',
+      matnOffset: 0,
+      matnPosition: 0,
+      confidence: CONFIDENCE['no-isnad'],
+      cue: 'no-isnad'
+    });
+  });
+});
+
+describe('extractChain', () => {
+  const chain = text => extractChain(text, segmentHadith(text).matnPosition);
+
+  test('lists the narrators in chain order, leaving out the Prophet', () => {
+    expect(chain('حدثنا مسدد قال حدثنا يحيى عن شعبة عن قتادة عن أنس بن مالك عن النبي صلى الله عليه وسلم قال لا يؤمن أحدكم'))
+      .toEqual(['مسدد', 'يحيى', 'شعبة', 'قتادة', 'أنس بن مالك']);
+  });
+
+  test('keeps names as written', () => {
+    expect(chain('حَدَّثَنَا الْحُمَيْدِيُّ قَالَ حَدَّثَنَا سُفْيَانُ قَالَ سَمِعْتُ رَسُولَ اللَّهِ صلى الله عليه وسلم يَقُولُ إِنَّمَا الأَعْمَالُ'))
+      .toEqual(['الْحُمَيْدِيُّ', 'سُفْيَانُ']);
+  });
+
+  test('reads only the isnad', () => {
+    expect(chain('حدثنا يحيى بن يحيى قال قرأت على مالك عن نافع')).toEqual(['يحيى بن يحيى']);
+    expect(extractChain('حدثنا مسدد')).toEqual([]);
+  });
+});
@@ -0,0 +1,58 @@
+const { termSpans, findPhraseSpans, findProximitySpans } = require('../../server/search/matcher');
+
+describe('termSpans', () => {
+  test('covers each occurrence', () => {
+    expect(termSpans([2, 7])).toEqual([{ first: 2, last: 2 }, { first: 7, last: 7 }]);
+  });
+});
+
+describe('findPhraseSpans', () => {
+  test('finds runs of consecutive words in order', () => {
+    expect(findPhraseSpans([[1, 5, 9], [2, 10], [3, 11, 12]])).toEqual([
+      { first: 1, last: 3 },
+      { first: 9, last: 11 }
+    ]);
+  });
+
+  test('finds nothing when a word is out of order', () => {
+    expect(findPhraseSpans([[4], [3]])).toEqual([]);
+    expect(findPhraseSpans([])).toEqual([]);
+  });
+});
+
+describe('findProximitySpans', () => {
+  const near = distance => ({ distance, ordered: false });
+  const onear = distance => ({ distance, ordered: true });
+
+  test('matches operands within the distance in either order', () => {
+    expect(findProximitySpans([termSpans([5]), termSpans([2])], [near(3)])).toEqual([
+      [{ first: 5, last: 5 }],
+      [{ first: 2, last: 2 }]
+    ]);
+    expect(findProximitySpans([termSpans([5]), termSpans([1])], [near(3)])).toEqual([]);
+  });
+
+  test('requires the order with ONEAR', () => {
+    expect(findProximitySpans([termSpans([5]), termSpans([2])], [onear(3)])).toEqual([]);
+    expect(findProximitySpans([termSpans([2]), termSpans([5])], [onear(3)])).toHaveLength(2);
+  });
+
+  test('measures the distance from the end of a phrase', () => {
+    const phrase = [{ first: 3, last: 5 }];
+
+    expect(findProximitySpans([phrase, termSpans([7])], [onear(2)])).toEqual([phrase, [{ first: 7, last: 7 }]]);
+  });
+
+  test('never matches overlapping spans', () => {
+    expect(findProximitySpans([[{ first: 3, last: 5 }], termSpans([4])], [near(5)])).toEqual([]);
+  });
+
+  test('keeps only spans that belong to a complete chain', () => {
+    const result = findProximitySpans(
+      [termSpans([1, 20]), termSpans([3, 40]), termSpans([5])],
+      [near(2), near(2)]
+    );
+
+    expect(result).toEqual([[{ first: 1, last: 1 }], [{ first: 3, last: 3 }], [{ first: 5, last: 5 }]]);
+  });
+});
@@ -0,0 +1,92 @@
+const NarratorIndex = require('../../server/search/narrator-index');
+const { parseName } = require('../../server/search/narrator-index');
+
+describe('parseName', () => {
+  test('keys kunyas by their nominative form', () => {
+    expect(parseName('أبي هريرة')).toEqual({ name: 'أبي هريرة', key: 'ابو هريره' });
+  });
+
+  test('drops diacritics, relations, descriptors and trailing links', () => {
+    expect(parseName('مَالِكٍ')).toEqual({ name: 'مالك', key: 'مالك' });
+    expect(parseName('جده سفيان بن عبد الله')).toEqual({ name: 'سفيان بن عبد الله', key: 'سفيان بن عبد الله' });
+    expect(parseName('نافع مولى ابن عمر')).toEqual({ name: 'نافع', key: 'نافع' });
+    expect(parseName('سالم وعبد الله')).toEqual({ name: 'سالم', key: 'سالم' });
+    expect(parseName('أبو بكر بن')).toEqual({ name: 'أبو بكر', key: 'ابو بكر' });
+  });
+
+  test('keeps a descriptor naming a parent', () => {
+    expect(parseName('عبد الله بن أم مكتوم').key).toBe('عبد الله بن ام مكتوم');
+  });
+
+  test('leaves trailing nisbas out of the key unless they are the whole name', () => {
+    expect(parseName('أنس بن مالك الأنصاري')).toEqual({ name: 'أنس بن مالك الأنصاري', key: 'انس بن مالك' });
+    expect(parseName('الزهري')).toEqual({ name: 'الزهري', key: 'الزهري' });
+  });
+
+  test('returns null for unnamed narrators', () => {
+    expect(parseName('رجل')).toBeNull();
+    expect(parseName('ابن لعبد الله')).toBeNull();
+    expect(parseName('')).toBeNull();
+  });
+});
+
+describe('NarratorIndex', () => {
+  const collectionOf = docId => ({ collectionId: docId < 3 ? 'sahih_al_bukhari' : 'sahih_muslim', hadithId: String(docId) });
+
+  function buildIndex() {
+    const index = new NarratorIndex();
+    index.addDocument(0, ['مالك', 'نافع', 'ابن عمر']);
+    index.addDocument(1, ['مالك بن أنس', 'نافع', 'نافع']);
+    index.addDocument(2, ['جابرا', 'جابر']);
+    index.addDocument(3, ['أبي هريرة']);
+    index.addDocument(4, ['أبو هريرة', 'رجل']);
+    index.build(collectionOf);
+    return index;
+  }
+
+  test('merges spellings into narrators, most hadiths first', () => {
+    const index = buildIndex();
+
+    expect(index.narrators.map(narrator => [narrator.id, narrator.name, narrator.hadithCount])).toEqual([
+      [1, 'أبو هريرة', 2],
+      [2, 'مالك', 2],
+      [3, 'نافع', 2],
+      [4, 'ابن عمر', 1],
+      [5, 'جابر', 1]
+    ]);
+    expect(index.get(1).variants).toEqual([{ name: 'أبو هريرة', count: 1 }, { name: 'أبي هريرة', count: 1 }]);
+  });
+
+  test('joins a single-word name to the only full name starting with it', () => {
+    expect(buildIndex().get(2)).toMatchObject({
+      key: 'مالك بن انس',
+      variants: [{ name: 'مالك', count: 1 }, { name: 'مالك بن أنس', count: 1 }]
+    });
+  });
+
+  test('records chains, documents and collections', () => {
+    const index = buildIndex();
+
+    expect(index.chains).toEqual([[2, 3, 4], [2, 3], [5], [1], [1]]);
+    expect(index.get(3).documents).toEqual([0, 1]);
+    expect(index.get(1).collections).toEqual([{ collectionId: 'sahih_muslim', hadithCount: 2 }]);
+  });
+
+  test('finds narrators by part of any spelling', () => {
+    const index = buildIndex();
+
+    expect(index.find('هريره').map(narrator => narrator.id)).toEqual([1]);
+    expect(index.find('أنس').map(narrator => narrator.id)).toEqual([2]);
+    expect(index.find('')).toHaveLength(5);
+    expect(index.get(6)).toBeNull();
+  });
+
+  test('restores serialized narrators and chains', () => {
+    const index = buildIndex();
+    const restored = new NarratorIndex();
+    restored.restore(index.serialize());
+
+    expect(restored.narrators).toEqual(index.narrators);
+    expect(restored.chains).toEqual(index.chains);
+  });
+});
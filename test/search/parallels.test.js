@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ParallelIndex = require('../../server/search/parallels');
+const {
+  ParallelsError,
+  computeParallels,
+  findSimilarPairs
+} = require('../../server/search/parallels');
+const { unrelatedEntries } = require('../fixtures/hadith-data');
+
+const ENTRIES = [
+  { collectionId: 'sahih_al_bukhari', hadithId: '2', matn: 'لا يؤمن أحدكم حتى يحب لأخيه ما يحب لنفسه من الخير' },
+  { collectionId: 'sahih_muslim', hadithId: '1', matn: 'لا يؤمن أحدكم حتى يحب لأخيه أو قال لجاره ما يحب لنفسه' },
+  { collectionId: 'sahih_muslim', hadithId: '3', matn: 'صلاة الجماعة تفضل صلاة الفذ بسبع وعشرين درجة' },
+  { collectionId: 'sahih_al_bukhari', hadithId: '5', matn: 'المسلم من سلم المسلمون من لسانه ويده' },
+  { collectionId: 'sahih_al_bukhari', hadithId: '6', matn: 'مثله' },
+  { collectionId: 'sahih_al_bukhari', hadithId: '7', matn: 'صلاة الجماعة أفضل من صلاة الفذ بخمس وعشرين درجة' }
+];
+
+describe('computeParallels', () => {
+  test('pairs similar matns of different collections with their similarity', () => {
+    expect(computeParallels(ENTRIES)).toEqual([[0, 1, 0.5]]);
+  });
+
+  test('leaves out pairs below the lowest similarity', () => {
+    expect(computeParallels(ENTRIES, { minSimilarity: 0.6 })).toEqual([]);
+  });
+
+  test('leaves out pairs within a collection', () => {
+    const entries = [
+      ...ENTRIES,
+      { collectionId: 'sahih_al_bukhari', hadithId: '3', matn: ENTRIES[0].matn },
+      ...unrelatedEntries(300)
+    ];
+
+    expect(computeParallels(entries)).toEqual([[0, 1, 0.5], [1, 6, 0.5]]);
+    expect(findSimilarPairs(entries)).toEqual([[0, 6, 1], [0, 1, 0.5], [1, 6, 0.5]]);
+  });
+
+  test('ignores shingles found in too many hadiths', () => {
+    const entries = [
+      ...ENTRIES,
+      { collectionId: 'sunan_abu_dawud', hadithId: '1', matn: ENTRIES[0].matn }
+    ];
+
+    // The words Muslim 1 shares with both are in three of seven hadiths
+    expect(computeParallels(entries)).toEqual([[0, 6, 1]]);
+  });
+});
+
+describe('ParallelIndex', () => {
+  const DATA = {
+    version: 2,
+    hadiths: ['sahih_al_bukhari/2', 'sahih_muslim/1', 'sunan_abu_dawud/10'],
+    pairs: [[0, 1, 0.5], [0, 2, 0.9]],
+    clusters: [{ collectionId: 'sahih_al_bukhari', hadithIds: ['2', '3'] }]
+  };
+
+  test('lists the parallels of each hadith, most similar first', () => {
+    const index = new ParallelIndex(DATA);
+
+    expect(index.find('sahih_al_bukhari', '2')).toEqual([
+      { collectionId: 'sunan_abu_dawud', hadithId: '10', similarity: 0.9 },
+      { collectionId: 'sahih_muslim', hadithId: '1', similarity: 0.5 }
+    ]);
+    expect(index.find('sahih_muslim', '1')).toEqual([{ collectionId: 'sahih_al_bukhari', hadithId: '2', similarity: 0.5 }]);
+    expect(index.find('sahih_al_bukhari', '2', 0.6)).toHaveLength(1);
+    expect(index.find('sahih_al_bukhari', '9')).toEqual([]);
+    expect(index.clusters).toEqual(DATA.clusters);
+  });
+
+  describe('load', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'parallels-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('reads a parallels file', async () => {
+      const filePath = path.join(directory, 'parallels.json');
+      fs.writeFileSync(filePath, JSON.stringify(DATA));
+
+      const index = await ParallelIndex.load(filePath);
+      expect(index.version).toBe(2);
+      expect(index.find('sahih_muslim', '1')).toHaveLength(1);
+    });
+
+    test('returns null for a missing file', async () => {
+      expect(await ParallelIndex.load(path.join(directory, 'missing.json'))).toBeNull();
+    });
+
+    test('rejects malformed files', async () => {
+      const filePath = path.join(directory, 'parallels.json');
+      fs.writeFileSync(filePath, '{"hadiths":[]}');
+      await expect(ParallelIndex.load(filePath))
+        .rejects.toThrow(new ParallelsError('Parallels file must have "hadiths" and "pairs" arrays'));
+
+      fs.writeFileSync(filePath, '{');
+      await expect(ParallelIndex.load(filePath)).rejects.toThrow(/^Cannot read parallels file: /);
+    });
+  });
+});
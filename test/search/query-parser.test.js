@@ -0,0 +1,121 @@
+const { tokenize } = require('../../server/search/tokenizer');
+const {
+  QuerySyntaxError,
+  parseQuery,
+  collectLeaves,
+  leafTerms,
+  formatNode
+} = require('../../server/search/query-parser');
+
+const analyze = text => tokenize(text).map(token => token.term);
+const parse = (input, options = {}) => parseQuery(input, { analyze, ...options });
+const format = (input, options) => formatNode(parse(input, options));
+
+/**
+ * The syntax error thrown for a query
+ */
+function syntaxError(input) {
+  try {
+    parse(input);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected "${input}" to be rejected`);
+}
+
+describe('parseQuery', () => {
+  test('parses a single word into a term node', () => {
+    expect(parse('صلاة')).toEqual({ type: 'term', term: 'صلاة', position: 0 });
+  });
+
+  test('makes plain words optional by default and required with op=and', () => {
+    expect(parse('صلاة الفذ').clauses.map(clause => clause.occur)).toEqual(['should', 'should']);
+    expect(parse('صلاة الفذ', { defaultOperator: 'and' }).clauses.map(clause => clause.occur)).toEqual(['must', 'must']);
+  });
+
+  test('marks required and excluded terms', () => {
+    expect(format('+صلاة -الفذ الجماعة')).toBe('(+صلاة -الفذ الجماعة)');
+  });
+
+  test('binds OR tighter than the sequence of clauses', () => {
+    expect(format('صلاة الجماعة OR الفذ')).toBe('(صلاة الجماعة OR الفذ)');
+    expect(parse('صلاة الجماعة OR الفذ').clauses[1].node.type).toBe('or');
+  });
+
+  test('applies + and - to a whole OR', () => {
+    const tree = parse('صلاة -الجماعة OR الفذ');
+
+    expect(tree.clauses[1]).toMatchObject({ occur: 'not', node: { type: 'or' } });
+  });
+
+  test('groups with parentheses', () => {
+    expect(parse('(صلاة OR هجرة) -الفذ').clauses).toMatchObject([
+      { occur: 'should', node: { type: 'or' } },
+      { occur: 'not', node: { type: 'term', term: 'الفذ' } }
+    ]);
+    expect(format('صلاة OR (هجرة الفذ)')).toBe('صلاة OR (هجرة الفذ)');
+  });
+
+  test('parses quoted text as a phrase', () => {
+    expect(parse('"لا يؤمن أحدكم"')).toEqual({ type: 'phrase', terms: ['لا', 'يؤمن', 'أحدكم'], position: 0 });
+  });
+
+  test('turns a word the analyzer splits into a phrase', () => {
+    expect(parse('صلى-الله')).toMatchObject({ type: 'phrase', terms: ['صلى', 'الله'] });
+  });
+
+  test('parses NEAR and ONEAR chains', () => {
+    expect(parse('صلاة NEAR/3 الفذ ONEAR/2 "بسبع وعشرين"')).toEqual({
+      type: 'near',
+      operands: [
+        { type: 'term', term: 'صلاة', position: 0 },
+        { type: 'term', term: 'الفذ', position: 12 },
+        { type: 'phrase', terms: ['بسبع', 'وعشرين'], position: 25 }
+      ],
+      constraints: [{ distance: 3, ordered: false }, { distance: 2, ordered: true }],
+      position: 0
+    });
+  });
+
+  test('binds NEAR tighter than OR', () => {
+    expect(format('صلاة NEAR/3 الفذ OR درجة')).toBe('صلاة NEAR/3 الفذ OR درجة');
+    expect(parse('صلاة NEAR/3 الفذ OR درجة')).toMatchObject({ type: 'or', children: [{ type: 'near' }, { type: 'term' }] });
+  });
+
+  test('drops words without searchable characters', () => {
+    expect(parse('صلاة ، الفذ')).toMatchObject({ type: 'group', clauses: [{}, {}] });
+  });
+});
+
+describe('parseQuery errors', () => {
+  test.each([
+    ['"لا يؤمن', 'Unterminated phrase', 0],
+    ['صلاة (الفذ', 'Missing closing parenthesis for group', 5],
+    ['صلاة )', "Unexpected ')'", 5],
+    ['صلاة (', 'Expected a search term', 6],
+    ['صلاة OR', 'Expected a search term after OR', 5],
+    ['صلاة +', "Expected a search term after '+'", 5],
+    ['-صلاة -الفذ', 'A query needs at least one term that is not excluded', 0],
+    ['""', 'Empty phrase', 0],
+    ['صلاة NEAR الفذ', 'NEAR needs a distance between 1 and 100, e.g. NEAR/5', 5],
+    ['صلاة ONEAR/101 الفذ', 'ONEAR needs a distance between 1 and 100, e.g. ONEAR/5', 5],
+    ['صلاة NEAR/2', 'Expected a search term after NEAR/2', 5],
+    ['صلاة NEAR/2 (الفذ OR درجة)', 'NEAR/2 only accepts terms and phrases', 5],
+    ['', 'Expected a search term', 0]
+  ])('rejects %j with "%s" at position %i', (input, message, position) => {
+    const error = syntaxError(input);
+
+    expect(error).toBeInstanceOf(QuerySyntaxError);
+    expect(error.message).toBe(`${message} at position ${position}`);
+    expect(error.position).toBe(position);
+    expect(error.statusCode).toBe(400);
+  });
+});
+
+describe('collectLeaves', () => {
+  test('collects the terms that can match, leaving out excluded clauses', () => {
+    const leaves = collectLeaves(parse('صلاة OR "الفذ بسبع" -الجماعة'));
+
+    expect(leaves.flatMap(leafTerms)).toEqual(['صلاة', 'الفذ', 'بسبع']);
+  });
+});
@@ -0,0 +1,119 @@
+const {
+  RegexSearchError,
+  RegexSearcher,
+  compilePattern,
+  MAX_PATTERN_LENGTH
+} = require('../../server/search/regex-search');
+const { normalizeWithOffsets } = require('../../server/search/arabic-normalizer');
+
+describe('compilePattern', () => {
+  const matches = (pattern, text, options) => new RegExp(compilePattern(pattern, options), 'u').test(text);
+
+  test('returns the source of a valid pattern', () => {
+    expect(compilePattern('حدث[نت]ا')).toBe('حدث[نت]ا');
+  });
+
+  test.each([
+    ['', 'Pattern cannot be empty'],
+    ['ا'.repeat(MAX_PATTERN_LENGTH + 1), `Pattern is longer than ${MAX_PATTERN_LENGTH} characters`],
+    ['(قال) \\1', 'Backreferences are not supported'],
+    ['(?<q>قال)\\k<q>', 'Backreferences are not supported'],
+    ['(ا+)+', 'Nested quantifiers such as (a+)+ are not allowed'],
+    ['(\\p{L}*ب){2,}', 'Nested quantifiers such as (a+)+ are not allowed'],
+    ['((ا+))*', 'Nested quantifiers such as (a+)+ are not allowed'],
+    ['((ا+)ب)+', 'Nested quantifiers such as (a+)+ are not allowed'],
+    ['ا*', 'Pattern matches the empty string'],
+    ['[', 'Invalid regular expression: /[/u: Unterminated character class']
+  ])('rejects %j', (pattern, message) => {
+    expect(() => compilePattern(pattern)).toThrow(new RegexSearchError(message));
+  });
+
+  test('allows quantified groups without unbounded quantifiers inside', () => {
+    expect(() => compilePattern('(ال)?صلاة')).not.toThrow();
+    expect(() => compilePattern('(ا+)?ب')).not.toThrow();
+    expect(() => compilePattern('[(+]+قال')).not.toThrow();
+  });
+
+  test('limits the number of quantifiers', () => {
+    expect(() => compilePattern('ا+'.repeat(21))).toThrow('Pattern has more than 20 quantifiers');
+  });
+
+  test('treats Arabic letters and diacritics as word characters in \\b', () => {
+    expect(matches('\\bحب\\b', 'قال حب الله')).toBe(true);
+    expect(matches('\\bحب\\b', 'قال يحب الله')).toBe(false);
+    expect(matches('\\bحب\\b', 'قال حبُّ الله')).toBe(false);
+  });
+
+  test('treats Arabic letters as word characters in \\B', () => {
+    expect(matches('\\Bحب', 'قال يحب')).toBe(true);
+    expect(matches('\\Bحب', 'قال حب')).toBe(false);
+  });
+
+  test('leaves \\b inside character classes and escaped backslashes alone', () => {
+    expect(compilePattern('[\\b]ا')).toBe('[\\b]ا');
+    expect(compilePattern('\\\\b')).toBe('\\\\b');
+  });
+
+  test('only matches whole words with wholeWords', () => {
+    expect(matches('حب', 'قال يحب', { wholeWords: true })).toBe(false);
+    expect(matches('حب', 'قال حب', { wholeWords: true })).toBe(true);
+  });
+});
+
+describe('normalizeWithOffsets', () => {
+  test('maps each normalized character to its original index', () => {
+    expect(normalizeWithOffsets('أَنَسٌ')).toEqual({ text: 'انس', offsets: [0, 2, 4] });
+  });
+});
+
+describe('RegexSearcher', () => {
+  const texts = ['حَدَّثَنَا مَالِكٌ عن نافع', 'قال مالك', 'ا'.repeat(40) + 'ج'];
+  let searcher;
+
+  beforeEach(() => {
+    searcher = new RegexSearcher(texts);
+  });
+
+  afterEach(() => {
+    searcher.reset();
+  });
+
+  test('matches the raw text', async () => {
+    expect(await searcher.search('مالك', { textMode: 'raw' })).toEqual([{ docId: 1, matches: [[4, 8]] }]);
+  });
+
+  test('matches the normalized text, which it only prepares when asked for', async () => {
+    await searcher.search('مالك', { textMode: 'raw' });
+    expect(searcher.normalized).toBeNull();
+
+    expect(await searcher.search('مالك', { textMode: 'normalized' })).toEqual([
+      { docId: 0, matches: [[6, 10]] },
+      { docId: 1, matches: [[4, 8]] }
+    ]);
+    expect(searcher.normalized).not.toBeNull();
+  });
+
+  test('matches the normalized text at the offsets normalizeWithOffsets maps back', async () => {
+    const text = 'cafe\u0301 عن مالك';
+    const combining = new RegexSearcher([text]);
+    const { offsets } = normalizeWithOffsets(text);
+
+    try {
+      const [{ matches: [[start, end]] }] = await combining.search('مالك', { textMode: 'normalized' });
+      expect(text.slice(offsets[start], offsets[end - 1] + 1)).toBe('مالك');
+    } finally {
+      combining.reset();
+    }
+  });
+
+  test('searches only the given documents', async () => {
+    expect(await searcher.search('مالك', { docIds: [0] })).toEqual([{ docId: 0, matches: [[6, 10]] }]);
+  });
+
+  test('stops a search over its time budget and recovers', async () => {
+    await expect(searcher.search('(?:ا|ا)*ب', { textMode: 'raw', timeBudget: 200 }))
+      .rejects.toThrow('Pattern exceeded the time budget of 200 ms');
+
+    expect(await searcher.search('نافع', { textMode: 'raw' })).toEqual([{ docId: 0, matches: [[22, 26]] }]);
+  });
+});
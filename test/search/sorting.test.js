@@ -0,0 +1,82 @@
+const {
+  SEARCH_SORT_FIELDS,
+  LISTING_SORT_FIELDS,
+  SortError,
+  parseSort,
+  compileSort
+} = require('../../server/search/sorting');
+
+function entry(id, options = {}) {
+  const { relevanceScore = 0, collectionIndex = 0, fileIndex = 0, textLength = 100 } = options;
+  return { relevanceScore, document: { collectionIndex, fileIndex, hadith: { id, textLength } } };
+}
+
+describe('parseSort', () => {
+  test('uses each field\'s default direction', () => {
+    expect(parseSort('relevance', SEARCH_SORT_FIELDS)).toEqual([{ field: 'relevance', direction: 'desc' }]);
+    expect(parseSort('collection, id', SEARCH_SORT_FIELDS)).toEqual([
+      { field: 'collection', direction: 'asc' },
+      { field: 'id', direction: 'asc' }
+    ]);
+  });
+
+  test('reads explicit directions', () => {
+    expect(parseSort('length:desc,id:asc', LISTING_SORT_FIELDS)).toEqual([
+      { field: 'length', direction: 'desc' },
+      { field: 'id', direction: 'asc' }
+    ]);
+  });
+
+  test('returns no keys for an empty specification', () => {
+    expect(parseSort(' , ', SEARCH_SORT_FIELDS)).toEqual([]);
+  });
+
+  test.each([
+    ['relevance', LISTING_SORT_FIELDS, "Unknown sort field 'relevance'. Available fields: id, length, fileType"],
+    ['length:up', SEARCH_SORT_FIELDS, "Invalid sort direction in 'length:up'. Use length:asc or length:desc"],
+    ['id:asc:desc', SEARCH_SORT_FIELDS, "Invalid sort direction in 'id:asc:desc'. Use id:asc or id:desc"],
+    ['id,length,id:desc', SEARCH_SORT_FIELDS, "Sort field 'id' is given more than once"]
+  ])('rejects %j', (spec, allowed, message) => {
+    let error;
+    try {
+      parseSort(spec, allowed);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(SortError);
+    expect(error.message).toBe(message);
+    expect(error.statusCode).toBe(400);
+  });
+});
+
+describe('compileSort', () => {
+  const ids = (entries, spec, tieBreaker) =>
+    [...entries].sort(compileSort(parseSort(spec, SEARCH_SORT_FIELDS), tieBreaker)).map(item => item.document.hadith.id);
+
+  test('compares hadith ids numerically', () => {
+    expect(ids([entry('10'), entry('9'), entry('100'), entry('9a')], 'id')).toEqual(['9', '9a', '10', '100']);
+  });
+
+  test('applies keys in order', () => {
+    const entries = [
+      entry('1', { collectionIndex: 1, textLength: 50 }),
+      entry('2', { collectionIndex: 0, textLength: 50 }),
+      entry('3', { collectionIndex: 0, textLength: 80 })
+    ];
+
+    expect(ids(entries, 'collection,length:desc')).toEqual(['3', '2', '1']);
+    expect(ids(entries, 'length,collection:desc')).toEqual(['1', '2', '3']);
+  });
+
+  test('sorts by relevance, highest first', () => {
+    expect(ids([entry('1', { relevanceScore: 1 }), entry('2', { relevanceScore: 3 })], 'relevance')).toEqual(['2', '1']);
+  });
+
+  test('falls back to the tie breaker', () => {
+    const byIdDesc = (a, b) => Number(b.document.hadith.id) - Number(a.document.hadith.id);
+
+    expect(ids([entry('1'), entry('2')], 'fileType', byIdDesc)).toEqual(['2', '1']);
+    expect(ids([entry('1'), entry('2')], 'fileType')).toEqual(['1', '2']);
+  });
+});
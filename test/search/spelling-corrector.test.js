@@ -0,0 +1,54 @@
+const SpellingCorrector = require('../../server/search/spelling-corrector');
+const { weightedDistance } = SpellingCorrector;
+
+describe('weightedDistance', () => {
+  test('is zero for the same word', () => {
+    expect(weightedDistance('نافع', 'نافع')).toBe(0);
+  });
+
+  test('charges half an edit for letters that differ only by dots', () => {
+    expect(weightedDistance('نافغ', 'نافع')).toBe(0.5);
+    expect(weightedDistance('بيت', 'بيث')).toBe(0.5);
+    expect(weightedDistance('قتاده', 'قتادة')).toBe(0.5);
+  });
+
+  test('charges a quarter edit for hamza forms and seats', () => {
+    expect(weightedDistance('امن', 'أمن')).toBe(0.25);
+    expect(weightedDistance('سئل', 'سيل')).toBe(0.25);
+  });
+
+  test('charges half an edit for a missing lone hamza', () => {
+    expect(weightedDistance('سال', 'سءال')).toBe(0.5);
+  });
+
+  test('charges one edit for other substitutions, insertions and transpositions', () => {
+    expect(weightedDistance('قال', 'مال')).toBe(1);
+    expect(weightedDistance('كتب', 'كتاب')).toBe(1);
+    expect(weightedDistance('حدثان', 'حدثنا')).toBe(1);
+  });
+
+  test('stops once the distance exceeds the maximum', () => {
+    expect(weightedDistance('قال', 'سيف', 1)).toBe(Infinity);
+  });
+});
+
+describe('SpellingCorrector', () => {
+  const corrector = new SpellingCorrector([['قتادة', 5], ['قتاده', 1], ['قتيبة', 2], ['نافع', 4]]);
+
+  test('lists close words, closest and then most frequent first', () => {
+    expect(corrector.candidates('قتادع')).toEqual([
+      { word: 'قتادة', frequency: 5, distance: 1 },
+      { word: 'قتاده', frequency: 1, distance: 1 }
+    ]);
+  });
+
+  test('leaves out the word itself unless asked for it', () => {
+    expect(corrector.candidates('قتاده').map(candidate => candidate.word)).toEqual(['قتادة']);
+    expect(corrector.candidates('قتاده', { includeSelf: true }).map(candidate => candidate.word)).toEqual(['قتاده', 'قتادة']);
+  });
+
+  test('allows a single edit for short words', () => {
+    expect(corrector.candidates('ناف')).toEqual([{ word: 'نافع', frequency: 4, distance: 1 }]);
+    expect(corrector.candidates('نا')).toEqual([]);
+  });
+});
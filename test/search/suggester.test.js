@@ -0,0 +1,80 @@
+const Suggester = require('../../server/search/suggester');
+const SuggestionTrie = require('../../server/search/suggestion-trie');
+
+describe('SuggestionTrie', () => {
+  function buildTrie(entries) {
+    const trie = new SuggestionTrie();
+    entries.forEach(([key, count]) => trie.insert({ key, count, type: 'word' }));
+    trie.finalize();
+    return trie;
+  }
+
+  test('returns the entries under a prefix, most frequent first', () => {
+    const trie = buildTrie([['حدثنا', 5], ['حدث', 9], ['حديث', 2], ['قال', 20]]);
+
+    expect(trie.search('حد').map(entry => entry.key)).toEqual(['حدث', 'حدثنا', 'حديث']);
+    expect(trie.search('حدث').map(entry => entry.key)).toEqual(['حدث', 'حدثنا']);
+    expect(trie.search('س')).toEqual([]);
+  });
+
+  test('breaks ties by key and applies the limit', () => {
+    const trie = buildTrie([['بب', 1], ['با', 1], ['بت', 3]]);
+
+    expect(trie.search('ب', 2).map(entry => entry.key)).toEqual(['بت', 'با']);
+  });
+
+  test('serves cached top lists for large subtrees', () => {
+    const entries = Array.from({ length: 600 }, (_, i) => [`ك${i}`, i]);
+    const trie = buildTrie(entries);
+
+    expect(trie.search('ك', 3).map(entry => entry.count)).toEqual([599, 598, 597]);
+    expect(trie.search('ك59', 2).map(entry => entry.key)).toEqual(['ك599', 'ك598']);
+  });
+});
+
+describe('Suggester', () => {
+  function buildSuggester(collections) {
+    const suggester = new Suggester(term => term);
+    for (const [collectionId, documents] of Object.entries(collections)) {
+      suggester.beginCollection(collectionId);
+      documents.forEach(document => suggester.addDocument(document.split(' ')));
+      suggester.endCollection();
+    }
+    suggester.build();
+    return suggester;
+  }
+
+  const repeat = (text, count) => Array.from({ length: count }, () => text);
+
+  test('suggests words found in at least two hadiths of a collection', () => {
+    const suggester = buildSuggester({ a: ['قال مالك', 'قال نافع', 'قرأت'] });
+
+    expect(suggester.suggest('ق')).toEqual([{ key: 'قال', count: 2, type: 'word' }]);
+  });
+
+  test('suggests phrases found in at least five hadiths', () => {
+    const suggester = buildSuggester({ a: [...repeat('قال رسول الله', 5), ...repeat('قال رسول', 1)] });
+
+    expect(suggester.suggest('قال ر')).toEqual([
+      { key: 'قال رسول', count: 6, type: 'phrase' },
+      { key: 'قال رسول الله', count: 5, type: 'phrase' }
+    ]);
+  });
+
+  test('adds up counts over collections and keeps them apart per collection', () => {
+    const suggester = buildSuggester({ a: repeat('نافع', 2), b: repeat('نافع', 3) });
+
+    expect(suggester.suggest('ن')).toEqual([{ key: 'نافع', count: 5, type: 'word' }]);
+    expect(suggester.suggest('ن', { collectionId: 'b' })).toEqual([{ key: 'نافع', count: 3, type: 'word' }]);
+    expect(suggester.suggest('ن', { collectionId: 'c' })).toEqual([]);
+  });
+
+  test('restores serialized suggestions', () => {
+    const suggester = buildSuggester({ a: repeat('قال رسول الله', 5), b: repeat('نافع', 2) });
+    const restored = new Suggester(term => term);
+    restored.restore(suggester.serialize());
+
+    expect(restored.suggest('قال')).toEqual(suggester.suggest('قال'));
+    expect(restored.suggest('ن', { collectionId: 'b' })).toEqual(suggester.suggest('ن', { collectionId: 'b' }));
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SynonymDictionary = require('../../server/search/synonyms');
+const { SynonymError } = require('../../server/search/synonyms');
+
+const GROUPS = [
+  { name: 'prophet', terms: ['النبي', 'رسول الله', 'صلعم'] },
+  { name: 'prayer', terms: ['الصلاة', 'الصلوة'] },
+  { name: 'salutation', terms: ['صلعم', 'ﷺ'] }
+];
+
+describe('SynonymDictionary', () => {
+  const dictionary = new SynonymDictionary(GROUPS);
+  const forms = words => dictionary.alternatives(words).map(alternative => alternative.form);
+
+  test('lists the other forms of a word or phrase', () => {
+    expect(forms(['النبي'])).toEqual(['رسول الله', 'صلعم']);
+    expect(dictionary.alternatives(['رسول', 'الله'])).toEqual([
+      { form: 'النبي', words: ['النبي'] },
+      { form: 'صلعم', words: ['صلعم'] }
+    ]);
+  });
+
+  test('compares forms after loose normalization', () => {
+    expect(forms(['الصلاه'])).toEqual(['الصلوة']);
+    expect(forms(['رسول', 'اللّه'])).toEqual(['النبي', 'صلعم']);
+  });
+
+  test('merges the groups a form belongs to', () => {
+    expect(forms(['صلعم'])).toEqual(['النبي', 'رسول الله', 'ﷺ']);
+  });
+
+  test('returns nothing for unknown words', () => {
+    expect(forms(['قال'])).toEqual([]);
+    expect(forms(['رسول'])).toEqual([]);
+  });
+
+  test('counts distinct forms', () => {
+    expect(dictionary.size).toBe(6);
+    expect(new SynonymDictionary().size).toBe(0);
+  });
+});
+
+describe('SynonymDictionary.load', () => {
+  let directory;
+
+  const write = (contents) => {
+    const filePath = path.join(directory, 'synonyms.json');
+    fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'synonyms-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('reads the groups of a synonym file', async () => {
+    const dictionary = await SynonymDictionary.load(write({ groups: GROUPS }));
+
+    expect(dictionary.groups).toEqual(GROUPS);
+  });
+
+  test.each([
+    [[], 'Synonym file must be an object with a "groups" array'],
+    [{ groups: [{ name: 'prophet' }] }, "Synonym group 'prophet' needs a \"terms\" array"],
+    [{ groups: [{ terms: ['النبي', '...'] }] }, 'Synonym group #1 contains a term without words'],
+    [{ groups: [{ name: 'prophet', terms: ['النبي'] }] }, "Synonym group 'prophet' needs at least two terms"]
+  ])('rejects %j', async (contents, message) => {
+    await expect(SynonymDictionary.load(write(contents))).rejects.toThrow(new SynonymError(message));
+  });
+
+  test('rejects missing and malformed files', async () => {
+    const missing = path.join(directory, 'missing.json');
+
+    await expect(SynonymDictionary.load(missing)).rejects.toThrow(`Synonym file not found: ${missing}`);
+    await expect(SynonymDictionary.load(write('{'))).rejects.toThrow(/^Cannot read synonym file: /);
+  });
+});
@@ -0,0 +1,24 @@
+const { tokenize } = require('../../server/search/tokenizer');
+
+describe('tokenize', () => {
+  test('splits words and records their positions and offsets', () => {
+    expect(tokenize('قال: حدثنا مالك')).toEqual([
+      { term: 'قال', position: 0, start: 0, end: 3 },
+      { term: 'حدثنا', position: 1, start: 5, end: 10 },
+      { term: 'مالك', position: 2, start: 11, end: 15 }
+    ]);
+  });
+
+  test('keeps diacritics inside words', () => {
+    expect(tokenize('حَدَّثَنَا مَالِكٌ').map(token => token.term)).toEqual(['حَدَّثَنَا', 'مَالِكٌ']);
+  });
+
+  test('treats directional marks and punctuation as separators', () => {
+    expect(tokenize('‏عن‏ نافع، 12').map(token => token.term)).toEqual(['عن', 'نافع', '12']);
+  });
+
+  test('returns no tokens for empty text', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+const Transliterator = require('../../server/search/transliterator');
+const { isTransliteration, prepareQuery } = require('../../server/search/transliterator');
+
+const VOCABULARY = [
+  ['صلاه', 10],
+  ['الصلاه', 20],
+  ['عمر', 7],
+  ['انس', 4],
+  ['مالك', 9],
+  ['قران', 3],
+  ['القران', 2],
+  ['الشمس', 1],
+  ['حديث', 3]
+];
+
+describe('isTransliteration', () => {
+  test('accepts Latin words, including chat Arabic and ALA-LC letters', () => {
+    expect(isTransliteration('salah')).toBe(true);
+    expect(isTransliteration('3umar')).toBe(true);
+    expect(isTransliteration('ṣalāh')).toBe(true);
+  });
+
+  test('rejects Arabic, mixed and digit-only terms', () => {
+    expect(isTransliteration('صلاة')).toBe(false);
+    expect(isTransliteration('salaهh')).toBe(false);
+    expect(isTransliteration('123')).toBe(false);
+  });
+});
+
+describe('prepareQuery', () => {
+  test('drops hyphens and turns apostrophes into ʾ and ʿ', () => {
+    expect(prepareQuery("qur'an al-salah sa‘d 3'ali")).toBe('qurʾan alsalah saʿd 3ʾali');
+  });
+
+  test('keeps hyphens and apostrophes outside words', () => {
+    expect(prepareQuery("salah - 'umar")).toBe("salah - 'umar");
+  });
+});
+
+describe('Transliterator', () => {
+  const transliterator = new Transliterator(VOCABULARY);
+  const words = word => transliterator.candidates(prepareQuery(word)).map(candidate => candidate.word);
+
+  test('finds vocabulary prefixes', () => {
+    expect(transliterator.hasPrefix('صل')).toBe(true);
+    expect(transliterator.hasPrefix('صز')).toBe(false);
+    expect(transliterator.hasPrefix('')).toBe(true);
+  });
+
+  test('transliterates simplified spellings', () => {
+    expect(words('anas')).toEqual(['انس']);
+    expect(words('malik')).toEqual(['مالك']);
+    expect(words('hadith')).toEqual(['حديث']);
+  });
+
+  test('transliterates chat Arabic and ALA-LC spellings', () => {
+    expect(words('3umar')).toEqual(['عمر']);
+    expect(transliterator.candidates('ṣalāh')[0]).toEqual({ word: 'صلاه', frequency: 10, cost: 0 });
+  });
+
+  test('adds the article the query left out at a cost', () => {
+    expect(transliterator.candidates('salah')).toEqual([
+      { word: 'صلاه', frequency: 10, cost: 1 },
+      { word: 'الصلاه', frequency: 20, cost: 2 }
+    ]);
+  });
+
+  test('reads assimilated articles', () => {
+    expect(words('as-salah')).toEqual(['الصلاه']);
+    expect(words('ash-shams')).toEqual(['الشمس']);
+  });
+
+  test('reads apostrophes as hamza', () => {
+    expect(words("qur'an")).toEqual(['قران', 'القران']);
+  });
+
+  test('limits the candidates', () => {
+    expect(transliterator.candidates('salah', { limit: 1 })).toHaveLength(1);
+  });
+
+  test('returns nothing for words outside the vocabulary', () => {
+    expect(transliterator.candidates('xyz')).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+const TransmissionGraph = require('../../server/search/transmission-graph');
+const { toGraphML } = require('../../server/search/transmission-graph');
+
+// Chains name the student first: 4 heard from 3, who heard from 2, ...
+const CHAINS = [
+  [4, 3, 2, 1],
+  [4, 3, 2, 1], // The same hadith in another file type
+  [5, 3, 2, 1],
+  [6, 6, 1]
+];
+const HADITH_KEYS = ['bukhari-1', 'bukhari-1', 'bukhari-2', 'muslim-1'];
+
+function buildGraph() {
+  const graph = new TransmissionGraph();
+  graph.build(CHAINS, docId => HADITH_KEYS[docId]);
+  return graph;
+}
+
+describe('TransmissionGraph', () => {
+  test('links teachers to students, counting each hadith once', () => {
+    const graph = buildGraph();
+
+    expect(graph.getStudents(3)).toEqual([{ id: 4, weight: 1 }, { id: 5, weight: 1 }]);
+    expect(graph.getStudents(2)).toEqual([{ id: 3, weight: 2 }]);
+    expect(graph.getTeachers(3)).toEqual([{ id: 2, weight: 2 }]);
+    expect(graph.getTeachers(1)).toEqual([]);
+    expect(graph.edgeCount).toBe(5);
+  });
+
+  test('skips a narrator named twice in a row', () => {
+    expect(buildGraph().getTeachers(6)).toEqual([{ id: 1, weight: 1 }]);
+  });
+
+  test('weighs edges in either direction', () => {
+    const graph = buildGraph();
+
+    expect(graph.getWeight(2, 3)).toBe(2);
+    expect(graph.getWeight(3, 2)).toBe(2);
+    expect(graph.getWeight(4, 5)).toBe(0);
+  });
+
+  test('finds the shortest path from teacher to student', () => {
+    const graph = buildGraph();
+
+    expect(graph.findPath(1, 4)).toEqual([1, 2, 3, 4]);
+    expect(graph.findPath(1, 6)).toEqual([1, 6]);
+    expect(graph.findPath(3, 3)).toEqual([3]);
+    expect(graph.findPath(4, 1)).toBeNull();
+  });
+
+  test('follows edges backwards when undirected', () => {
+    const graph = buildGraph();
+
+    expect(graph.findPath(4, 5, { directed: false })).toEqual([4, 3, 5]);
+    expect(graph.findPath(4, 6, { directed: false })).toEqual([4, 3, 2, 1, 6]);
+  });
+
+  test('lists edges above a weight', () => {
+    const graph = buildGraph();
+
+    expect(graph.getEdges()).toHaveLength(5);
+    expect(graph.getEdges(2)).toEqual([
+      { source: 1, target: 2, weight: 2 },
+      { source: 2, target: 3, weight: 2 }
+    ]);
+  });
+});
+
+describe('toGraphML', () => {
+  test('writes nodes and weighted edges, escaping names', () => {
+    const xml = toGraphML({
+      nodes: [{ id: 1, name: 'أنس <بن> مالك & "آخرون"', hadithCount: 5 }, { id: 2, name: 'قتادة', hadithCount: 3 }],
+      edges: [{ source: 1, target: 2, weight: 3 }]
+    });
+
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<graphml xmlns="http://graphml.graphdrawing.org/xmlns">')).toBe(true);
+    expect(xml).toContain('<graph id="transmission" edgedefault="directed">');
+    expect(xml).toContain('<node id="n1">\n      <data key="name">أنس &lt;بن&gt; مالك &amp; &quot;آخرون&quot;</data>\n      <data key="hadithCount">5</data>');
+    expect(xml).toContain('<edge id="e0" source="n1" target="n2">\n      <data key="weight">3</data>\n    </edge>');
+    expect(xml.endsWith('  </graph>\n</graphml>\n')).toBe(true);
+  });
+});
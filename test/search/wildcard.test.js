@@ -0,0 +1,46 @@
+const { isWildcard, isValidWildcard, compileWildcard } = require('../../server/search/wildcard');
+
+describe('isWildcard', () => {
+  test('detects * and ?', () => {
+    expect(isWildcard('حدث*')).toBe(true);
+    expect(isWildcard('ح?ث')).toBe(true);
+    expect(isWildcard('حدث')).toBe(false);
+  });
+});
+
+describe('isValidWildcard', () => {
+  test('accepts a single word with a letter', () => {
+    expect(isValidWildcard('*ون')).toBe(true);
+    expect(isValidWildcard('ح*ث?')).toBe(true);
+  });
+
+  test('rejects patterns without letters or with other characters', () => {
+    expect(isValidWildcard('*')).toBe(false);
+    expect(isValidWildcard('?*')).toBe(false);
+    expect(isValidWildcard('حد.ث*')).toBe(false);
+  });
+});
+
+describe('compileWildcard', () => {
+  test('anchors patterns to whole words', () => {
+    const prefix = compileWildcard('حدث*');
+
+    expect(prefix.test('حدثنا')).toBe(true);
+    expect(prefix.test('محدث')).toBe(false);
+    expect(compileWildcard('*ون').test('المسلمون')).toBe(true);
+  });
+
+  test('matches exactly one letter with its diacritics for ?', () => {
+    const pattern = compileWildcard('ح?ث');
+
+    expect(pattern.test('حدث')).toBe(true);
+    expect(pattern.test('حَدَّث')).toBe(false);
+    expect(pattern.test('حدّث')).toBe(true);
+    expect(pattern.test('محدث')).toBe(false);
+    expect(pattern.test('حث')).toBe(false);
+  });
+
+  test('normalizes the literal parts', () => {
+    expect(compileWildcard('صلاة*', literal => literal.replace('ة', 'ه')).test('صلاهكم')).toBe(true);
+  });
+});